@@ -5,6 +5,7 @@ import { fileURLToPath } from "url";
 import { dirname, join } from "path";
 import { existsSync } from "fs";
 import { createInterface } from "readline";
+import { generateAccessToken } from "../server/access-token.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -47,6 +48,12 @@ function installYamcp() {
   });
 }
 
+// Value of a `--name value` option, or undefined
+function getOption(name) {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? undefined : process.argv[index + 1];
+}
+
 // Ask user for confirmation
 function askUserConfirmation(question) {
   return new Promise((resolve) => {
@@ -122,17 +129,48 @@ async function main() {
   // Get port from environment or use default
   const port = process.env.PORT || 8765;
 
+  // --token (or YAMCP_UI_TOKEN) fixes the API access token; otherwise a new
+  // one is generated for every run
+  const token =
+    getOption("--token") || process.env.YAMCP_UI_TOKEN || generateAccessToken();
+  // --localhost-only keeps the dashboard off the network
+  const localhostOnly = process.argv.includes("--localhost-only");
+
   console.log("🚀 Starting dashboard server...");
-  console.log(`📱 Dashboard will be available at: http://localhost:${port}`);
+  console.log(
+    `📱 Dashboard will be available at: http://localhost:${port}/?token=${token}`
+  );
   console.log("");
   console.log("💡 To use a different port: PORT=3000 npx yamcp-ui");
+  console.log("💡 To keep the same token: npx yamcp-ui --token <token>");
+  if (localhostOnly) {
+    console.log("🔒 Listening on 127.0.0.1 only");
+  }
   console.log("Press Ctrl+C to stop the dashboard");
   console.log("");
 
+  // --demo fills empty views with sample data
+  const demo = process.argv.includes("--demo");
+  if (demo) {
+    console.log("🧪 Demo mode: showing sample log entries when none exist");
+    console.log("");
+  }
+
+  // The server runs from the package directory; YAMCP_UI_CWD keeps the
+  // user's directory for paths relative to it, e.g. .vscode/mcp.json
+  const env = {
+    ...process.env,
+    YAMCP_UI_TOKEN: token,
+    YAMCP_UI_CWD: process.cwd(),
+  };
+  if (demo) env.YAMCP_UI_DEMO = "1";
+  if (localhostOnly) env.YAMCP_UI_HOST = "127.0.0.1";
+
   // Start the server
   const server = spawn("node", [serverPath], {
     stdio: "inherit",
     cwd: dirname(serverPath),
+    env,
   });
 
   // Handle process termination
@@ -5,6 +5,106 @@ import { fileURLToPath } from "url";
 import { dirname } from "path";
 import cors from "cors";
 import envPaths from "env-paths";
+import {
+  CSRF_HEADER,
+  TOKEN_QUERY_PARAM,
+  csrfCookieName,
+  deriveCsrfToken,
+  generateAccessToken,
+  readBearerToken,
+  readCookie,
+  tokenCookieName,
+  tokensMatch,
+} from "./server/access-token.mjs";
+import {
+  startProcess,
+  stopProcess,
+  getProcessStatus,
+  isProcessActive,
+  stopAllProcesses,
+} from "./server/supervisor.mjs";
+import {
+  probeProvider,
+  probeAll,
+  getProbeResult,
+  getProbeResults,
+  isProbing,
+} from "./server/probe.mjs";
+import { inspectProvider, callTool } from "./server/inspector.mjs";
+import { setEnvResolver } from "./server/mcp-client.mjs";
+import { analyzeWorkspace, DEFAULT_TOOL_BUDGET } from "./server/analysis.mjs";
+import { subscribeToLogs } from "./server/log-stream.mjs";
+import {
+  clearLogs,
+  enforceRetention,
+  getLastRetentionRun,
+  validateRetentionPolicy,
+} from "./server/log-maintenance.mjs";
+import { loadSettings, saveSettings } from "./server/settings.mjs";
+import {
+  writeJSONFileAtomic,
+  writeJSONFilesAtomic,
+} from "./server/json-file.mjs";
+import {
+  CONFIG_FILES,
+  diffJson,
+  getSnapshot,
+  listSnapshots,
+  recordSnapshot,
+} from "./server/config-history.mjs";
+import { getFileRevision, matchesRevision } from "./server/config-revision.mjs";
+import { subscribeToConfigChanges } from "./server/config-watch.mjs";
+import {
+  CLIENTS,
+  detectClientConfigs,
+  parseClientConfig,
+  previewImport,
+  resolveUserPath,
+} from "./server/client-configs.mjs";
+import {
+  getInstallStatus,
+  installWorkspace,
+  uninstallWorkspace,
+} from "./server/client-install.mjs";
+import {
+  createBundle,
+  planBundleImport,
+  validateBundle,
+} from "./server/workspace-bundle.mjs";
+import { loadTemplates } from "./server/server-templates.mjs";
+import { runPreflight } from "./server/preflight.mjs";
+import { PROCESS_ACTIONS, planBatch } from "./server/batch.mjs";
+import {
+  PROVIDER_TYPES,
+  validateProvidersConfig,
+  validateWorkspacesConfig,
+} from "./server/config-schema.mjs";
+import {
+  deleteServerSecrets,
+  containsReference,
+  isReference,
+  moveServerSecrets,
+  renameSecretReferences,
+  resolveEnv,
+  resolveValue,
+  storeSecrets,
+} from "./server/secret-store.mjs";
+import {
+  MAX_BODY_SIZE,
+  checkName,
+  checkWorkspaceServers,
+  resolveWithin,
+  sendValidationErrors,
+  validateBatchBody,
+  validatePreflightBody,
+  validateServerBody,
+  validateWorkspaceBody,
+} from "./server/validation.mjs";
+import {
+  parseLogQuery,
+  matchesLogQuery,
+  searchLogs,
+} from "./server/log-search.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -13,6 +113,25 @@ const app = express();
 // Default port 8765, can be overridden with PORT environment variable
 // Example: PORT=3000 npx yamcp-ui
 const PORT = process.env.PORT || 8765;
+// Interface to listen on; YAMCP_UI_HOST=127.0.0.1 keeps the dashboard off
+// the network
+const HOST = process.env.YAMCP_UI_HOST || "0.0.0.0";
+// Token required on every API request. bin/yamcp-ui.js generates one and
+// passes it in YAMCP_UI_TOKEN, which can also be set to a fixed value.
+const ACCESS_TOKEN = process.env.YAMCP_UI_TOKEN || generateAccessToken();
+const CSRF_TOKEN = deriveCsrfToken(ACCESS_TOKEN);
+// Requests that never change state and so don't need the CSRF token
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+// How often remote servers and running stdio servers are re-probed with an
+// MCP handshake
+const PROBE_INTERVAL_MS = 5 * 60 * 1000;
+// Demo mode fills an empty log with sample entries; off unless requested
+const DEMO_MODE = ["1", "true"].includes(process.env.YAMCP_UI_DEMO);
+// How often the log retention policy is enforced
+const RETENTION_INTERVAL_MS = 60 * 60 * 1000;
+// Event streams: client reconnect delay and keep-alive interval
+const SSE_RETRY_MS = 3000;
+const SSE_HEARTBEAT_MS = 30000;
 
 // Import YAMCP modules from global package
 // Helper function to safely import YAMCP modules
@@ -33,7 +152,6 @@ let config = null;
 let loadProvidersMap = null;
 let loadWorkspaceMap = null;
 let addMcpProviders = null;
-let removeMcpProvider = null;
 let getMcpProviders = null;
 let addWorkspace = null;
 let removeWorkspace = null;
@@ -53,7 +171,6 @@ async function initializeYAMCP() {
   const providerModule = await importYAMCP("dist/store/provider.js");
   if (providerModule) {
     addMcpProviders = providerModule.addMcpProviders;
-    removeMcpProvider = providerModule.removeMcpProvider;
     getMcpProviders = providerModule.getMcpProviders;
   }
 
@@ -88,11 +205,148 @@ app.use((req, res, next) => {
   next();
 });
 
+// Require the access token as a bearer header or cookie. Opening the launch
+// URL sets the cookie and redirects to the same page without the token, so it
+// doesn't stay in the address bar or history. Cookies are sent by the browser
+// on its own, so state-changing requests that rely on one also need the CSRF
+// header.
+app.use((req, res, next) => {
+  const cookieName = tokenCookieName(PORT);
+  const queryToken = req.query[TOKEN_QUERY_PARAM];
+
+  if (
+    req.method === "GET" &&
+    !req.path.startsWith("/api/") &&
+    typeof queryToken === "string" &&
+    tokensMatch(ACCESS_TOKEN, queryToken)
+  ) {
+    res.cookie(cookieName, ACCESS_TOKEN, {
+      httpOnly: true,
+      sameSite: "strict",
+      path: "/",
+    });
+    const url = new URL(req.originalUrl, `http://localhost:${PORT}`);
+    url.searchParams.delete(TOKEN_QUERY_PARAM);
+    return res.redirect(url.pathname + url.search);
+  }
+
+  if (tokensMatch(ACCESS_TOKEN, readBearerToken(req.get("Authorization")))) {
+    return next();
+  }
+
+  if (tokensMatch(ACCESS_TOKEN, readCookie(req.get("Cookie"), cookieName))) {
+    if (!req.path.startsWith("/api/")) {
+      // Loading the page (re)issues the CSRF cookie
+      res.cookie(csrfCookieName(PORT), CSRF_TOKEN, {
+        sameSite: "strict",
+        path: "/",
+      });
+      return next();
+    }
+    if (
+      SAFE_METHODS.includes(req.method) ||
+      tokensMatch(CSRF_TOKEN, req.get(CSRF_HEADER))
+    ) {
+      return next();
+    }
+    return res.status(403).json({ error: "Missing or invalid CSRF token" });
+  }
+
+  if (req.path.startsWith("/api/")) {
+    return res.status(401).json({ error: "Missing or invalid access token" });
+  }
+  res
+    .status(401)
+    .type("text")
+    .send(
+      "Open the dashboard with the URL printed when yamcp-ui started (it ends in ?token=...)."
+    );
+});
+
 // Serve static files from the React app build directory
 app.use(express.static(path.join(__dirname, "dist")));
 
 // Parse JSON bodies
-app.use(express.json());
+app.use(express.json({ limit: MAX_BODY_SIZE }));
+
+// Routes that write providers.json or workspaces.json, with the file whose
+// revision If-Match is checked against. Where the file depends on the URL,
+// the pattern captures it instead. POST /api/batch and POST
+// /api/bundles/import can write both files, so they check them themselves
+// (findStaleConfig).
+const CONFIG_WRITE_ROUTES = [
+  ["POST", /^\/api\/servers$/, "providers"],
+  ["PUT", /^\/api\/servers\/[^/]+$/, "providers"],
+  ["DELETE", /^\/api\/servers\/[^/]+$/, "providers"],
+  ["POST", /^\/api\/import$/, "providers"],
+  ["POST", /^\/api\/workspaces$/, "workspaces"],
+  ["PUT", /^\/api\/workspaces\/[^/]+$/, "workspaces"],
+  ["DELETE", /^\/api\/workspaces\/[^/]+$/, "workspaces"],
+  ["PUT", /^\/api\/config\/(providers|workspaces)$/],
+  [
+    "POST",
+    /^\/api\/config\/history\/\d+-\d{4}-(providers|workspaces)\/restore$/,
+  ],
+];
+
+// Reject writes based on a stale revision, then snapshot the config files
+// around the write. The snapshot before the write catches edits made outside
+// the UI (yamcp CLI, text editor).
+app.use((req, res, next) => {
+  let file = null;
+  for (const [method, pattern, target] of CONFIG_WRITE_ROUTES) {
+    const match = req.method === method ? req.path.match(pattern) : null;
+    if (match) {
+      file = match[1] || target;
+      break;
+    }
+  }
+  if (!file) return next();
+
+  const revision = getConfigRevision(file);
+  if (!matchesRevision(req.get("If-Match"), revision)) {
+    return sendConfigConflict(res, file, revision);
+  }
+
+  recordConfigHistory("external change");
+  res.on("finish", () => {
+    if (res.statusCode < 400) {
+      recordConfigHistory(`${req.method} ${req.path}`);
+    }
+  });
+  next();
+});
+
+// For routes that check If-Match themselves: the first of `files` that
+// changed since the revisions sent, as [file, revision], or null
+function findStaleConfig(req, files) {
+  for (const file of files) {
+    const revision = getConfigRevision(file);
+    if (!matchesRevision(req.get("If-Match"), revision)) {
+      return [file, revision];
+    }
+  }
+  return null;
+}
+
+// Answer a write based on a stale revision of `file`
+function sendConfigConflict(res, file, revision) {
+  res.set("X-Config-Revision", revision);
+  res.status(409).json({
+    error: `${file}.json was changed elsewhere since it was loaded`,
+    file,
+    revision,
+  });
+}
+
+// Answer a create or rename onto a name another entry already has
+function sendNameTaken(res, label, name, errorPath = ["name"]) {
+  sendValidationErrors(
+    res,
+    [{ path: errorPath, message: `${label} ${name} already exists` }],
+    409
+  );
+}
 
 // Helper function to get config paths
 function getConfigPaths() {
@@ -103,15 +357,55 @@ function getConfigPaths() {
       providersPath: path.join(paths.data, "providers.json"),
       workspacesPath: path.join(paths.data, "workspaces.json"),
       logDir: paths.log,
+      templatesDir: path.join(paths.data, "templates"),
     };
   }
   return {
     providersPath: config.PROVIDERS_CONFIG_PATH,
     workspacesPath: config.WORKSPACES_CONFIG_PATH,
     logDir: config.LOG_DIR,
+    // User server templates sit next to yamcp's config files
+    templatesDir: path.join(
+      path.dirname(config.PROVIDERS_CONFIG_PATH),
+      "templates"
+    ),
+  };
+}
+
+// Helper function to get yamcp-ui's own paths, separate from yamcp's config
+function getAppPaths() {
+  const paths = envPaths("yamcp-ui");
+  return {
+    settingsPath: path.join(paths.config, "settings.json"),
+    logArchiveDir: path.join(paths.data, "log-archives"),
+    configHistoryDir: path.join(paths.data, "config-history"),
+    secretsPath: path.join(paths.data, "secrets.json"),
+    secretKeyPath: path.join(paths.config, "secret.key"),
   };
 }
 
+// Secret references in env are resolved only when a server is launched
+setEnvResolver((env) => resolveEnv(getAppPaths(), env));
+
+// Helper function to get the current revision of "providers" or "workspaces"
+function getConfigRevision(file) {
+  const { providersPath, workspacesPath } = getConfigPaths();
+  return getFileRevision(file === "providers" ? providersPath : workspacesPath);
+}
+
+// Helper function to snapshot both config files into the version history.
+// Only files that changed since their latest snapshot are stored.
+function recordConfigHistory(source) {
+  try {
+    const { providersPath, workspacesPath } = getConfigPaths();
+    const { configHistoryDir } = getAppPaths();
+    recordSnapshot(configHistoryDir, "providers", providersPath, source);
+    recordSnapshot(configHistoryDir, "workspaces", workspacesPath, source);
+  } catch (error) {
+    console.error("Error recording config history:", error.message);
+  }
+}
+
 // Helper function to safely load JSON file
 function loadJSONFile(filePath, defaultValue = {}) {
   try {
@@ -155,67 +449,87 @@ function getRealWorkspaces() {
   }
 }
 
-// Helper function to read log files
-function getRecentLogs(limit = 50) {
-  try {
-    const { logDir } = getConfigPaths();
-    const logs = [];
-
-    if (!fs.existsSync(logDir)) {
-      return [];
+// Env entries and headers of a workspace's servers, as "<server>.<KEY>",
+// that hold a ${secret:NAME} or ${VAR} reference. Only yamcp-ui resolves
+// those: `yamcp run`, which the gateway and AI clients launch, would hand the
+// reference to the server as its value.
+function findWorkspaceReferences(serverNames, providers) {
+  const found = [];
+  for (const server of serverNames) {
+    const { env, headers } = providers[server]?.providerParameters || {};
+    for (const [key, value] of Object.entries({ ...env, ...headers })) {
+      if (containsReference(value)) {
+        found.push(`${server}.${key}`);
+      }
     }
+  }
+  return found;
+}
 
-    // Get all workspace directories
-    const workspaceDirs = fs.readdirSync(logDir).filter((dir) => {
-      const dirPath = path.join(logDir, dir);
-      return fs.statSync(dirPath).isDirectory();
-    });
+// Why a workspace can't be run by yamcp, or null if it can
+function checkYamcpRunnable(workspaceName) {
+  const references = findWorkspaceReferences(
+    getRealWorkspaces()[workspaceName] || [],
+    getRealProviders()
+  );
+  if (references.length === 0) return null;
+  const list = references.join(", ");
+  return `Workspace ${workspaceName} uses locked or \${VAR} values (${list}), which only yamcp-ui resolves; yamcp run would pass them to the servers as written. Replace them with plain values in the server settings to run the workspace with yamcp.`;
+}
 
-    // Read logs from each workspace
-    for (const workspaceDir of workspaceDirs) {
-      const combinedLogPath = path.join(logDir, workspaceDir, "combined.log");
-
-      if (fs.existsSync(combinedLogPath)) {
-        try {
-          const logContent = fs.readFileSync(combinedLogPath, "utf-8");
-          const logLines = logContent
-            .trim()
-            .split("\n")
-            .filter((line) => line.trim());
-
-          // Parse each log line (Winston JSON format)
-          for (const line of logLines.slice(-20)) {
-            // Get last 20 from each file
-            try {
-              const logEntry = JSON.parse(line);
-              logs.push({
-                id: `${workspaceDir}_${logEntry.timestamp}`,
-                timestamp: logEntry.timestamp,
-                level: logEntry.level,
-                server: workspaceDir.split("_")[0], // Extract workspace name
-                message: logEntry.message || JSON.stringify(logEntry),
-              });
-            } catch (parseError) {
-              // Skip invalid JSON lines
-            }
-          }
-        } catch (fileError) {
-          console.error(
-            `Error reading log file ${combinedLogPath}:`,
-            fileError.message
-          );
-        }
-      }
-    }
+// Sample entries for demo mode (YAMCP_UI_DEMO=1 or `yamcp-ui --demo`)
+function getDemoLogs() {
+  return [
+    {
+      id: "demo_1",
+      timestamp: new Date().toISOString(),
+      level: "info",
+      server: "vibe",
+      message: "Server started successfully",
+      metadata: { provider: "vibe" },
+    },
+    {
+      id: "demo_2",
+      timestamp: new Date(Date.now() - 60000).toISOString(),
+      level: "error",
+      server: "fetch-mcp",
+      message: "Connection failed to external service",
+      metadata: {
+        provider: "fetch",
+        method: "tools/call",
+        requestId: 7,
+        stack:
+          "Error: connect ECONNREFUSED 127.0.0.1:443\n    at TCPConnectWrap.afterConnect [as oncomplete] (node:net:1555:16)",
+      },
+    },
+    {
+      id: "demo_3",
+      timestamp: new Date(Date.now() - 120000).toISOString(),
+      level: "warn",
+      server: "database",
+      message: "High memory usage detected",
+      metadata: { provider: "sqlite" },
+    },
+  ];
+}
 
-    // Sort by timestamp and limit
-    return logs
-      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-      .slice(0, limit);
-  } catch (error) {
-    console.error("Error getting logs:", error.message);
-    return [];
-  }
+// Supervisor id for a provider's managed process
+function serverProcessId(serverId) {
+  return `server:${serverId}`;
+}
+
+// Supervisor id for a workspace's `yamcp run` gateway process
+function workspaceProcessId(workspaceName) {
+  return `workspace:${workspaceName}`;
+}
+
+// Once a server is gone from the config: stop its process so it isn't left
+// orphaned, and drop the secrets its entry (as it was before the delete)
+// referenced
+async function cleanUpDeletedServer(id, provider) {
+  await stopProcess(serverProcessId(id));
+  const { env, headers } = provider.providerParameters || {};
+  deleteServerSecrets(getAppPaths(), id, { env, headers });
 }
 
 // API Routes
@@ -226,17 +540,36 @@ app.get("/api/stats", (req, res) => {
 
     const totalServers = Object.keys(providers).length;
     const totalWorkspaces = Object.keys(workspaces).length;
+    const serversByType = Object.fromEntries(
+      PROVIDER_TYPES.map((type) => [type, 0])
+    );
+    for (const provider of Object.values(providers)) {
+      serversByType[provider.type] = (serversByType[provider.type] || 0) + 1;
+    }
 
-    // For now, assume all servers are active (we'd need to track actual status)
-    const activeServers = totalServers;
-    const activeWorkspaces = totalWorkspaces;
+    // Active and failing servers come from the latest MCP handshake probes.
+    // Servers that haven't been probed yet count as neither.
+    const probes = Object.keys(providers)
+      .map((name) => getProbeResult(name))
+      .filter(Boolean);
+    const activeServers = probes.filter((probe) => probe.reachable).length;
+    const unreachableServers = probes
+      .filter((probe) => !probe.reachable)
+      .map((probe) => probe.name);
+    const activeWorkspaces = Object.keys(workspaces).filter(
+      (name) => getProcessStatus(workspaceProcessId(name)).status === "running"
+    ).length;
 
     res.json({
       totalServers,
+      serversByType,
       activeServers,
       totalWorkspaces,
       activeWorkspaces,
-      issues: 0, // Could be calculated based on failed scans or connection issues
+      issues: unreachableServers.length,
+      unreachableServers,
+      probedServers: probes.length,
+      probing: isProbing(),
     });
   } catch (error) {
     console.error("Error getting stats:", error.message);
@@ -244,6 +577,16 @@ app.get("/api/stats", (req, res) => {
   }
 });
 
+// Server templates for the add server dialog
+app.get("/api/templates", (req, res) => {
+  try {
+    res.json(loadTemplates(getConfigPaths().templatesDir));
+  } catch (error) {
+    console.error("Error loading templates:", error.message);
+    res.status(500).json({ error: "Failed to load templates" });
+  }
+});
+
 app.get("/api/servers", (req, res) => {
   try {
     const providers = getRealProviders();
@@ -256,6 +599,8 @@ app.get("/api/servers", (req, res) => {
         name: key,
         namespace: provider.namespace || key,
         type: provider.type,
+        process: getProcessStatus(serverProcessId(key)),
+        health: getProbeResult(key),
         ...(isStdio
           ? {
               command: provider.providerParameters.command,
@@ -264,10 +609,14 @@ app.get("/api/servers", (req, res) => {
             }
           : {
               url: provider.providerParameters.url,
+              ...(provider.type === "streamable-http" && {
+                headers: provider.providerParameters.headers || {},
+              }),
             }),
       };
     });
 
+    res.set("X-Config-Revision", getConfigRevision("providers"));
     res.json(servers);
   } catch (error) {
     console.error("Error getting servers:", error.message);
@@ -287,6 +636,8 @@ app.get("/api/workspaces", (req, res) => {
           (serverName) => providers[serverName]
         );
 
+        const gateway = getProcessStatus(workspaceProcessId(name));
+
         return {
           id: name,
           name: name,
@@ -294,11 +645,15 @@ app.get("/api/workspaces", (req, res) => {
             validServers.length === 1 ? "" : "s"
           }`,
           servers: validServers,
-          status: "inactive", // Default status - would need actual tracking
+          // References that keep `yamcp run` from using the workspace
+          references: findWorkspaceReferences(validServers, providers),
+          status: gateway.status,
+          process: gateway,
         };
       }
     );
 
+    res.set("X-Config-Revision", getConfigRevision("workspaces"));
     res.json(workspaceList);
   } catch (error) {
     console.error("Error getting workspaces:", error.message);
@@ -306,38 +661,26 @@ app.get("/api/workspaces", (req, res) => {
   }
 });
 
-app.get("/api/logs", (req, res) => {
-  try {
-    const logs = getRecentLogs(100);
-
-    // Add some mock logs for testing if no real logs exist
-    if (logs.length === 0) {
-      const mockLogs = [
-        {
-          id: "mock_1",
-          timestamp: new Date().toISOString(),
-          level: "info",
-          server: "vibe",
-          message: "Server started successfully",
-        },
-        {
-          id: "mock_2",
-          timestamp: new Date(Date.now() - 60000).toISOString(),
-          level: "error",
-          server: "fetch-mcp",
-          message: "Connection failed to external service",
-        },
-        {
-          id: "mock_3",
-          timestamp: new Date(Date.now() - 120000).toISOString(),
-          level: "warn",
-          server: "database",
-          message: "High memory usage detected",
-        },
-      ];
-      res.json(mockLogs);
+// Query parameters: level (comma-separated), workspace, since, until, q,
+// regex=true, cursor and limit
+app.get("/api/logs", async (req, res) => {
+  let query;
+  try {
+    query = parseLogQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const { logDir } = getConfigPaths();
+    const { logs, nextCursor } = await searchLogs(logDir, query);
+    const filtered = Object.keys(req.query).some((key) => key !== "limit");
+
+    // Demo mode shows sample entries instead of an empty log
+    if (DEMO_MODE && logs.length === 0 && !filtered) {
+      res.json({ logs: getDemoLogs(), nextCursor: null, demo: true });
     } else {
-      res.json(logs);
+      res.json({ logs, nextCursor, demo: false });
     }
   } catch (error) {
     console.error("Error getting logs:", error.message);
@@ -345,41 +688,267 @@ app.get("/api/logs", (req, res) => {
   }
 });
 
+// Truncate or delete log files, for one workspace or all of them
+app.post("/api/logs/clear", async (req, res) => {
+  const { workspace = null, mode = "truncate", archive = false } = req.body;
+
+  if (workspace !== null) {
+    const nameError = checkName(workspace, "Workspace", ["workspace"]);
+    if (nameError) return sendValidationErrors(res, [nameError]);
+  }
+
+  if (mode !== "truncate" && mode !== "delete") {
+    return res
+      .status(400)
+      .json({ error: 'Mode must be either "truncate" or "delete"' });
+  }
+
+  try {
+    const { logDir } = getConfigPaths();
+    const { logArchiveDir } = getAppPaths();
+    const result = await clearLogs(logDir, {
+      workspace,
+      mode,
+      archiveDir: archive ? logArchiveDir : null,
+    });
+
+    const action = mode === "delete" ? "Deleted" : "Cleared";
+    res.json({
+      success: true,
+      message: `${action} ${result.files} log file${
+        result.files === 1 ? "" : "s"
+      }${result.archivePath ? ` (archived to ${result.archivePath})` : ""}`,
+      ...result,
+    });
+  } catch (error) {
+    console.error("Error clearing logs:", error.message);
+    res.status(500).json({ error: "Failed to clear logs" });
+  }
+});
+
+// Apply the log retention policy now
+app.post("/api/logs/retention", (req, res) => {
+  try {
+    const { logDir } = getConfigPaths();
+    const { settingsPath } = getAppPaths();
+    const { logRetention } = loadSettings(settingsPath);
+    res.json(enforceRetention(logDir, logRetention));
+  } catch (error) {
+    console.error("Error enforcing log retention:", error.message);
+    res.status(500).json({ error: "Failed to enforce log retention" });
+  }
+});
+
+// Live log entries as Server-Sent Events, tailed from the Winston log files.
+// Takes the same filters as /api/logs.
+app.get("/api/logs/stream", (req, res) => {
+  let query;
+  try {
+    query = parseLogQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+  const { logDir } = getConfigPaths();
+  const unsubscribe = subscribeToLogs(logDir, (entry) => {
+    if (!matchesLogQuery(entry, query)) return;
+    res.write(`event: log\ndata: ${JSON.stringify(entry)}\n\n`);
+  });
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => {
+    res.write(": heartbeat\n\n");
+  }, SSE_HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
 // Server actions
 app.post("/api/servers/:id/start", (req, res) => {
   const { id } = req.params;
-  // TODO: Implement actual server starting logic
-  // This would involve spawning the server process and tracking its status
-  res.json({
-    success: true,
-    message: `Server ${id} start requested (not implemented yet)`,
-  });
+
+  try {
+    const providers = getRealProviders();
+    const provider = providers[id];
+
+    if (!provider) {
+      return res.status(404).json({ error: `Server ${id} not found` });
+    }
+
+    if (provider.type !== "stdio") {
+      return res.status(400).json({
+        error: `Server ${id} is not a stdio server and cannot be started`,
+      });
+    }
+
+    if (isProcessActive(serverProcessId(id))) {
+      return res.status(409).json({ error: `Server ${id} is already running` });
+    }
+
+    const { command, args, env } = provider.providerParameters;
+    const status = startProcess(serverProcessId(id), {
+      command,
+      args: args || [],
+      env: resolveEnv(getAppPaths(), env),
+    });
+
+    res.json({
+      success: true,
+      message: `Server ${id} started`,
+      status,
+    });
+  } catch (error) {
+    console.error(`Error starting server ${id}:`, error.message);
+    res
+      .status(500)
+      .json({ error: `Failed to start server ${id}: ${error.message}` });
+  }
 });
 
-app.post("/api/servers/:id/stop", (req, res) => {
+app.post("/api/servers/:id/stop", async (req, res) => {
   const { id } = req.params;
-  // TODO: Implement actual server stopping logic
-  // This would involve killing the server process
-  res.json({
-    success: true,
-    message: `Server ${id} stop requested (not implemented yet)`,
-  });
+
+  try {
+    const status = await stopProcess(serverProcessId(id));
+    res.json({
+      success: true,
+      message: `Server ${id} stopped`,
+      status,
+    });
+  } catch (error) {
+    console.error(`Error stopping server ${id}:`, error.message);
+    res.status(500).json({ error: `Failed to stop server ${id}` });
+  }
 });
 
-app.delete("/api/servers/:id", (req, res) => {
+app.get("/api/servers/:id/status", (req, res) => {
   const { id } = req.params;
+
   try {
-    if (removeMcpProvider) {
-      removeMcpProvider(id);
-      res.json({ success: true, message: `Server ${id} deleted successfully` });
-    } else {
-      // Fallback to direct file manipulation
-      const { providersPath } = getConfigPaths();
-      const providers = loadJSONFile(providersPath, {});
-      delete providers[id];
-      fs.writeFileSync(providersPath, JSON.stringify(providers, null, 2));
-      res.json({ success: true, message: `Server ${id} deleted successfully` });
+    const providers = getRealProviders();
+    if (!providers[id]) {
+      return res.status(404).json({ error: `Server ${id} not found` });
     }
+
+    res.json(getProcessStatus(serverProcessId(id)));
+  } catch (error) {
+    console.error(`Error getting status of server ${id}:`, error.message);
+    res.status(500).json({ error: `Failed to get status of server ${id}` });
+  }
+});
+
+// MCP handshake health probes
+app.get("/api/probes", (req, res) => {
+  res.json({ probing: isProbing(), results: getProbeResults() });
+});
+
+app.post("/api/probes", async (req, res) => {
+  try {
+    const results = await probeAll(getRealProviders());
+    res.json({ probing: false, results });
+  } catch (error) {
+    console.error("Error probing servers:", error.message);
+    res.status(500).json({ error: "Failed to probe servers" });
+  }
+});
+
+app.post("/api/servers/:id/probe", async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const providers = getRealProviders();
+    if (!providers[id]) {
+      return res.status(404).json({ error: `Server ${id} not found` });
+    }
+
+    res.json(await probeProvider(id, providers[id]));
+  } catch (error) {
+    console.error(`Error probing server ${id}:`, error.message);
+    res.status(500).json({ error: `Failed to probe server ${id}` });
+  }
+});
+
+// List the tools, resources and prompts a server exposes
+app.get("/api/servers/:id/inspect", async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const providers = getRealProviders();
+    if (!providers[id]) {
+      return res.status(404).json({ error: `Server ${id} not found` });
+    }
+
+    res.json(await inspectProvider(providers[id]));
+  } catch (error) {
+    console.error(`Error inspecting server ${id}:`, error.message);
+    res
+      .status(502)
+      .json({ error: `Failed to connect to server ${id}: ${error.message}` });
+  }
+});
+
+// Invoke a tool on a server for the playground
+app.post("/api/servers/:id/tools/call", async (req, res) => {
+  const { id } = req.params;
+  const { name, arguments: args } = req.body;
+
+  if (typeof name !== "string" || !name) {
+    return res.status(400).json({ error: "Tool name is required" });
+  }
+
+  if (args !== undefined && (typeof args !== "object" || args === null)) {
+    return res.status(400).json({ error: "Tool arguments must be an object" });
+  }
+
+  try {
+    const providers = getRealProviders();
+    if (!providers[id]) {
+      return res.status(404).json({ error: `Server ${id} not found` });
+    }
+
+    res.json(await callTool(providers[id], name, args || {}));
+  } catch (error) {
+    console.error(`Error calling tool ${name} on server ${id}:`, error.message);
+    res.status(502).json({
+      error: `Failed to call tool ${name} on server ${id}: ${error.message}`,
+    });
+  }
+});
+
+// Deleting a server also removes it from the workspaces that list it, the
+// same way a batch deleteServer operation does. yamcp's removeMcpProvider
+// only writes providers.json, so both files are written here.
+app.delete("/api/servers/:id", async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { providersPath, workspacesPath } = getConfigPaths();
+    const providers = loadJSONFile(providersPath, {});
+    const plan = planBatch(
+      [{ action: "deleteServer", server: id }],
+      providers,
+      loadJSONFile(workspacesPath, {})
+    );
+    if (plan.errors.length > 0) {
+      return res.status(404).json({ error: plan.errors[0].message });
+    }
+
+    writeJSONFilesAtomic([
+      [providersPath, plan.providers],
+      ...(plan.changed.workspaces ? [[workspacesPath, plan.workspaces]] : []),
+    ]);
+    await cleanUpDeletedServer(id, providers[id]);
+
+    res.json({ success: true, message: plan.results[0].message });
   } catch (error) {
     console.error(`Error deleting server ${id}:`, error.message);
     res.status(500).json({ error: `Failed to delete server ${id}` });
@@ -387,10 +956,24 @@ app.delete("/api/servers/:id", (req, res) => {
 });
 
 // Add new server
-app.post("/api/servers", (req, res) => {
-  const { name, type, command, args, env, url } = req.body;
+app.post("/api/servers", validateServerBody, (req, res) => {
+  const {
+    name,
+    type,
+    command,
+    args,
+    env,
+    secrets,
+    url,
+    headers,
+    headerSecrets,
+  } = req.body;
 
   try {
+    if (getRealProviders()[name]) {
+      return sendNameTaken(res, "Server", name);
+    }
+
     const newProvider = {
       namespace: name,
       type: type,
@@ -399,11 +982,22 @@ app.post("/api/servers", (req, res) => {
           ? {
               command,
               args: args || [],
-              env: env || {},
+              env: storeSecrets(getAppPaths(), name, "env", env, secrets),
             }
-          : {
-              url,
-            },
+          : type === "streamable-http"
+            ? {
+                url,
+                headers: storeSecrets(
+                  getAppPaths(),
+                  name,
+                  "headers",
+                  headers,
+                  headerSecrets
+                ),
+              }
+            : {
+                url,
+              },
     };
 
     if (addMcpProviders) {
@@ -413,108 +1007,508 @@ app.post("/api/servers", (req, res) => {
       const { providersPath } = getConfigPaths();
       const providers = loadJSONFile(providersPath, {});
       providers[name] = newProvider;
-      fs.writeFileSync(providersPath, JSON.stringify(providers, null, 2));
+      writeJSONFileAtomic(providersPath, providers);
+    }
+
+    res.json({ success: true, message: `Server ${name} added successfully` });
+  } catch (error) {
+    console.error(`Error adding server ${name}:`, error.message);
+    res.status(500).json({ error: `Failed to add server ${name}` });
+  }
+});
+
+// Check a stdio server's command before it is saved. Secret values typed
+// into the dialog but not stored yet are used as they are.
+app.post("/api/servers/preflight", validatePreflightBody, async (req, res) => {
+  const { command, args, env, secrets, dryRun } = req.body;
+
+  try {
+    const launchEnv = { ...env };
+    for (const [key, value] of Object.entries(secrets || {})) {
+      if (value !== "" || !isReference(launchEnv[key])) launchEnv[key] = value;
+    }
+
+    res.json(
+      await runPreflight({
+        command,
+        args,
+        env: launchEnv,
+        dryRun,
+        resolveEnv: (values) => resolveEnv(getAppPaths(), values),
+      })
+    );
+  } catch (error) {
+    console.error("Error running preflight checks:", error.message);
+    res.status(500).json({ error: "Failed to run preflight checks" });
+  }
+});
+
+// Show the value behind an env entry or header. Secret entries are only ever
+// sent to the browser through this explicit action.
+app.post("/api/servers/:id/:section(env|headers)/:key/reveal", (req, res) => {
+  const { id, section, key } = req.params;
+
+  try {
+    const providers = getRealProviders();
+    const values = providers[id]?.providerParameters?.[section];
+    if (!values || !(key in values)) {
+      const label = section === "env" ? "Variable" : "Header";
+      return res
+        .status(404)
+        .json({ error: `${label} ${key} not found on server ${id}` });
+    }
+
+    const value = String(values[key]);
+    res.json({
+      key,
+      reference: isReference(value) ? value : null,
+      value: resolveValue(getAppPaths(), value),
+    });
+  } catch (error) {
+    console.error(`Error revealing ${key} of server ${id}:`, error.message);
+    res
+      .status(500)
+      .json({ error: `Failed to reveal ${key}: ${error.message}` });
+  }
+});
+
+// Import servers from MCP client configs (Claude Desktop, Cursor, VS Code)
+app.get("/api/import/sources", (req, res) => {
+  try {
+    res.json(detectClientConfigs());
+  } catch (error) {
+    console.error("Error detecting client configs:", error.message);
+    res.status(500).json({ error: "Failed to detect client configs" });
+  }
+});
+
+// Parse a client config, given as a path on disk or as uploaded text, and
+// report how each server compares with the existing providers
+app.post("/api/import/preview", (req, res) => {
+  const { path: configPath, content } = req.body;
+
+  let config;
+  try {
+    if (typeof content === "string") {
+      config = JSON.parse(content);
+    } else if (typeof configPath === "string" && configPath.trim() !== "") {
+      const resolvedPath = resolveUserPath(configPath.trim());
+      if (!fs.existsSync(resolvedPath)) {
+        return res
+          .status(404)
+          .json({ error: `File not found: ${resolvedPath}` });
+      }
+      config = JSON.parse(fs.readFileSync(resolvedPath, "utf-8"));
+    } else {
+      return res
+        .status(400)
+        .json({ error: "Either path or content is required" });
+    }
+  } catch (error) {
+    return res
+      .status(400)
+      .json({ error: `Could not read config: ${error.message}` });
+  }
+
+  try {
+    const { providers, skipped } = parseClientConfig(config);
+    res.json({
+      servers: previewImport(providers, getRealProviders()),
+      skipped,
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Add the servers chosen in the preview. Each item is { name, provider,
+// overwrite }; existing servers are only replaced when overwrite is set.
+app.post("/api/import", (req, res) => {
+  const { servers } = req.body;
+  if (!Array.isArray(servers) || servers.length === 0) {
+    return res.status(400).json({ error: "servers must be a non-empty array" });
+  }
+  const nameErrors = servers
+    .map((server, index) =>
+      checkName(server?.name, "Server name", ["servers", index, "name"])
+    )
+    .filter(Boolean);
+  if (nameErrors.length > 0) {
+    return sendValidationErrors(res, nameErrors);
+  }
+
+  try {
+    const existingProviders = getRealProviders();
+    const imported = {};
+    for (const { name, provider } of servers) {
+      const { namespace, ...parameters } = provider || {};
+      imported[name] = { namespace: name, ...parameters };
+    }
+
+    const errors = validateProvidersConfig(imported);
+    if (errors.length > 0) {
+      return res
+        .status(400)
+        .json({ error: "Invalid servers in import", errors });
+    }
+
+    const conflicts = servers
+      .filter(({ name, overwrite }) => existingProviders[name] && !overwrite)
+      .map(({ name }) => name);
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        error: `Servers already exist: ${conflicts.join(", ")}`,
+        conflicts,
+      });
+    }
+
+    if (addMcpProviders) {
+      addMcpProviders(Object.values(imported));
+    } else {
+      // Fallback to direct file manipulation
+      const { providersPath } = getConfigPaths();
+      const providers = loadJSONFile(providersPath, {});
+      Object.assign(providers, imported);
+      writeJSONFileAtomic(providersPath, providers);
+    }
+
+    const names = Object.keys(imported);
+    res.json({
+      success: true,
+      message: `Imported ${names.length} server${names.length === 1 ? "" : "s"}`,
+      imported: names,
+    });
+  } catch (error) {
+    console.error("Error importing servers:", error.message);
+    res.status(500).json({ error: "Failed to import servers" });
+  }
+});
+
+// Update server
+app.put("/api/servers/:id", validateServerBody, async (req, res) => {
+  const { id } = req.params;
+  const {
+    name,
+    namespace,
+    type,
+    command,
+    args,
+    env,
+    secrets,
+    url,
+    headers,
+    headerSecrets,
+  } = req.body;
+
+  try {
+    const { providersPath } = getConfigPaths();
+    const providers = loadJSONFile(providersPath, {});
+
+    // Check if server exists
+    if (!providers[id]) {
+      return res.status(404).json({ error: `Server ${id} not found` });
+    }
+
+    // If namespace changed, we need to handle the key change
+    const newNamespace = namespace || name; // Use namespace if provided, fallback to name
+    const isRename = newNamespace !== id;
+    if (isRename && providers[newNamespace]) {
+      return sendNameTaken(
+        res,
+        "Server",
+        newNamespace,
+        namespace ? ["namespace"] : ["name"]
+      );
+    }
+    // The supervised process is tracked under the server's name
+    const wasRunning = isRename && isProcessActive(serverProcessId(id));
+    // Secrets are stored under the server's name, so they move with it
+    const current = isRename
+      ? renameSecretReferences(id, newNamespace, { env, headers })
+      : { env, headers };
+    if (isRename) {
+      // Remove old entry
+      delete providers[id];
+    }
+
+    // Create updated provider
+    const updatedProvider = {
+      namespace: newNamespace,
+      type: type,
+      providerParameters:
+        type === "stdio"
+          ? {
+              command,
+              args: args || [],
+              env: storeSecrets(
+                getAppPaths(),
+                newNamespace,
+                "env",
+                current.env,
+                secrets
+              ),
+            }
+          : type === "streamable-http"
+            ? {
+                url,
+                headers: storeSecrets(
+                  getAppPaths(),
+                  newNamespace,
+                  "headers",
+                  current.headers,
+                  headerSecrets
+                ),
+              }
+            : {
+                url,
+              },
+    };
+
+    // Add updated provider
+    providers[newNamespace] = updatedProvider;
+
+    // If namespace changed, update workspaces that reference this server.
+    // Both files are written together so a failed write can't leave the
+    // workspaces pointing at a server that doesn't exist.
+    const files = [[providersPath, providers]];
+    if (isRename) {
+      const { workspacesPath } = getConfigPaths();
+      const workspaces = loadJSONFile(workspacesPath, {});
+
+      for (const [workspaceName, serverList] of Object.entries(workspaces)) {
+        const serverIndex = serverList.indexOf(id);
+        if (serverIndex !== -1) {
+          serverList[serverIndex] = newNamespace;
+        }
+      }
+
+      files.push([workspacesPath, workspaces]);
+    }
+
+    // Save providers and, on a rename, workspaces
+    writeJSONFilesAtomic(files);
+
+    // Move the stored secrets and a running process over to the new name
+    if (isRename) {
+      moveServerSecrets(getAppPaths(), id, newNamespace, { env, headers });
+      await stopProcess(serverProcessId(id));
+      if (wasRunning && type === "stdio") {
+        startProcess(serverProcessId(newNamespace), {
+          command,
+          args: args || [],
+          env: resolveEnv(
+            getAppPaths(),
+            updatedProvider.providerParameters.env
+          ),
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `Server ${newNamespace} updated successfully`,
+    });
+  } catch (error) {
+    console.error(`Error updating server ${id}:`, error.message);
+    res.status(500).json({ error: `Failed to update server ${id}` });
+  }
+});
+
+// Workspace actions
+app.post("/api/workspaces/:id/start", (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const workspaces = getRealWorkspaces();
+
+    if (!workspaces[id]) {
+      return res.status(404).json({ error: `Workspace ${id} not found` });
+    }
+
+    if (isProcessActive(workspaceProcessId(id))) {
+      return res
+        .status(409)
+        .json({ error: `Workspace ${id} is already running` });
+    }
+
+    const notRunnable = checkYamcpRunnable(id);
+    if (notRunnable) {
+      return res.status(400).json({ error: notRunnable });
+    }
+
+    // The YAMCP gateway spawns and multiplexes every server in the workspace
+    const status = startProcess(workspaceProcessId(id), {
+      command: "yamcp",
+      args: ["run", id],
+    });
+
+    res.json({
+      success: true,
+      message: `Workspace ${id} started`,
+      status,
+    });
+  } catch (error) {
+    console.error(`Error starting workspace ${id}:`, error.message);
+    res
+      .status(500)
+      .json({ error: `Failed to start workspace ${id}: ${error.message}` });
+  }
+});
+
+app.post("/api/workspaces/:id/stop", async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    // Stopping the gateway's process group also stops its child servers
+    const status = await stopProcess(workspaceProcessId(id));
+    res.json({
+      success: true,
+      message: `Workspace ${id} stopped`,
+      status,
+    });
+  } catch (error) {
+    console.error(`Error stopping workspace ${id}:`, error.message);
+    res.status(500).json({ error: `Failed to stop workspace ${id}` });
+  }
+});
+
+app.get("/api/workspaces/:id/status", (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const workspaces = getRealWorkspaces();
+    if (!workspaces[id]) {
+      return res.status(404).json({ error: `Workspace ${id} not found` });
     }
 
-    res.json({ success: true, message: `Server ${name} added successfully` });
+    res.json(getProcessStatus(workspaceProcessId(id)));
   } catch (error) {
-    console.error(`Error adding server ${name}:`, error.message);
-    res.status(500).json({ error: `Failed to add server ${name}` });
+    console.error(`Error getting status of workspace ${id}:`, error.message);
+    res.status(500).json({ error: `Failed to get status of workspace ${id}` });
   }
 });
 
-// Update server
-app.put("/api/servers/:id", (req, res) => {
+// Tool collision and budget report for a workspace's combined tool list
+app.get("/api/workspaces/:id/analysis", async (req, res) => {
   const { id } = req.params;
-  const { name, namespace, type, command, args, env, url } = req.body;
-
-  try {
-    const { providersPath } = getConfigPaths();
-    const providers = loadJSONFile(providersPath, {});
+  const budget = req.query.budget
+    ? parseInt(req.query.budget, 10)
+    : DEFAULT_TOOL_BUDGET;
 
-    // Check if server exists
-    if (!providers[id]) {
-      return res.status(404).json({ error: `Server ${id} not found` });
-    }
+  if (!Number.isInteger(budget) || budget < 1) {
+    return res
+      .status(400)
+      .json({ error: "Tool budget must be a positive integer" });
+  }
 
-    // If namespace changed, we need to handle the key change
-    const newNamespace = namespace || name; // Use namespace if provided, fallback to name
-    if (newNamespace !== id) {
-      // Remove old entry
-      delete providers[id];
+  try {
+    const workspaces = getRealWorkspaces();
+    if (!workspaces[id]) {
+      return res.status(404).json({ error: `Workspace ${id} not found` });
     }
 
-    // Create updated provider
-    const updatedProvider = {
-      namespace: newNamespace,
-      type: type,
-      providerParameters:
-        type === "stdio"
-          ? {
-              command,
-              args: args || [],
-              env: env || {},
-            }
-          : {
-              url,
-            },
-    };
+    res.json(
+      await analyzeWorkspace(workspaces[id], getRealProviders(), { budget })
+    );
+  } catch (error) {
+    console.error(`Error analyzing workspace ${id}:`, error.message);
+    res.status(500).json({ error: `Failed to analyze workspace ${id}` });
+  }
+});
 
-    // Add updated provider
-    providers[newNamespace] = updatedProvider;
+// Install status of a workspace in the AI clients' config files
+app.get("/api/workspaces/:id/clients", (req, res) => {
+  const { id } = req.params;
 
-    // If namespace changed, update workspaces that reference this server
-    if (newNamespace !== id) {
-      const { workspacesPath } = getConfigPaths();
-      const workspaces = loadJSONFile(workspacesPath, {});
+  try {
+    if (!getRealWorkspaces()[id]) {
+      return res.status(404).json({ error: `Workspace ${id} not found` });
+    }
+    res.json(getInstallStatus(id));
+  } catch (error) {
+    console.error(`Error getting client status for ${id}:`, error.message);
+    res.status(500).json({ error: `Failed to get client status for ${id}` });
+  }
+});
 
-      for (const [workspaceName, serverList] of Object.entries(workspaces)) {
-        const serverIndex = serverList.indexOf(id);
-        if (serverIndex !== -1) {
-          serverList[serverIndex] = newNamespace;
-        }
-      }
+// Merge a `yamcp run <workspace>` entry into a client config, keeping the
+// previous file as a backup. An entry of the same name that yamcp-ui didn't
+// write is only replaced when the body sets `overwrite`.
+app.post("/api/workspaces/:id/clients/:clientId", (req, res) => {
+  const { id, clientId } = req.params;
+  const client = CLIENTS.find((candidate) => candidate.id === clientId);
+  if (!client) {
+    return res.status(404).json({ error: `Unknown client: ${clientId}` });
+  }
 
-      fs.writeFileSync(workspacesPath, JSON.stringify(workspaces, null, 2));
+  try {
+    if (!getRealWorkspaces()[id]) {
+      return res.status(404).json({ error: `Workspace ${id} not found` });
     }
 
-    // Save providers
-    fs.writeFileSync(providersPath, JSON.stringify(providers, null, 2));
+    const notRunnable = checkYamcpRunnable(id);
+    if (notRunnable) {
+      return res.status(400).json({ error: notRunnable });
+    }
 
+    const result = installWorkspace(clientId, id, {
+      overwrite: req.body?.overwrite === true,
+    });
+    if (!result) {
+      return res.status(409).json({
+        error: `${client.name} already has a server named ${id} that yamcp-ui didn't install`,
+      });
+    }
     res.json({
       success: true,
-      message: `Server ${newNamespace} updated successfully`,
+      message: `Workspace ${id} installed in ${client.name}`,
+      path: result.path,
+      backupPath: result.backupPath,
     });
   } catch (error) {
-    console.error(`Error updating server ${id}:`, error.message);
-    res.status(500).json({ error: `Failed to update server ${id}` });
+    console.error(`Error installing ${id} in ${client.name}:`, error.message);
+    res.status(500).json({
+      error: `Failed to install workspace ${id} in ${client.name}: ${error.message}`,
+    });
   }
 });
 
-// Workspace actions
-app.post("/api/workspaces/:id/start", (req, res) => {
-  const { id } = req.params;
-  // TODO: Implement actual workspace starting logic
-  // This would involve starting all servers in the workspace
-  res.json({
-    success: true,
-    message: `Workspace ${id} start requested (not implemented yet)`,
-  });
-});
+app.delete("/api/workspaces/:id/clients/:clientId", (req, res) => {
+  const { id, clientId } = req.params;
+  const client = CLIENTS.find((candidate) => candidate.id === clientId);
+  if (!client) {
+    return res.status(404).json({ error: `Unknown client: ${clientId}` });
+  }
 
-app.post("/api/workspaces/:id/stop", (req, res) => {
-  const { id } = req.params;
-  // TODO: Implement actual workspace stopping logic
-  // This would involve stopping all servers in the workspace
-  res.json({
-    success: true,
-    message: `Workspace ${id} stop requested (not implemented yet)`,
-  });
+  try {
+    const result = uninstallWorkspace(clientId, id);
+    if (!result) {
+      return res.status(404).json({
+        error: `Workspace ${id} is not installed in ${client.name} by yamcp-ui`,
+      });
+    }
+    res.json({
+      success: true,
+      message: `Workspace ${id} removed from ${client.name}`,
+      path: result.path,
+      backupPath: result.backupPath,
+    });
+  } catch (error) {
+    console.error(
+      `Error uninstalling ${id} from ${client.name}:`,
+      error.message
+    );
+    res.status(500).json({
+      error: `Failed to remove workspace ${id} from ${client.name}: ${error.message}`,
+    });
+  }
 });
 
-app.delete("/api/workspaces/:id", (req, res) => {
+app.delete("/api/workspaces/:id", async (req, res) => {
   const { id } = req.params;
   try {
+    await stopProcess(workspaceProcessId(id));
+
     if (removeWorkspace) {
       removeWorkspace(id);
       res.json({
@@ -526,7 +1520,7 @@ app.delete("/api/workspaces/:id", (req, res) => {
       const { workspacesPath } = getConfigPaths();
       const workspaces = loadJSONFile(workspacesPath, {});
       delete workspaces[id];
-      fs.writeFileSync(workspacesPath, JSON.stringify(workspaces, null, 2));
+      writeJSONFileAtomic(workspacesPath, workspaces);
       res.json({
         success: true,
         message: `Workspace ${id} deleted successfully`,
@@ -539,10 +1533,18 @@ app.delete("/api/workspaces/:id", (req, res) => {
 });
 
 // Add new workspace
-app.post("/api/workspaces", (req, res) => {
+app.post("/api/workspaces", validateWorkspaceBody, (req, res) => {
   const { name, servers } = req.body;
 
   try {
+    if (getRealWorkspaces()[name]) {
+      return sendNameTaken(res, "Workspace", name);
+    }
+    const serverErrors = checkWorkspaceServers(servers, getRealProviders());
+    if (serverErrors.length > 0) {
+      return sendValidationErrors(res, serverErrors);
+    }
+
     if (addWorkspace) {
       addWorkspace(name, servers);
     } else {
@@ -550,7 +1552,7 @@ app.post("/api/workspaces", (req, res) => {
       const { workspacesPath } = getConfigPaths();
       const workspaces = loadJSONFile(workspacesPath, {});
       workspaces[name] = servers;
-      fs.writeFileSync(workspacesPath, JSON.stringify(workspaces, null, 2));
+      writeJSONFileAtomic(workspacesPath, workspaces);
     }
 
     res.json({
@@ -563,8 +1565,107 @@ app.post("/api/workspaces", (req, res) => {
   }
 });
 
+// Portable bundle of a workspace and its providers, with env values replaced
+// by placeholders
+app.get("/api/workspaces/:id/bundle", (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const workspaces = getRealWorkspaces();
+    if (!workspaces[id]) {
+      return res.status(404).json({ error: `Workspace ${id} not found` });
+    }
+
+    const bundle = createBundle(id, workspaces, getRealProviders());
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${id}.yamcp-workspace.json"`
+    );
+    res.json(bundle);
+  } catch (error) {
+    console.error(`Error exporting workspace ${id}:`, error.message);
+    res.status(500).json({ error: `Failed to export workspace ${id}` });
+  }
+});
+
+// What importing a bundle would do: final names after renaming on
+// collision, and the env placeholders to fill in
+app.post("/api/bundles/preview", (req, res) => {
+  const { bundle, values } = req.body;
+
+  try {
+    validateBundle(bundle);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const { providersToAdd, ...plan } = planBundleImport(
+      bundle,
+      values,
+      getRealProviders(),
+      getRealWorkspaces()
+    );
+    // The import writes both files; sending both revisions back as If-Match
+    // makes it fail if either changed since this preview
+    res.set(
+      "X-Config-Revision",
+      `${getConfigRevision("providers")}, ${getConfigRevision("workspaces")}`
+    );
+    res.json(plan);
+  } catch (error) {
+    console.error("Error previewing bundle import:", error.message);
+    res.status(500).json({ error: "Failed to preview bundle import" });
+  }
+});
+
+// Create the bundle's providers and workspace. `values` fills in the env
+// placeholders as { server: { KEY: value } }. Both files are written
+// together, so the new servers never end up without their workspace.
+app.post("/api/bundles/import", (req, res) => {
+  const { bundle, values } = req.body;
+
+  try {
+    validateBundle(bundle);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const stale = findStaleConfig(req, ["providers", "workspaces"]);
+    if (stale) return sendConfigConflict(res, ...stale);
+
+    const { providersPath, workspacesPath } = getConfigPaths();
+    const providers = loadJSONFile(providersPath, {});
+    const workspaces = loadJSONFile(workspacesPath, {});
+    const plan = planBundleImport(bundle, values, providers, workspaces);
+
+    const { finalName, servers } = plan.workspace;
+    // yamcp's store functions each write a single file, so the import writes
+    // both files itself
+    recordConfigHistory("external change");
+    writeJSONFilesAtomic([
+      [providersPath, { ...providers, ...plan.providersToAdd }],
+      [workspacesPath, { ...workspaces, [finalName]: servers }],
+    ]);
+    recordConfigHistory(`${req.method} ${req.path}`);
+
+    const { providersToAdd, ...result } = plan;
+    res.json({
+      success: true,
+      message: `Workspace ${finalName} imported with ${servers.length} server${
+        servers.length === 1 ? "" : "s"
+      }`,
+      ...result,
+    });
+  } catch (error) {
+    console.error("Error importing bundle:", error.message);
+    res.status(500).json({ error: "Failed to import bundle" });
+  }
+});
+
 // Update workspace
-app.put("/api/workspaces/:id", (req, res) => {
+app.put("/api/workspaces/:id", validateWorkspaceBody, async (req, res) => {
   const { id } = req.params;
   const { name, servers } = req.body;
 
@@ -579,16 +1680,25 @@ app.put("/api/workspaces/:id", (req, res) => {
 
     // If name changed, we need to handle the key change
     const newName = name || id; // Use name if provided, fallback to id
+    if (newName !== id && workspaces[newName]) {
+      return sendNameTaken(res, "Workspace", newName);
+    }
+    const serverErrors = checkWorkspaceServers(servers, getRealProviders());
+    if (serverErrors.length > 0) {
+      return sendValidationErrors(res, serverErrors);
+    }
     if (newName !== id) {
       // Remove old entry
       delete workspaces[id];
+      // A gateway running under the old name can't be tracked after a rename
+      await stopProcess(workspaceProcessId(id));
     }
 
     // Add updated workspace
     workspaces[newName] = servers;
 
     // Save workspaces
-    fs.writeFileSync(workspacesPath, JSON.stringify(workspaces, null, 2));
+    writeJSONFileAtomic(workspacesPath, workspaces);
 
     res.json({
       success: true,
@@ -600,6 +1710,126 @@ app.put("/api/workspaces/:id", (req, res) => {
   }
 });
 
+// Start or stop the process a batch operation names, as the single start and
+// stop routes do. Starting something that already runs is left alone.
+async function runProcessOperation({ action, server, workspace }, providers) {
+  switch (action) {
+    case "startServer": {
+      const provider = providers[server];
+      if (provider.type !== "stdio") {
+        throw new Error(
+          `Server ${server} is not a stdio server and cannot be started`
+        );
+      }
+      if (isProcessActive(serverProcessId(server))) {
+        return `Server ${server} is already running`;
+      }
+      const { command, args, env } = provider.providerParameters;
+      startProcess(serverProcessId(server), {
+        command,
+        args: args || [],
+        env: resolveEnv(getAppPaths(), env),
+      });
+      return `Server ${server} started`;
+    }
+    case "stopServer":
+      await stopProcess(serverProcessId(server));
+      return `Server ${server} stopped`;
+    case "startWorkspace": {
+      if (isProcessActive(workspaceProcessId(workspace))) {
+        return `Workspace ${workspace} is already running`;
+      }
+      const notRunnable = checkYamcpRunnable(workspace);
+      if (notRunnable) throw new Error(notRunnable);
+      startProcess(workspaceProcessId(workspace), {
+        command: "yamcp",
+        args: ["run", workspace],
+      });
+      return `Workspace ${workspace} started`;
+    }
+    case "stopWorkspace":
+      await stopProcess(workspaceProcessId(workspace));
+      return `Workspace ${workspace} stopped`;
+  }
+}
+
+// Apply a list of operations on servers and workspaces (see
+// server/batch.mjs). The config changes are saved to providers.json and
+// workspaces.json together or not at all; if any operation can't be applied,
+// nothing is. Processes are started and stopped only after that, each with
+// its own result.
+app.post("/api/batch", validateBatchBody, async (req, res) => {
+  const { operations } = req.body;
+
+  try {
+    const { providersPath, workspacesPath } = getConfigPaths();
+    const providers = loadJSONFile(providersPath, {});
+    const plan = planBatch(
+      operations,
+      providers,
+      loadJSONFile(workspacesPath, {})
+    );
+    if (plan.errors.length > 0) {
+      return sendValidationErrors(res, plan.errors);
+    }
+
+    // yamcp's store functions each write a single file, so the batch writes
+    // both files itself
+    const files = [];
+    if (plan.changed.providers) files.push(["providers", providersPath]);
+    if (plan.changed.workspaces) files.push(["workspaces", workspacesPath]);
+    const stale = findStaleConfig(
+      req,
+      files.map(([file]) => file)
+    );
+    if (stale) return sendConfigConflict(res, ...stale);
+
+    if (files.length > 0) {
+      recordConfigHistory("external change");
+      writeJSONFilesAtomic(
+        files.map(([file, filePath]) => [filePath, plan[file]])
+      );
+      recordConfigHistory(`${req.method} ${req.path}`);
+    }
+
+    // Don't leave orphaned processes or secrets behind for deleted entries
+    for (const id of plan.deleted.servers) {
+      await cleanUpDeletedServer(id, providers[id]);
+    }
+    for (const id of plan.deleted.workspaces) {
+      await stopProcess(workspaceProcessId(id));
+    }
+
+    for (const result of plan.results) {
+      if (!PROCESS_ACTIONS.includes(result.action)) continue;
+      try {
+        result.message = await runProcessOperation(
+          operations[result.index],
+          plan.providers
+        );
+      } catch (error) {
+        result.ok = false;
+        result.message = error.message;
+      }
+    }
+
+    const failed = plan.results.filter((result) => !result.ok).length;
+    res.json({
+      success: failed === 0,
+      message:
+        failed === 0
+          ? `Applied ${operations.length} operation${
+              operations.length === 1 ? "" : "s"
+            }`
+          : `${failed} of ${operations.length} operations failed`,
+      results: plan.results,
+    });
+  } catch (error) {
+    console.error("Error applying batch:", error.message);
+    res.status(500).json({ error: "Failed to apply batch" });
+  }
+});
+
 // Get log files list
 app.get("/api/log-files", (req, res) => {
   try {
@@ -649,7 +1879,13 @@ app.get("/api/log-files/:workspace/:filename", (req, res) => {
 
   try {
     const { logDir } = getConfigPaths();
-    const filePath = path.join(logDir, workspace, filename);
+    // Params are URL-decoded, so "..%2F" would otherwise climb out of logDir
+    const filePath = resolveWithin(logDir, workspace, filename);
+    if (!filePath || !filename.endsWith(".log")) {
+      return sendValidationErrors(res, [
+        { path: ["filename"], message: "Not a log file in the log directory" },
+      ]);
+    }
 
     if (!fs.existsSync(filePath)) {
       return res.status(404).json({ error: "Log file not found" });
@@ -662,10 +1898,43 @@ app.get("/api/log-files/:workspace/:filename", (req, res) => {
   }
 });
 
+app.get("/api/settings/log-retention", (req, res) => {
+  try {
+    const { settingsPath } = getAppPaths();
+    const { logRetention } = loadSettings(settingsPath);
+    res.json({ policy: logRetention, lastRun: getLastRetentionRun() });
+  } catch (error) {
+    console.error("Error getting log retention settings:", error.message);
+    res.status(500).json({ error: "Failed to get log retention settings" });
+  }
+});
+
+app.put("/api/settings/log-retention", (req, res) => {
+  const { policy, errors } = validateRetentionPolicy(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join("; ") });
+  }
+
+  try {
+    const { settingsPath } = getAppPaths();
+    saveSettings(settingsPath, "logRetention", policy);
+    res.json({
+      success: true,
+      message: "Log retention policy saved",
+      policy,
+    });
+  } catch (error) {
+    console.error("Error saving log retention settings:", error.message);
+    res.status(500).json({ error: "Failed to save log retention settings" });
+  }
+});
+
 // Get raw JSON content for editing
 app.get("/api/config/providers", (req, res) => {
   try {
+    const revision = getConfigRevision("providers");
     const providers = getRealProviders();
+    res.set({ ETag: revision, "X-Config-Revision": revision });
     res.json(providers);
   } catch (error) {
     console.error("Error getting providers config:", error.message);
@@ -675,7 +1944,9 @@ app.get("/api/config/providers", (req, res) => {
 
 app.get("/api/config/workspaces", (req, res) => {
   try {
+    const revision = getConfigRevision("workspaces");
     const workspaces = getRealWorkspaces();
+    res.set({ ETag: revision, "X-Config-Revision": revision });
     res.json(workspaces);
   } catch (error) {
     console.error("Error getting workspaces config:", error.message);
@@ -689,13 +1960,15 @@ app.put("/api/config/providers", (req, res) => {
     const { providersPath } = getConfigPaths();
     const newConfig = req.body;
 
-    // Validate that it's a valid object
-    if (typeof newConfig !== "object" || newConfig === null) {
-      return res.status(400).json({ error: "Invalid JSON: must be an object" });
+    const errors = validateProvidersConfig(newConfig);
+    if (errors.length > 0) {
+      return res
+        .status(400)
+        .json({ error: "Invalid providers config", errors });
     }
 
     // Write to file
-    fs.writeFileSync(providersPath, JSON.stringify(newConfig, null, 2));
+    writeJSONFileAtomic(providersPath, newConfig);
 
     res.json({
       success: true,
@@ -712,13 +1985,15 @@ app.put("/api/config/workspaces", (req, res) => {
     const { workspacesPath } = getConfigPaths();
     const newConfig = req.body;
 
-    // Validate that it's a valid object
-    if (typeof newConfig !== "object" || newConfig === null) {
-      return res.status(400).json({ error: "Invalid JSON: must be an object" });
+    const errors = validateWorkspacesConfig(newConfig, getRealProviders());
+    if (errors.length > 0) {
+      return res
+        .status(400)
+        .json({ error: "Invalid workspaces config", errors });
     }
 
     // Write to file
-    fs.writeFileSync(workspacesPath, JSON.stringify(newConfig, null, 2));
+    writeJSONFileAtomic(workspacesPath, newConfig);
 
     res.json({
       success: true,
@@ -730,6 +2005,171 @@ app.put("/api/config/workspaces", (req, res) => {
   }
 });
 
+// Changes to providers.json and workspaces.json as Server-Sent Events, from
+// the dashboard or from outside it (yamcp CLI, text editor)
+app.get("/api/config/events", (req, res) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+  const { providersPath, workspacesPath } = getConfigPaths();
+  const unsubscribe = subscribeToConfigChanges(
+    { providers: providersPath, workspaces: workspacesPath },
+    (change) => {
+      res.write(`event: config\ndata: ${JSON.stringify(change)}\n\n`);
+    }
+  );
+
+  const heartbeat = setInterval(() => {
+    res.write(": heartbeat\n\n");
+  }, SSE_HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// Config version history
+app.get("/api/config/history", (req, res) => {
+  const { file } = req.query;
+  if (file && !CONFIG_FILES.includes(file)) {
+    return res.status(400).json({ error: `Unknown config file: ${file}` });
+  }
+
+  try {
+    const { configHistoryDir } = getAppPaths();
+    res.json(listSnapshots(configHistoryDir, file || null));
+  } catch (error) {
+    console.error("Error getting config history:", error.message);
+    res.status(500).json({ error: "Failed to get config history" });
+  }
+});
+
+// Differences between two snapshots of the same file; `to` may be "current"
+app.get("/api/config/history/diff", (req, res) => {
+  const { from, to = "current" } = req.query;
+
+  try {
+    const { configHistoryDir } = getAppPaths();
+    const fromSnapshot = getSnapshot(configHistoryDir, String(from));
+    if (!fromSnapshot) {
+      return res.status(404).json({ error: `Version ${from} not found` });
+    }
+
+    let toContent;
+    if (to === "current") {
+      toContent =
+        fromSnapshot.file === "providers"
+          ? getRealProviders()
+          : getRealWorkspaces();
+    } else {
+      const toSnapshot = getSnapshot(configHistoryDir, String(to));
+      if (!toSnapshot) {
+        return res.status(404).json({ error: `Version ${to} not found` });
+      }
+      if (toSnapshot.file !== fromSnapshot.file) {
+        return res
+          .status(400)
+          .json({ error: "Both versions must be of the same config file" });
+      }
+      toContent = toSnapshot.content;
+    }
+
+    res.json({
+      file: fromSnapshot.file,
+      from,
+      to,
+      changes: diffJson(fromSnapshot.content, toContent),
+    });
+  } catch (error) {
+    console.error("Error diffing config versions:", error.message);
+    res.status(500).json({ error: "Failed to diff config versions" });
+  }
+});
+
+app.get("/api/config/history/:id", (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const { configHistoryDir } = getAppPaths();
+    const snapshot = getSnapshot(configHistoryDir, id);
+    if (!snapshot) {
+      return res.status(404).json({ error: `Version ${id} not found` });
+    }
+    res.json(snapshot);
+  } catch (error) {
+    console.error(`Error getting config version ${id}:`, error.message);
+    res.status(500).json({ error: `Failed to get config version ${id}` });
+  }
+});
+
+app.post("/api/config/history/:id/restore", (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const { configHistoryDir } = getAppPaths();
+    let snapshot;
+    try {
+      snapshot = getSnapshot(configHistoryDir, id);
+    } catch (error) {
+      return res
+        .status(400)
+        .json({ error: `Version ${id} can't be read: ${error.message}` });
+    }
+    if (!snapshot) {
+      return res.status(404).json({ error: `Version ${id} not found` });
+    }
+
+    // A history file may have been edited or damaged since it was recorded
+    const errors =
+      snapshot.file === "providers"
+        ? validateProvidersConfig(snapshot.content)
+        : validateWorkspacesConfig(snapshot.content, getRealProviders());
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: `Version ${id} is not a valid ${snapshot.file} config`,
+        errors,
+      });
+    }
+
+    const { providersPath, workspacesPath } = getConfigPaths();
+    writeJSONFileAtomic(
+      snapshot.file === "providers" ? providersPath : workspacesPath,
+      snapshot.content
+    );
+
+    res.json({
+      success: true,
+      message: `Restored ${snapshot.file} config from ${snapshot.timestamp}`,
+    });
+  } catch (error) {
+    console.error(`Error restoring config version ${id}:`, error.message);
+    res.status(500).json({ error: `Failed to restore config version ${id}` });
+  }
+});
+
+// Unknown API routes get a JSON 404 instead of the SPA's index.html
+app.all("/api/*", (req, res) => {
+  res.status(404).json({ error: `No API route for ${req.method} ${req.path}` });
+});
+
+// Body parser failures, answered in the same shape as the routes' errors
+app.use((error, req, res, next) => {
+  if (error.type === "entity.too.large") {
+    return res.status(413).json({
+      error: `Request body is larger than the ${MAX_BODY_SIZE} limit`,
+    });
+  }
+  if (error.type === "entity.parse.failed") {
+    return res.status(400).json({ error: "Request body is not valid JSON" });
+  }
+  next(error);
+});
+
 // Catch all handler: send back React's index.html file for SPA routing
 app.get("*", (req, res) => {
   res.sendFile(path.join(__dirname, "dist", "index.html"));
@@ -740,10 +2180,43 @@ async function startServer() {
   // Initialize YAMCP modules
   await initializeYAMCP();
 
+  // Probe servers in the background, now and periodically. A stdio probe
+  // spawns the server's command (which may download a package), so stdio
+  // servers are only probed here while yamcp-ui is running them; the others
+  // wait for an explicit check from the dashboard.
+  const runProbes = () =>
+    probeAll(getRealProviders(), {
+      only: (name, provider) =>
+        provider.type !== "stdio" || isProcessActive(serverProcessId(name)),
+    }).catch((error) => console.error("Error probing servers:", error.message));
+  runProbes();
+  setInterval(runProbes, PROBE_INTERVAL_MS).unref();
+
+  // Keep the log directory within the configured retention policy
+  const runRetention = () => {
+    try {
+      const { logRetention } = loadSettings(getAppPaths().settingsPath);
+      if (logRetention.maxAgeDays || logRetention.maxTotalSizeMB) {
+        enforceRetention(getConfigPaths().logDir, logRetention);
+      }
+    } catch (error) {
+      console.error("Error enforcing log retention:", error.message);
+    }
+  };
+  runRetention();
+  setInterval(runRetention, RETENTION_INTERVAL_MS).unref();
+
   // Try to start server with error handling
-  const server = app.listen(PORT, "0.0.0.0", () => {
+  const server = app.listen(PORT, HOST, () => {
     console.log(`Server running on http://localhost:${PORT}`);
-    console.log("🔒 API access restricted to web interface only");
+    // A token from YAMCP_UI_TOKEN was already shown by bin/yamcp-ui.js or
+    // chosen by the user
+    if (!process.env.YAMCP_UI_TOKEN) {
+      console.log(
+        `🔑 Open http://localhost:${PORT}/?${TOKEN_QUERY_PARAM}=${ACCESS_TOKEN}`
+      );
+    }
+    console.log("🔒 API access requires the access token");
   });
 
   // Handle port in use error
@@ -788,9 +2261,12 @@ startServer().then(server => {
   const gracefulShutdown = (signal) => {
     console.log(`\nReceived ${signal}, shutting down...`);
     
+    // Stop managed MCP processes before the HTTP server goes away
+    const processesStopped = stopAllProcesses({ timeoutMs: 3000 });
+
     server.close(() => {
       console.log('Server closed.');
-      process.exit(0);
+      processesStopped.finally(() => process.exit(0));
     });
 
     // Force close connections
@@ -0,0 +1,59 @@
+import crypto from "crypto";
+
+// Every /api request must carry the access token, either in the cookie set
+// when the launch URL (/?token=...) is opened or as a bearer token for
+// scripts. The token is generated at startup unless YAMCP_UI_TOKEN fixes it.
+export const TOKEN_QUERY_PARAM = "token";
+
+export function generateAccessToken() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
+// Cookies are shared across ports, so each port gets its own name
+export function tokenCookieName(port) {
+  return `yamcp_ui_token_${port}`;
+}
+
+// Constant-time comparison; hashing first evens out the lengths
+export function tokensMatch(expected, candidate) {
+  if (typeof candidate !== "string" || candidate === "") return false;
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(digest(expected), digest(candidate));
+}
+
+export function readCookie(cookieHeader, name) {
+  for (const part of (cookieHeader || "").split(";")) {
+    const separator = part.indexOf("=");
+    if (separator === -1) continue;
+    if (part.slice(0, separator).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(separator + 1).trim());
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+export function readBearerToken(authorizationHeader) {
+  const match = /^Bearer\s+(.+)$/i.exec(authorizationHeader || "");
+  return match ? match[1].trim() : null;
+}
+
+// State-changing API requests authenticated by the cookie must also echo the
+// CSRF token in a header. The token sits in a cookie the page can read (but
+// other sites can't), and is derived from the access token so it stays valid
+// across restarts with a fixed token.
+export const CSRF_HEADER = "X-CSRF-Token";
+
+export function csrfCookieName(port) {
+  return `yamcp_ui_csrf_${port}`;
+}
+
+export function deriveCsrfToken(accessToken) {
+  return crypto
+    .createHmac("sha256", accessToken)
+    .update("csrf")
+    .digest("base64url");
+}
@@ -0,0 +1,120 @@
+import { listTools } from "./inspector.mjs";
+
+// YAMCP exposes each tool as "<namespace>_<tool>" through the gateway
+const NAMESPACE_SEPARATOR = "_";
+// Clients such as Cursor stop offering tools beyond roughly this many
+export const DEFAULT_TOOL_BUDGET = 40;
+// Word-overlap (Jaccard) score above which two descriptions are flagged
+const SIMILARITY_THRESHOLD = 0.7;
+// Descriptions with fewer words than this are too short to compare
+const MIN_DESCRIPTION_WORDS = 4;
+
+function descriptionWords(description) {
+  return new Set(
+    (description || "")
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((word) => word.length > 2)
+  );
+}
+
+function similarity(a, b) {
+  let shared = 0;
+  for (const word of a) {
+    if (b.has(word)) shared++;
+  }
+  const union = a.size + b.size - shared;
+  return union === 0 ? 0 : shared / union;
+}
+
+// Group entries by a key, keeping only groups with more than one entry
+function findDuplicates(entries, keyOf) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = keyOf(entry);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  }
+  return [...groups.entries()]
+    .filter(([, group]) => group.length > 1)
+    .map(([name, group]) => ({
+      name,
+      servers: group.map((entry) => entry.server),
+    }));
+}
+
+// Collect the tool lists of every server in a workspace and report name
+// collisions, near-duplicate descriptions and the total against a budget
+export async function analyzeWorkspace(
+  serverNames,
+  providers,
+  { budget = DEFAULT_TOOL_BUDGET } = {}
+) {
+  const servers = [];
+  const tools = [];
+
+  // Sequential on purpose: stdio servers are spawned one at a time
+  for (const server of serverNames) {
+    const provider = providers[server];
+    if (!provider) {
+      servers.push({ name: server, toolCount: 0, error: "Server not found" });
+      continue;
+    }
+
+    try {
+      const items = await listTools(provider);
+      const namespace = provider.namespace || server;
+      servers.push({ name: server, toolCount: items.length, error: null });
+      for (const tool of items) {
+        tools.push({
+          server,
+          name: tool.name,
+          namespacedName: `${namespace}${NAMESPACE_SEPARATOR}${tool.name}`,
+          description: tool.description || "",
+        });
+      }
+    } catch (error) {
+      servers.push({ name: server, toolCount: 0, error: error.message });
+    }
+  }
+
+  // Same bare name on several servers: namespacing keeps them apart, but
+  // models often confuse them
+  const duplicateNames = findDuplicates(tools, (tool) => tool.name);
+  // Same name after namespacing: one tool will shadow the other
+  const namespaceCollisions = findDuplicates(
+    tools,
+    (tool) => tool.namespacedName
+  );
+
+  const similarDescriptions = [];
+  const words = tools.map((tool) => descriptionWords(tool.description));
+  for (let i = 0; i < tools.length; i++) {
+    if (words[i].size < MIN_DESCRIPTION_WORDS) continue;
+    for (let j = i + 1; j < tools.length; j++) {
+      if (words[j].size < MIN_DESCRIPTION_WORDS) continue;
+      const score = similarity(words[i], words[j]);
+      if (score >= SIMILARITY_THRESHOLD) {
+        similarDescriptions.push({
+          tools: [
+            { server: tools[i].server, name: tools[i].name },
+            { server: tools[j].server, name: tools[j].name },
+          ],
+          similarity: Math.round(score * 100) / 100,
+        });
+      }
+    }
+  }
+
+  return {
+    totalTools: tools.length,
+    budget,
+    overBudget: tools.length > budget,
+    servers,
+    tools,
+    duplicateNames,
+    namespaceCollisions,
+    similarDescriptions,
+    analyzedAt: new Date().toISOString(),
+  };
+}
@@ -0,0 +1,127 @@
+// Bulk changes to servers and workspaces, sent to POST /api/batch as a list
+// of operations. Each action names the fields it takes.
+export const BATCH_ACTIONS = {
+  deleteServer: ["server"],
+  deleteWorkspace: ["workspace"],
+  addToWorkspace: ["workspace", "servers"],
+  removeFromWorkspace: ["workspace", "servers"],
+  startServer: ["server"],
+  stopServer: ["server"],
+  startWorkspace: ["workspace"],
+  stopWorkspace: ["workspace"],
+};
+
+// Actions that start or stop a process rather than change the config
+export const PROCESS_ACTIONS = [
+  "startServer",
+  "stopServer",
+  "startWorkspace",
+  "stopWorkspace",
+];
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+// Apply the config operations, in order, to copies of providers.json and
+// workspaces.json. Every operation sees the changes of the ones before it.
+// Returns the new file contents and which of them changed, the servers and
+// workspaces deleted, one result per operation, and `errors` as
+// { path, message } for operations that can't be applied. Process actions
+// only have their target checked here, against the final config, and are
+// left for the caller to run.
+export function planBatch(operations, currentProviders, currentWorkspaces) {
+  const providers = structuredClone(currentProviders);
+  const workspaces = structuredClone(currentWorkspaces);
+  const changed = { providers: false, workspaces: false };
+  const deleted = { servers: [], workspaces: [] };
+  const results = [];
+  const errors = [];
+
+  const fail = (index, field, message) =>
+    errors.push({ path: ["operations", index, field], message });
+
+  operations.forEach((operation, index) => {
+    const { action, server, workspace, servers } = operation;
+    const result = { index, action, ok: true, message: "" };
+    results.push(result);
+
+    if (PROCESS_ACTIONS.includes(action)) return;
+
+    if (workspace !== undefined && !workspaces[workspace]) {
+      fail(index, "workspace", `Workspace ${workspace} not found`);
+      return;
+    }
+
+    switch (action) {
+      case "deleteServer": {
+        if (!providers[server]) {
+          fail(index, "server", `Server ${server} not found`);
+          return;
+        }
+        delete providers[server];
+        changed.providers = true;
+        deleted.servers.push(server);
+
+        // Drop the server from the workspaces that list it
+        const usedBy = [];
+        for (const [name, serverNames] of Object.entries(workspaces)) {
+          if (serverNames.includes(server)) {
+            workspaces[name] = serverNames.filter((item) => item !== server);
+            usedBy.push(name);
+          }
+        }
+        if (usedBy.length > 0) changed.workspaces = true;
+        result.message =
+          usedBy.length > 0
+            ? `Server ${server} deleted and removed from ${usedBy.join(", ")}`
+            : `Server ${server} deleted`;
+        return;
+      }
+      case "deleteWorkspace":
+        delete workspaces[workspace];
+        changed.workspaces = true;
+        deleted.workspaces.push(workspace);
+        result.message = `Workspace ${workspace} deleted`;
+        return;
+      case "addToWorkspace": {
+        const missing = servers.filter((name) => !providers[name]);
+        if (missing.length > 0) {
+          fail(index, "servers", `Server ${missing.join(", ")} not found`);
+          return;
+        }
+        const added = [...new Set(servers)].filter(
+          (name) => !workspaces[workspace].includes(name)
+        );
+        if (added.length > 0) {
+          workspaces[workspace] = [...workspaces[workspace], ...added];
+          changed.workspaces = true;
+        }
+        result.message = `Added ${plural(added.length, "server")} to ${workspace}`;
+        return;
+      }
+      case "removeFromWorkspace": {
+        const before = workspaces[workspace].length;
+        workspaces[workspace] = workspaces[workspace].filter(
+          (name) => !servers.includes(name)
+        );
+        const removed = before - workspaces[workspace].length;
+        if (removed > 0) changed.workspaces = true;
+        result.message = `Removed ${plural(removed, "server")} from ${workspace}`;
+        return;
+      }
+    }
+  });
+
+  // Processes are started and stopped once the config is saved, so their
+  // targets have to survive the whole batch
+  operations.forEach(({ action, server, workspace }, index) => {
+    if (!PROCESS_ACTIONS.includes(action)) return;
+    if (server !== undefined && !providers[server]) {
+      fail(index, "server", `Server ${server} not found`);
+    }
+    if (workspace !== undefined && !workspaces[workspace]) {
+      fail(index, "workspace", `Workspace ${workspace} not found`);
+    }
+  });
+
+  return { providers, workspaces, changed, deleted, results, errors };
+}
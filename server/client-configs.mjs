@@ -0,0 +1,208 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { diffJson } from "./config-history.mjs";
+
+// MCP client config files that servers can be imported from and workspaces
+// installed into. VS Code reads .vscode/mcp.json from the workspace folder,
+// taken here as the directory yamcp-ui was started in (getLaunchDir). `serverKey` is the
+// object holding the servers; `envVar` overrides the path, e.g. for testing.
+export const CLIENTS = [
+  {
+    id: "claude-desktop",
+    name: "Claude Desktop",
+    serverKey: "mcpServers",
+    envVar: "YAMCP_UI_CLAUDE_DESKTOP_CONFIG",
+  },
+  {
+    id: "cursor",
+    name: "Cursor",
+    serverKey: "mcpServers",
+    envVar: "YAMCP_UI_CURSOR_CONFIG",
+  },
+  {
+    id: "vscode",
+    name: "VS Code",
+    serverKey: "servers",
+    envVar: "YAMCP_UI_VSCODE_CONFIG",
+  },
+];
+
+// Directory yamcp-ui was started in. bin/yamcp-ui.js runs the server from
+// the package directory and passes the user's directory as YAMCP_UI_CWD.
+export function getLaunchDir() {
+  return process.env.YAMCP_UI_CWD || process.cwd();
+}
+
+function claudeDesktopConfigPath() {
+  const home = os.homedir();
+  switch (process.platform) {
+    case "darwin":
+      return path.join(
+        home,
+        "Library",
+        "Application Support",
+        "Claude",
+        "claude_desktop_config.json"
+      );
+    case "win32":
+      return path.join(
+        process.env.APPDATA || path.join(home, "AppData", "Roaming"),
+        "Claude",
+        "claude_desktop_config.json"
+      );
+    default:
+      return path.join(home, ".config", "Claude", "claude_desktop_config.json");
+  }
+}
+
+export function getClientConfigPath(clientId) {
+  const client = CLIENTS.find((candidate) => candidate.id === clientId);
+  if (client && process.env[client.envVar]) {
+    return resolveUserPath(process.env[client.envVar]);
+  }
+
+  switch (clientId) {
+    case "claude-desktop":
+      return claudeDesktopConfigPath();
+    case "cursor":
+      return path.join(os.homedir(), ".cursor", "mcp.json");
+    case "vscode":
+      return path.join(getLaunchDir(), ".vscode", "mcp.json");
+    default:
+      return null;
+  }
+}
+
+// Known client config files and whether they exist on this machine
+export function detectClientConfigs() {
+  return CLIENTS.map((client) => {
+    const configPath = getClientConfigPath(client.id);
+    return {
+      id: client.id,
+      name: client.name,
+      path: configPath,
+      exists: fs.existsSync(configPath),
+    };
+  });
+}
+
+// Expand a leading ~ so users can paste paths the way their docs show them.
+// Relative paths are taken from the directory yamcp-ui was started in.
+export function resolveUserPath(filePath) {
+  if (filePath === "~" || filePath.startsWith("~/")) {
+    return path.join(os.homedir(), filePath.slice(1));
+  }
+  return path.resolve(getLaunchDir(), filePath);
+}
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+// The server map of a client config: `mcpServers` for Claude Desktop and
+// Cursor, `servers` for .vscode/mcp.json, `mcp.servers` for VS Code's
+// settings.json
+function findServerMap(config) {
+  if (!isPlainObject(config)) return null;
+  if (isPlainObject(config.mcpServers)) return config.mcpServers;
+  if (isPlainObject(config.servers)) return config.servers;
+  if (isPlainObject(config.mcp) && isPlainObject(config.mcp.servers)) {
+    return config.mcp.servers;
+  }
+  return null;
+}
+
+// Map one client entry to a YAMCP provider, or throw with the reason it
+// can't be imported
+function toProvider(name, entry) {
+  if (!isPlainObject(entry)) {
+    throw new Error("Entry is not an object");
+  }
+
+  if (typeof entry.command === "string" && entry.command.trim() !== "") {
+    return {
+      namespace: name,
+      type: "stdio",
+      providerParameters: {
+        command: entry.command,
+        args: Array.isArray(entry.args) ? entry.args.map(String) : [],
+        env: isPlainObject(entry.env)
+          ? Object.fromEntries(
+              Object.entries(entry.env).map(([key, value]) => [
+                key,
+                String(value),
+              ])
+            )
+          : {},
+      },
+    };
+  }
+
+  if (typeof entry.url === "string" && entry.url.trim() !== "") {
+    // VS Code calls streamable HTTP "http"; an untyped url entry is SSE
+    if (entry.type === "http" || entry.type === "streamable-http") {
+      return {
+        namespace: name,
+        type: "streamable-http",
+        providerParameters: {
+          url: entry.url,
+          headers: isPlainObject(entry.headers)
+            ? Object.fromEntries(
+                Object.entries(entry.headers).map(([key, value]) => [
+                  key,
+                  String(value),
+                ])
+              )
+            : {},
+        },
+      };
+    }
+    if (entry.type && entry.type !== "sse") {
+      throw new Error(`Unsupported transport type "${entry.type}"`);
+    }
+    return {
+      namespace: name,
+      type: "sse",
+      providerParameters: { url: entry.url },
+    };
+  }
+
+  throw new Error("Entry has neither a command nor a url");
+}
+
+// Parse a client config into providers, with the entries that were skipped
+// and why. Throws if the config has no server map at all.
+export function parseClientConfig(config) {
+  const serverMap = findServerMap(config);
+  if (!serverMap) {
+    throw new Error(
+      "No MCP servers found. Expected an mcpServers, servers or mcp.servers object."
+    );
+  }
+
+  const providers = [];
+  const skipped = [];
+  for (const [name, entry] of Object.entries(serverMap)) {
+    try {
+      providers.push({ name, provider: toProvider(name, entry) });
+    } catch (error) {
+      skipped.push({ name, reason: error.message });
+    }
+  }
+  return { providers, skipped };
+}
+
+// How each parsed provider relates to the existing providers.json:
+// "new", "identical" or "conflict" (same name, different configuration)
+export function previewImport(parsed, existingProviders) {
+  return parsed.map(({ name, provider }) => {
+    const existing = existingProviders[name];
+    let status = "new";
+    if (existing) {
+      status =
+        diffJson(existing, provider).length === 0 ? "identical" : "conflict";
+    }
+    return { name, provider, status, existing: existing || null };
+  });
+}
@@ -0,0 +1,139 @@
+import fs from "fs";
+import { CLIENTS, getClientConfigPath } from "./client-configs.mjs";
+import { diffJson } from "./config-history.mjs";
+import { writeJSONFileAtomic } from "./json-file.mjs";
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function getClient(clientId) {
+  const client = CLIENTS.find((candidate) => candidate.id === clientId);
+  if (!client) throw new Error(`Unknown client: ${clientId}`);
+  return client;
+}
+
+// The entry that runs a workspace through the yamcp gateway
+function workspaceEntry(client, workspaceName) {
+  const entry = { command: "yamcp", args: ["run", workspaceName] };
+  // .vscode/mcp.json entries name their transport
+  return client.id === "vscode" ? { type: "stdio", ...entry } : entry;
+}
+
+// Read a client config, treating a missing file as empty. Invalid JSON is an
+// error: rewriting the file would lose whatever the user has in it.
+function readClientConfig(configPath) {
+  if (!fs.existsSync(configPath)) return {};
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, "utf-8"));
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${configPath}: ${error.message}`);
+  }
+  if (!isPlainObject(config)) {
+    throw new Error(`${configPath} does not contain a JSON object`);
+  }
+  return config;
+}
+
+// Every version of a client config yamcp-ui replaces is kept next to it as
+// <file>.yamcp-ui-<timestamp>.bak, so the user's original survives any number
+// of installs. Returns the path of the backup, or null if the file is new.
+function writeClientConfig(configPath, config) {
+  let backupPath = null;
+  if (fs.existsSync(configPath)) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+    backupPath = `${configPath}.yamcp-ui-${timestamp}.bak`;
+    fs.copyFileSync(configPath, backupPath, fs.constants.COPYFILE_EXCL);
+  }
+  writeJSONFileAtomic(configPath, config);
+  return backupPath;
+}
+
+// Install status of a workspace in every known client: "installed",
+// "different" (an entry with the workspace's name runs something else) or
+// "not-installed"
+export function getInstallStatus(workspaceName) {
+  return CLIENTS.map((client) => {
+    const configPath = getClientConfigPath(client.id);
+    const result = {
+      id: client.id,
+      name: client.name,
+      path: configPath,
+      exists: fs.existsSync(configPath),
+      status: "not-installed",
+      error: null,
+    };
+
+    try {
+      const servers = readClientConfig(configPath)[client.serverKey];
+      const entry = isPlainObject(servers) ? servers[workspaceName] : null;
+      if (entry) {
+        result.status = isWorkspaceEntry(client, workspaceName, entry)
+          ? "installed"
+          : "different";
+      }
+    } catch (error) {
+      result.error = error.message;
+    }
+    return result;
+  });
+}
+
+function isWorkspaceEntry(client, workspaceName, entry) {
+  return diffJson(workspaceEntry(client, workspaceName), entry).length === 0;
+}
+
+// Add the workspace entry, leaving every other server alone. An entry of the
+// same name that runs something else is the user's own server; it is only
+// replaced with `overwrite`, else null is returned.
+export function installWorkspace(
+  clientId,
+  workspaceName,
+  { overwrite = false } = {}
+) {
+  const client = getClient(clientId);
+  const configPath = getClientConfigPath(clientId);
+  const config = readClientConfig(configPath);
+
+  const servers = isPlainObject(config[client.serverKey])
+    ? config[client.serverKey]
+    : {};
+  const existing = servers[workspaceName];
+  if (
+    existing &&
+    !overwrite &&
+    !isWorkspaceEntry(client, workspaceName, existing)
+  ) {
+    return null;
+  }
+  config[client.serverKey] = {
+    ...servers,
+    [workspaceName]: workspaceEntry(client, workspaceName),
+  };
+
+  const backupPath = writeClientConfig(configPath, config);
+  return { path: configPath, backupPath };
+}
+
+// Remove the workspace entry. Returns null if there is no entry that
+// yamcp-ui installed; an entry of the same name that runs something else is
+// left alone.
+export function uninstallWorkspace(clientId, workspaceName) {
+  const client = getClient(clientId);
+  const configPath = getClientConfigPath(clientId);
+  const config = readClientConfig(configPath);
+
+  const servers = config[client.serverKey];
+  if (
+    !isPlainObject(servers) ||
+    !servers[workspaceName] ||
+    !isWorkspaceEntry(client, workspaceName, servers[workspaceName])
+  ) {
+    return null;
+  }
+
+  delete servers[workspaceName];
+  const backupPath = writeClientConfig(configPath, config);
+  return { path: configPath, backupPath };
+}
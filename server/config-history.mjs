@@ -0,0 +1,123 @@
+import fs from "fs";
+import path from "path";
+import { writeJSONFileAtomic } from "./json-file.mjs";
+
+export const CONFIG_FILES = ["providers", "workspaces"];
+// Older snapshots are pruned once a file has more than this many
+const MAX_SNAPSHOTS_PER_FILE = 100;
+
+const SNAPSHOT_ID_PATTERN = /^\d+-\d{4}-(providers|workspaces)$/;
+
+// Distinguishes snapshots taken in the same millisecond
+let sequence = 0;
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+// Snapshot file names sort chronologically: <ms>-<sequence>-<file>.json
+function snapshotIds(historyDir, file = null) {
+  if (!fs.existsSync(historyDir)) return [];
+  return fs
+    .readdirSync(historyDir)
+    .filter((name) => name.endsWith(".json"))
+    .map((name) => name.slice(0, -".json".length))
+    .filter((id) => SNAPSHOT_ID_PATTERN.test(id))
+    .filter((id) => !file || id.endsWith(`-${file}`))
+    .sort();
+}
+
+export function getSnapshot(historyDir, id) {
+  if (!SNAPSHOT_ID_PATTERN.test(id)) return null;
+  const snapshotPath = path.join(historyDir, `${id}.json`);
+  if (!fs.existsSync(snapshotPath)) return null;
+  return JSON.parse(fs.readFileSync(snapshotPath, "utf-8"));
+}
+
+// Snapshot metadata, newest first
+export function listSnapshots(historyDir, file = null) {
+  return snapshotIds(historyDir, file)
+    .reverse()
+    .map((id) => {
+      const { content, ...metadata } = getSnapshot(historyDir, id);
+      return metadata;
+    });
+}
+
+// Store the current content of a config file if it differs from the latest
+// snapshot of that file. `source` records what changed it, e.g. the route.
+export function recordSnapshot(historyDir, file, filePath, source) {
+  if (!fs.existsSync(filePath)) return null;
+
+  let content;
+  try {
+    content = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (error) {
+    console.error(`Error reading ${filePath} for history:`, error.message);
+    return null;
+  }
+
+  const ids = snapshotIds(historyDir, file);
+  const latest = ids.length > 0 ? getSnapshot(historyDir, ids.at(-1)) : null;
+  if (latest && JSON.stringify(latest.content) === JSON.stringify(content)) {
+    return null;
+  }
+
+  const now = new Date();
+  const suffix = String(sequence++ % 10000).padStart(4, "0");
+  const id = `${now.getTime()}-${suffix}-${file}`;
+  const snapshot = {
+    id,
+    file,
+    timestamp: now.toISOString(),
+    source,
+    content,
+  };
+  writeJSONFileAtomic(path.join(historyDir, `${id}.json`), snapshot);
+
+  // Drop the oldest snapshots beyond the limit
+  const excess = ids.length + 1 - MAX_SNAPSHOTS_PER_FILE;
+  for (const oldId of ids.slice(0, Math.max(0, excess))) {
+    fs.rmSync(path.join(historyDir, `${oldId}.json`), { force: true });
+  }
+
+  return snapshot;
+}
+
+// Structural differences between two JSON values, as a list of
+// { path, type: "added" | "removed" | "changed", before, after }
+export function diffJson(before, after, currentPath = [], changes = []) {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const key of [...keys].sort()) {
+      const keyPath = [...currentPath, key];
+      if (!(key in before)) {
+        changes.push({ path: keyPath, type: "added", after: after[key] });
+      } else if (!(key in after)) {
+        changes.push({ path: keyPath, type: "removed", before: before[key] });
+      } else {
+        diffJson(before[key], after[key], keyPath, changes);
+      }
+    }
+  } else if (Array.isArray(before) && Array.isArray(after)) {
+    const length = Math.max(before.length, after.length);
+    for (let index = 0; index < length; index++) {
+      const itemPath = [...currentPath, index];
+      if (index >= before.length) {
+        changes.push({ path: itemPath, type: "added", after: after[index] });
+      } else if (index >= after.length) {
+        changes.push({
+          path: itemPath,
+          type: "removed",
+          before: before[index],
+        });
+      } else {
+        diffJson(before[index], after[index], itemPath, changes);
+      }
+    }
+  } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+    changes.push({ path: currentPath, type: "changed", before, after });
+  }
+
+  return changes;
+}
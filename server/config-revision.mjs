@@ -0,0 +1,21 @@
+import crypto from "crypto";
+import fs from "fs";
+
+// Revision of a config file: a hash of its bytes, quoted like an ETag. A
+// missing file has a revision too, so creating it can be guarded as well.
+export function getFileRevision(filePath) {
+  const content = fs.existsSync(filePath) ? fs.readFileSync(filePath) : "";
+  const hash = crypto.createHash("sha256").update(content).digest("hex");
+  return `"${hash.slice(0, 16)}"`;
+}
+
+// True when an If-Match header allows writing over `revision`. Requests
+// without the header are let through so scripts and older clients keep
+// working.
+export function matchesRevision(ifMatch, revision) {
+  if (!ifMatch) return true;
+  return ifMatch
+    .split(",")
+    .map((tag) => tag.trim().replace(/^W\//, ""))
+    .some((tag) => tag === "*" || tag === revision);
+}
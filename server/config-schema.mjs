@@ -0,0 +1,217 @@
+// Structural checks for providers.json and workspaces.json. Each error has
+// the path of the offending value (object keys and array indexes) so the
+// JSON editor can point at it.
+
+export const PROVIDER_TYPES = ["stdio", "sse", "streamable-http"];
+
+// HTTP header field names are RFC 9110 tokens
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim() !== "";
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch (error) {
+    return false;
+  }
+}
+
+function validateStdioParameters(parameters, path, errors) {
+  if (!isNonEmptyString(parameters.command)) {
+    errors.push({
+      path: [...path, "command"],
+      message: "command is required for stdio servers",
+    });
+  }
+
+  if (parameters.args !== undefined) {
+    if (!Array.isArray(parameters.args)) {
+      errors.push({
+        path: [...path, "args"],
+        message: "args must be an array",
+      });
+    } else {
+      parameters.args.forEach((arg, index) => {
+        if (typeof arg !== "string") {
+          errors.push({
+            path: [...path, "args", index],
+            message: "Each argument must be a string",
+          });
+        }
+      });
+    }
+  }
+
+  if (parameters.env !== undefined) {
+    if (!isPlainObject(parameters.env)) {
+      errors.push({ path: [...path, "env"], message: "env must be an object" });
+    } else {
+      for (const [key, value] of Object.entries(parameters.env)) {
+        // The OS can't pass these names to a child process
+        if (key === "" || /[=\0]/.test(key)) {
+          errors.push({
+            path: [...path, "env", key],
+            message: `"${key}" is not a valid environment variable name`,
+          });
+        } else if (typeof value !== "string") {
+          errors.push({
+            path: [...path, "env", key],
+            message: "Environment values must be strings",
+          });
+        }
+      }
+    }
+  }
+}
+
+// sse and streamable-http servers: a URL, plus request headers for
+// streamable-http
+function validateHttpParameters(type, parameters, path, errors) {
+  if (!isNonEmptyString(parameters.url)) {
+    errors.push({
+      path: [...path, "url"],
+      message: `url is required for ${type} servers`,
+    });
+  } else if (!isHttpUrl(parameters.url)) {
+    errors.push({
+      path: [...path, "url"],
+      message: "url must be an http:// or https:// URL",
+    });
+  }
+
+  if (type !== "streamable-http" || parameters.headers === undefined) return;
+  if (!isPlainObject(parameters.headers)) {
+    errors.push({
+      path: [...path, "headers"],
+      message: "headers must be an object",
+    });
+    return;
+  }
+  for (const [name, value] of Object.entries(parameters.headers)) {
+    if (!HEADER_NAME_PATTERN.test(name)) {
+      errors.push({
+        path: [...path, "headers", name],
+        message: `"${name}" is not a valid header name`,
+      });
+    } else if (typeof value !== "string" || /[\r\n]/.test(value)) {
+      errors.push({
+        path: [...path, "headers", name],
+        message: "Header values must be single-line strings",
+      });
+    }
+  }
+}
+
+export function validateProvidersConfig(config) {
+  const errors = [];
+
+  if (!isPlainObject(config)) {
+    return [{ path: [], message: "Providers config must be an object" }];
+  }
+
+  for (const [name, provider] of Object.entries(config)) {
+    if (!isNonEmptyString(name)) {
+      errors.push({ path: [name], message: "Server name must not be empty" });
+    }
+    if (!isPlainObject(provider)) {
+      errors.push({ path: [name], message: "Server must be an object" });
+      continue;
+    }
+
+    if (
+      provider.namespace !== undefined &&
+      !isNonEmptyString(provider.namespace)
+    ) {
+      errors.push({
+        path: [name, "namespace"],
+        message: "namespace must be a non-empty string",
+      });
+    }
+
+    if (!PROVIDER_TYPES.includes(provider.type)) {
+      errors.push({
+        path: [name, "type"],
+        message: `type must be one of: ${PROVIDER_TYPES.join(", ")}`,
+      });
+    }
+
+    const parametersPath = [name, "providerParameters"];
+    if (!isPlainObject(provider.providerParameters)) {
+      errors.push({
+        path: parametersPath,
+        message: "providerParameters must be an object",
+      });
+    } else if (provider.type === "stdio") {
+      validateStdioParameters(
+        provider.providerParameters,
+        parametersPath,
+        errors
+      );
+    } else if (PROVIDER_TYPES.includes(provider.type)) {
+      validateHttpParameters(
+        provider.type,
+        provider.providerParameters,
+        parametersPath,
+        errors
+      );
+    }
+  }
+
+  return errors;
+}
+
+// Workspaces map names to lists of provider keys that must exist in providers
+export function validateWorkspacesConfig(config, providers) {
+  const errors = [];
+
+  if (!isPlainObject(config)) {
+    return [{ path: [], message: "Workspaces config must be an object" }];
+  }
+
+  for (const [name, servers] of Object.entries(config)) {
+    if (!isNonEmptyString(name)) {
+      errors.push({
+        path: [name],
+        message: "Workspace name must not be empty",
+      });
+    }
+    if (!Array.isArray(servers)) {
+      errors.push({
+        path: [name],
+        message: "Workspace must be an array of server names",
+      });
+      continue;
+    }
+
+    const seen = new Set();
+    servers.forEach((server, index) => {
+      if (typeof server !== "string") {
+        errors.push({
+          path: [name, index],
+          message: "Server name must be a string",
+        });
+      } else if (!Object.prototype.hasOwnProperty.call(providers, server)) {
+        errors.push({
+          path: [name, index],
+          message: `Unknown server "${server}"`,
+        });
+      } else if (seen.has(server)) {
+        errors.push({
+          path: [name, index],
+          message: `Server "${server}" is listed more than once`,
+        });
+      }
+      seen.add(server);
+    });
+  }
+
+  return errors;
+}
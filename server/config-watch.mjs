@@ -0,0 +1,129 @@
+import fs from "fs";
+import path from "path";
+import { getFileRevision } from "./config-revision.mjs";
+
+// Editors and the yamcp CLI often write a file in several steps; wait for
+// the events to settle before reading the new revision
+const DEBOUNCE_MS = 300;
+// Periodic check for changes the directory watchers missed, and for config
+// directories that didn't exist yet when watching started
+const RESCAN_INTERVAL_MS = 5000;
+
+// Subscribers to config changes; the watcher only runs while there are any
+const listeners = new Set();
+let watcher = null;
+
+function emit(change) {
+  for (const listener of listeners) {
+    try {
+      listener(change);
+    } catch (error) {
+      console.error("Error delivering config change:", error.message);
+    }
+  }
+}
+
+// Compare a file's revision with the last one seen and report a change
+function check(target, file) {
+  const filePath = target.files[file];
+  const revision = getFileRevision(filePath);
+  if (revision === target.revisions.get(file)) return;
+
+  target.revisions.set(file, revision);
+  emit({ file, revision, timestamp: new Date().toISOString() });
+}
+
+function scheduleCheck(target, file) {
+  clearTimeout(target.timers.get(file));
+  const timer = setTimeout(() => {
+    target.timers.delete(file);
+    try {
+      check(target, file);
+    } catch (error) {
+      console.error(`Error checking ${file} config:`, error.message);
+    }
+  }, DEBOUNCE_MS);
+  target.timers.set(file, timer);
+}
+
+// Watch the directories rather than the files: atomic writes replace the
+// file, which would silently end a watch on the old one
+function watchDirectories(target) {
+  for (const [file, filePath] of Object.entries(target.files)) {
+    const dirPath = path.dirname(filePath);
+    if (target.watchers.has(dirPath) || !fs.existsSync(dirPath)) continue;
+
+    try {
+      const dirWatcher = fs.watch(dirPath, (eventType, fileName) => {
+        for (const [name, namePath] of Object.entries(target.files)) {
+          if (
+            path.dirname(namePath) === dirPath &&
+            (!fileName || fileName === path.basename(namePath))
+          ) {
+            scheduleCheck(target, name);
+          }
+        }
+      });
+      dirWatcher.on("error", () => {
+        dirWatcher.close();
+        target.watchers.delete(dirPath);
+      });
+      target.watchers.set(dirPath, dirWatcher);
+    } catch (error) {
+      console.error(`Error watching ${file} config:`, error.message);
+    }
+  }
+}
+
+function startWatcher(files) {
+  const target = {
+    files,
+    revisions: new Map(),
+    timers: new Map(),
+    watchers: new Map(),
+    interval: null,
+  };
+  for (const [file, filePath] of Object.entries(files)) {
+    target.revisions.set(file, getFileRevision(filePath));
+  }
+  watchDirectories(target);
+
+  target.interval = setInterval(() => {
+    watchDirectories(target);
+    for (const file of Object.keys(files)) {
+      scheduleCheck(target, file);
+    }
+  }, RESCAN_INTERVAL_MS);
+  target.interval.unref();
+  return target;
+}
+
+function stopWatcher(target) {
+  clearInterval(target.interval);
+  for (const timer of target.timers.values()) {
+    clearTimeout(timer);
+  }
+  for (const dirWatcher of target.watchers.values()) {
+    dirWatcher.close();
+  }
+}
+
+// Calls listener with { file, revision, timestamp } whenever one of `files`
+// (a map of name to path) changes on disk. Returns a function that
+// unsubscribes.
+export function subscribeToConfigChanges(files, listener) {
+  if (watcher && JSON.stringify(watcher.files) !== JSON.stringify(files)) {
+    stopWatcher(watcher);
+    watcher = null;
+  }
+  if (!watcher) watcher = startWatcher(files);
+  listeners.add(listener);
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0 && watcher) {
+      stopWatcher(watcher);
+      watcher = null;
+    }
+  };
+}
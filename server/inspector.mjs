@@ -0,0 +1,127 @@
+import { connectMcp } from "./mcp-client.mjs";
+
+const INSPECT_TIMEOUT_MS = 15000;
+// Tool calls may do real work (fetching, searching, ...), so allow longer
+const CALL_TIMEOUT_MS = 60000;
+// Upper bound on pages fetched per list, in case a server never stops paging
+const MAX_PAGES = 20;
+
+// Fetch every page of a paginated MCP list method
+async function listAll(client, method, key) {
+  const items = [];
+  let cursor;
+
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const result = await client.request(method, cursor ? { cursor } : {});
+    items.push(...(result?.[key] || []));
+    cursor = result?.nextCursor;
+    if (!cursor) break;
+  }
+
+  return items;
+}
+
+// A list the server doesn't advertise in its capabilities is reported as
+// unsupported rather than requested
+async function listCapability(client, capability, method, key) {
+  if (!client.capabilities[capability]) {
+    return { supported: false, items: [], error: null };
+  }
+
+  try {
+    return {
+      supported: true,
+      items: await listAll(client, method, key),
+      error: null,
+    };
+  } catch (error) {
+    return { supported: true, items: [], error: error.message };
+  }
+}
+
+// Connect to a provider and list only its tools
+export async function listTools(
+  provider,
+  { timeoutMs = INSPECT_TIMEOUT_MS } = {}
+) {
+  const client = await connectMcp(provider, { timeoutMs });
+
+  try {
+    const tools = await listCapability(client, "tools", "tools/list", "tools");
+    if (tools.error) throw new Error(tools.error);
+    return tools.items;
+  } finally {
+    client.close();
+  }
+}
+
+// Connect to a provider and collect the tools, resources and prompts it
+// exposes
+export async function inspectProvider(
+  provider,
+  { timeoutMs = INSPECT_TIMEOUT_MS } = {}
+) {
+  const startedAt = Date.now();
+  const client = await connectMcp(provider, { timeoutMs });
+
+  try {
+    const latencyMs = Date.now() - startedAt;
+    const tools = await listCapability(client, "tools", "tools/list", "tools");
+    const resources = await listCapability(
+      client,
+      "resources",
+      "resources/list",
+      "resources"
+    );
+    const prompts = await listCapability(
+      client,
+      "prompts",
+      "prompts/list",
+      "prompts"
+    );
+
+    return {
+      protocolVersion: client.protocolVersion,
+      serverInfo: client.serverInfo,
+      capabilities: client.capabilities,
+      instructions: client.instructions,
+      latencyMs,
+      tools,
+      resources,
+      prompts,
+      inspectedAt: new Date().toISOString(),
+    };
+  } finally {
+    client.close();
+  }
+}
+
+// Call one tool and return the raw JSON-RPC exchange with timings
+export async function callTool(
+  provider,
+  name,
+  args,
+  { timeoutMs = CALL_TIMEOUT_MS } = {}
+) {
+  const connectStartedAt = Date.now();
+  const client = await connectMcp(provider, { timeoutMs: INSPECT_TIMEOUT_MS });
+
+  try {
+    const connectMs = Date.now() - connectStartedAt;
+    const startedAt = Date.now();
+    const { request, response } = await client.exchange(
+      "tools/call",
+      { name, arguments: args },
+      { timeoutMs }
+    );
+
+    return {
+      request,
+      response,
+      connectMs,
+      durationMs: Date.now() - startedAt,
+    };
+  } finally {
+    client.close();
+  }
+}
@@ -0,0 +1,67 @@
+import fs from "fs";
+import path from "path";
+
+function tempPathFor(filePath) {
+  return path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`
+  );
+}
+
+// Write JSON to a temp file next to the target and rename it into place, so
+// a crash mid-write never leaves a truncated config behind
+export function writeJSONFileAtomic(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = tempPathFor(filePath);
+
+  try {
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+// Replace several JSON files, given as [filePath, data] pairs, so that either
+// all of them change or none does. Every file is staged in a temp file
+// before the first rename; if a rename fails, the files already renamed get
+// their previous content back.
+export function writeJSONFilesAtomic(files) {
+  const staged = [];
+  try {
+    for (const [filePath, data] of files) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const entry = {
+        filePath,
+        tempPath: tempPathFor(filePath),
+        previous: fs.existsSync(filePath) ? fs.readFileSync(filePath) : null,
+      };
+      staged.push(entry);
+      fs.writeFileSync(entry.tempPath, JSON.stringify(data, null, 2));
+    }
+
+    const renamed = [];
+    try {
+      for (const entry of staged) {
+        fs.renameSync(entry.tempPath, entry.filePath);
+        renamed.push(entry);
+      }
+    } catch (error) {
+      for (const { filePath, previous } of renamed) {
+        if (previous === null) {
+          fs.rmSync(filePath, { force: true });
+        } else {
+          const restorePath = tempPathFor(filePath);
+          fs.writeFileSync(restorePath, previous);
+          fs.renameSync(restorePath, filePath);
+        }
+      }
+      throw error;
+    }
+  } finally {
+    for (const { tempPath } of staged) {
+      fs.rmSync(tempPath, { force: true });
+    }
+  }
+}
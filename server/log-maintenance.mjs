@@ -0,0 +1,178 @@
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import { pipeline } from "stream/promises";
+import { workspaceOfLogDir } from "./log-stream.mjs";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MB = 1024 * 1024;
+
+// Result of the most recent retention run, for the Settings page
+let lastRetentionRun = null;
+
+// Every *.log file under <logDir>/<workspaceDir>/, optionally only for one
+// workspace. Workspace directories are named <workspace>_<suffix>.
+function listLogFiles(logDir, workspace = null) {
+  if (!fs.existsSync(logDir)) return [];
+
+  const files = [];
+  for (const workspaceDir of fs.readdirSync(logDir)) {
+    if (workspace && workspaceOfLogDir(workspaceDir) !== workspace) continue;
+
+    const workspacePath = path.join(logDir, workspaceDir);
+    if (!fs.statSync(workspacePath).isDirectory()) continue;
+
+    for (const file of fs.readdirSync(workspacePath)) {
+      if (!file.endsWith(".log")) continue;
+      const filePath = path.join(workspacePath, file);
+      const stats = fs.statSync(filePath);
+      files.push({
+        workspaceDir,
+        file,
+        path: filePath,
+        size: stats.size,
+        mtimeMs: stats.mtimeMs,
+      });
+    }
+  }
+  return files;
+}
+
+// Remove workspace directories left empty after their logs were deleted
+function removeEmptyDirs(logDir, files) {
+  const dirs = new Set(files.map((file) => path.dirname(file.path)));
+  for (const dir of dirs) {
+    try {
+      if (fs.readdirSync(dir).length === 0) fs.rmdirSync(dir);
+    } catch (error) {
+      // Already gone or not empty, nothing to do
+    }
+  }
+}
+
+// Gzip each file to <archiveDir>/<timestamp>/<workspaceDir>/<file>.gz
+async function archiveLogFiles(files, archiveDir) {
+  const archivePath = path.join(
+    archiveDir,
+    new Date().toISOString().replace(/[:.]/g, "-")
+  );
+
+  for (const file of files) {
+    const targetDir = path.join(archivePath, file.workspaceDir);
+    fs.mkdirSync(targetDir, { recursive: true });
+    await pipeline(
+      fs.createReadStream(file.path),
+      zlib.createGzip(),
+      fs.createWriteStream(path.join(targetDir, `${file.file}.gz`))
+    );
+  }
+
+  return archivePath;
+}
+
+// Clear the log files of one workspace, or all of them. "truncate" empties
+// the files in place, which is safe while yamcp still has them open;
+// "delete" removes them. With archiveDir set, files are gzipped there first.
+export async function clearLogs(
+  logDir,
+  { workspace = null, mode = "truncate", archiveDir = null } = {}
+) {
+  const files = listLogFiles(logDir, workspace);
+  const archivePath =
+    archiveDir && files.length > 0
+      ? await archiveLogFiles(files, archiveDir)
+      : null;
+
+  for (const file of files) {
+    if (mode === "delete") {
+      fs.unlinkSync(file.path);
+    } else {
+      fs.truncateSync(file.path, 0);
+    }
+  }
+  if (mode === "delete") removeEmptyDirs(logDir, files);
+
+  return {
+    files: files.length,
+    bytes: files.reduce((total, file) => total + file.size, 0),
+    archivePath,
+  };
+}
+
+// Check a retention policy from a request body. Both limits are optional;
+// null (or empty) means no limit.
+export function validateRetentionPolicy(policy) {
+  const errors = [];
+  const normalized = {};
+
+  for (const key of ["maxAgeDays", "maxTotalSizeMB"]) {
+    const value = policy?.[key];
+    if (value === null || value === undefined || value === "") {
+      normalized[key] = null;
+    } else if (typeof value !== "number" || !(value > 0)) {
+      errors.push(`${key} must be a positive number or null`);
+    } else {
+      normalized[key] = value;
+    }
+  }
+
+  return { policy: normalized, errors };
+}
+
+// Apply a retention policy: files not written to for maxAgeDays are deleted,
+// then the oldest files are truncated until the total fits maxTotalSizeMB.
+// Truncating rather than deleting keeps files yamcp has open usable.
+export function enforceRetention(logDir, policy) {
+  const result = {
+    deleted: 0,
+    truncated: 0,
+    freedBytes: 0,
+    totalBytes: 0,
+    ranAt: new Date().toISOString(),
+  };
+
+  let files = listLogFiles(logDir);
+
+  if (policy.maxAgeDays) {
+    const cutoff = Date.now() - policy.maxAgeDays * DAY_MS;
+    const expired = files.filter((file) => file.mtimeMs < cutoff);
+    for (const file of expired) {
+      try {
+        fs.unlinkSync(file.path);
+        result.deleted++;
+        result.freedBytes += file.size;
+      } catch (error) {
+        console.error(`Error deleting log file ${file.path}:`, error.message);
+      }
+    }
+    removeEmptyDirs(logDir, expired);
+    files = files.filter((file) => file.mtimeMs >= cutoff);
+  }
+
+  let totalBytes = files.reduce((total, file) => total + file.size, 0);
+
+  if (policy.maxTotalSizeMB) {
+    const maxBytes = policy.maxTotalSizeMB * MB;
+    const oldestFirst = [...files].sort((a, b) => a.mtimeMs - b.mtimeMs);
+    for (const file of oldestFirst) {
+      if (totalBytes <= maxBytes) break;
+      if (file.size === 0) continue;
+      try {
+        fs.truncateSync(file.path, 0);
+        result.truncated++;
+        result.freedBytes += file.size;
+        totalBytes -= file.size;
+      } catch (error) {
+        console.error(`Error truncating log file ${file.path}:`, error.message);
+      }
+    }
+  }
+
+  result.totalBytes = totalBytes;
+  lastRetentionRun = result;
+  return result;
+}
+
+export function getLastRetentionRun() {
+  return lastRetentionRun;
+}
@@ -0,0 +1,211 @@
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import { parseLogLine, workspaceOfLogDir } from "./log-stream.mjs";
+
+export const DEFAULT_PAGE_SIZE = 100;
+export const MAX_PAGE_SIZE = 1000;
+
+// Winston rotates combined.log into combined1.log, combined2.log, ...
+// error.log only repeats entries that are already in combined.log.
+const SEARCHED_FILE_PATTERN = /^combined\d*\.log$/;
+
+// Extra matches collected before trimming back down to one page
+const PRUNE_SLACK = 1000;
+
+const LOG_LEVELS = [
+  "error",
+  "warn",
+  "info",
+  "http",
+  "verbose",
+  "debug",
+  "silly",
+];
+
+function normalizeLevel(level) {
+  const normalized = String(level || "")
+    .toLowerCase()
+    .trim();
+  return normalized === "warning" ? "warn" : normalized;
+}
+
+function parseDate(value, name) {
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid ${name} date: ${value}`);
+  }
+  return time;
+}
+
+function encodeCursor(entry) {
+  return Buffer.from(
+    JSON.stringify({ timestamp: entry.timestamp, id: entry.id })
+  ).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (typeof decoded.id === "string") return decoded;
+  } catch (error) {
+    // Fall through to the error below
+  }
+  throw new Error("Invalid cursor");
+}
+
+// Newest first; ids break ties between entries logged in the same millisecond
+function compareLogs(a, b) {
+  const timeA = Date.parse(a.timestamp) || 0;
+  const timeB = Date.parse(b.timestamp) || 0;
+  if (timeA !== timeB) return timeB - timeA;
+  return a.id < b.id ? 1 : a.id > b.id ? -1 : 0;
+}
+
+// Turn request query parameters into a log query. Throws with a message
+// suitable for a 400 response when a parameter is invalid.
+export function parseLogQuery(params = {}) {
+  const query = {
+    levels: null,
+    workspace: params.workspace || null,
+    since: null,
+    until: null,
+    matcher: null,
+    cursor: null,
+    limit: DEFAULT_PAGE_SIZE,
+  };
+
+  if (params.level) {
+    const levels = String(params.level).split(",").map(normalizeLevel);
+    const unknown = levels.filter((level) => !LOG_LEVELS.includes(level));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown log level: ${unknown.join(", ")}`);
+    }
+    query.levels = new Set(levels);
+  }
+
+  if (params.since) query.since = parseDate(params.since, "since");
+  if (params.until) query.until = parseDate(params.until, "until");
+
+  if (params.q) {
+    const text = String(params.q);
+    if (params.regex === "true") {
+      let pattern;
+      try {
+        pattern = new RegExp(text, "i");
+      } catch (error) {
+        throw new Error(error.message);
+      }
+      query.matcher = (message) => pattern.test(message);
+    } else {
+      const needle = text.toLowerCase();
+      query.matcher = (message) => message.toLowerCase().includes(needle);
+    }
+  }
+
+  if (params.cursor) query.cursor = decodeCursor(String(params.cursor));
+
+  if (params.limit !== undefined) {
+    const limit = Number(params.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw new Error(`Limit must be an integer from 1 to ${MAX_PAGE_SIZE}`);
+    }
+    query.limit = limit;
+  }
+
+  return query;
+}
+
+// Whether a log entry passes the query's filters (the cursor is not checked)
+export function matchesLogQuery(entry, query) {
+  if (query.levels && !query.levels.has(normalizeLevel(entry.level))) {
+    return false;
+  }
+  if (query.workspace && entry.server !== query.workspace) return false;
+
+  if (query.since !== null || query.until !== null) {
+    const time = Date.parse(entry.timestamp);
+    if (Number.isNaN(time)) return false;
+    if (query.since !== null && time < query.since) return false;
+    if (query.until !== null && time > query.until) return false;
+  }
+
+  if (query.matcher && !query.matcher(String(entry.message))) return false;
+
+  return true;
+}
+
+// Keep only the entries that can still make it onto the page
+function pruneMatches(matches, keep) {
+  matches.sort(compareLogs);
+  matches.length = Math.min(matches.length, keep);
+}
+
+async function searchFile(filePath, workspaceDir, file, query, matches) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath),
+    crlfDelay: Infinity,
+  });
+
+  let offset = 0;
+  for await (const line of lines) {
+    const lineOffset = offset;
+    offset += Buffer.byteLength(line) + 1;
+    if (!line.trim()) continue;
+
+    const entry = parseLogLine(line, workspaceDir, file, lineOffset);
+    if (!entry || !matchesLogQuery(entry, query)) continue;
+    if (query.cursor && compareLogs(entry, query.cursor) <= 0) continue;
+    matches.push(entry);
+    // Bound memory on large files without sorting after every line
+    if (matches.length >= (query.limit + 1) * 2 + PRUNE_SLACK) {
+      pruneMatches(matches, query.limit + 1);
+    }
+  }
+}
+
+// Search every workspace's log files. Returns one page of matching entries,
+// newest first, and the cursor for the next page (null on the last page).
+export async function searchLogs(logDir, query) {
+  const matches = [];
+
+  if (!fs.existsSync(logDir)) {
+    return { logs: [], nextCursor: null };
+  }
+
+  const workspaceDirs = fs.readdirSync(logDir).filter((dir) => {
+    if (query.workspace && workspaceOfLogDir(dir) !== query.workspace) {
+      return false;
+    }
+    return fs.statSync(path.join(logDir, dir)).isDirectory();
+  });
+
+  for (const workspaceDir of workspaceDirs) {
+    const workspacePath = path.join(logDir, workspaceDir);
+    const files = fs
+      .readdirSync(workspacePath)
+      .filter((file) => SEARCHED_FILE_PATTERN.test(file));
+
+    for (const file of files) {
+      const filePath = path.join(workspacePath, file);
+
+      // Nothing in a file can be newer than its last write
+      if (query.since !== null && fs.statSync(filePath).mtimeMs < query.since) {
+        continue;
+      }
+
+      try {
+        await searchFile(filePath, workspaceDir, file, query, matches);
+      } catch (error) {
+        console.error(`Error reading log file ${filePath}:`, error.message);
+      }
+    }
+  }
+
+  pruneMatches(matches, query.limit + 1);
+  const logs = matches.slice(0, query.limit);
+  const nextCursor =
+    matches.length > query.limit ? encodeCursor(logs[logs.length - 1]) : null;
+
+  return { logs, nextCursor };
+}
@@ -0,0 +1,192 @@
+import fs from "fs";
+import path from "path";
+
+const LOG_FILE_NAME = "combined.log";
+// Periodic rescan picks up new workspace directories and any changes the
+// file watchers missed (fs.watch is not reliable on every platform)
+const RESCAN_INTERVAL_MS = 5000;
+
+// Workspace a log directory belongs to. yamcp names them
+// <workspace>_<suffix>, and workspace names may contain "_" themselves, so
+// only the last one separates the suffix.
+export function workspaceOfLogDir(workspaceDir) {
+  const separator = workspaceDir.lastIndexOf("_");
+  return separator === -1 ? workspaceDir : workspaceDir.slice(0, separator);
+}
+
+// Parse one Winston JSON line from <logDir>/<workspaceDir>/<file>. The file
+// and byte offset of the line keep ids unique and stable across reads.
+export function parseLogLine(line, workspaceDir, file, offset) {
+  try {
+    const logEntry = JSON.parse(line);
+    // Everything besides the standard fields is Winston metadata: provider,
+    // JSON-RPC method, request id, error stack, ...
+    const { timestamp, level, message, ...metadata } = logEntry;
+    return {
+      id: `${workspaceDir}/${file}:${offset}`,
+      timestamp,
+      level,
+      server: workspaceOfLogDir(workspaceDir),
+      message: message || JSON.stringify(logEntry),
+      metadata,
+    };
+  } catch (error) {
+    // Skip invalid JSON lines
+    return null;
+  }
+}
+
+// Subscribers to new log entries; the tailer only runs while there are any
+const listeners = new Set();
+let tailer = null;
+
+function emit(entry) {
+  for (const listener of listeners) {
+    try {
+      listener(entry);
+    } catch (error) {
+      console.error("Error delivering log entry:", error.message);
+    }
+  }
+}
+
+// Read whatever was appended to a log file since the last read
+function readNewLines(file) {
+  let stats;
+  try {
+    stats = fs.statSync(file.path);
+  } catch (error) {
+    return;
+  }
+
+  // Truncated or replaced: start over from the beginning
+  if (stats.size < file.offset) {
+    file.offset = 0;
+    file.remainder = Buffer.alloc(0);
+  }
+  if (stats.size === file.offset) return;
+
+  const length = stats.size - file.offset;
+  const chunk = Buffer.alloc(length);
+  const fd = fs.openSync(file.path, "r");
+  try {
+    fs.readSync(fd, chunk, 0, length, file.offset);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  // Only complete lines are parsed; a partial last line waits for the rest
+  let data = Buffer.concat([file.remainder, chunk]);
+  let lineOffset = file.offset - file.remainder.length;
+  file.offset = stats.size;
+
+  let newline;
+  while ((newline = data.indexOf(0x0a)) !== -1) {
+    const line = data.subarray(0, newline).toString("utf-8");
+    if (line.trim()) {
+      const entry = parseLogLine(
+        line,
+        file.workspaceDir,
+        LOG_FILE_NAME,
+        lineOffset
+      );
+      if (entry) emit(entry);
+    }
+    lineOffset += newline + 1;
+    data = data.subarray(newline + 1);
+  }
+  file.remainder = Buffer.from(data);
+}
+
+function watch(target, dirPath, onChange) {
+  if (target.watchers.has(dirPath)) return;
+  try {
+    const watcher = fs.watch(dirPath, onChange);
+    // The directory went away; the next rescan re-adds it if it comes back
+    watcher.on("error", () => {
+      watcher.close();
+      target.watchers.delete(dirPath);
+    });
+    target.watchers.set(dirPath, watcher);
+  } catch (error) {
+    // Missing or unreadable directory, retried on the next rescan
+  }
+}
+
+function scan(target, initial = false) {
+  const { logDir } = target;
+  if (!fs.existsSync(logDir)) return;
+
+  watch(target, logDir, () => scan(target));
+
+  let workspaceDirs;
+  try {
+    workspaceDirs = fs.readdirSync(logDir).filter((dir) => {
+      return fs.statSync(path.join(logDir, dir)).isDirectory();
+    });
+  } catch (error) {
+    console.error("Error scanning log directory:", error.message);
+    return;
+  }
+
+  for (const workspaceDir of workspaceDirs) {
+    const workspacePath = path.join(logDir, workspaceDir);
+    const filePath = path.join(workspacePath, LOG_FILE_NAME);
+
+    watch(target, workspacePath, (eventType, filename) => {
+      if (!filename || filename === LOG_FILE_NAME) scan(target);
+    });
+
+    if (!target.files.has(filePath)) {
+      if (!fs.existsSync(filePath)) continue;
+      // Files present when tailing starts are followed from their end;
+      // files that show up later are new and streamed from the start
+      target.files.set(filePath, {
+        path: filePath,
+        workspaceDir,
+        offset: initial ? fs.statSync(filePath).size : 0,
+        remainder: Buffer.alloc(0),
+      });
+    }
+    readNewLines(target.files.get(filePath));
+  }
+}
+
+function startTailer(logDir) {
+  const target = {
+    logDir,
+    watchers: new Map(),
+    files: new Map(),
+    timer: null,
+  };
+  scan(target, true);
+  target.timer = setInterval(() => scan(target), RESCAN_INTERVAL_MS);
+  target.timer.unref();
+  return target;
+}
+
+function stopTailer(target) {
+  clearInterval(target.timer);
+  for (const watcher of target.watchers.values()) {
+    watcher.close();
+  }
+}
+
+// Calls listener with every log entry appended from now on. Returns a
+// function that unsubscribes.
+export function subscribeToLogs(logDir, listener) {
+  if (tailer && tailer.logDir !== logDir) {
+    stopTailer(tailer);
+    tailer = null;
+  }
+  if (!tailer) tailer = startTailer(logDir);
+  listeners.add(listener);
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0 && tailer) {
+      stopTailer(tailer);
+      tailer = null;
+    }
+  };
+}
@@ -0,0 +1,422 @@
+import { spawn } from "child_process";
+
+// Protocol version offered in the initialize request. Servers answer with the
+// version they actually speak.
+export const PROTOCOL_VERSION = "2024-11-05";
+
+const CLIENT_INFO = { name: "yamcp-ui", version: "1.0.10" };
+const DEFAULT_TIMEOUT_MS = 10000;
+// How long a stdio server gets to exit after SIGTERM before it is SIGKILLed
+const STOP_TIMEOUT_MS = 5000;
+
+const useProcessGroups = process.platform !== "win32";
+
+// Turns a provider's configured env or request headers into the values
+// actually used, e.g. filling in secret references. Set by the server at
+// startup.
+let resolveEnv = (env) => env;
+
+export function setEnvResolver(resolver) {
+  resolveEnv = resolver;
+}
+
+// Transport for stdio servers: newline-delimited JSON-RPC over the child's
+// stdin/stdout
+function createStdioTransport({ command, args = [], env = {} }) {
+  let child = null;
+  let killTimer = null;
+  let onMessage = () => {};
+  let onClose = () => {};
+  const stderr = [];
+
+  const signalChild = (signal) => {
+    try {
+      if (useProcessGroups) {
+        process.kill(-child.pid, signal);
+      } else {
+        child.kill(signal);
+      }
+    } catch (error) {
+      // Already gone
+    }
+  };
+
+  return {
+    start() {
+      return new Promise((resolve, reject) => {
+        child = spawn(command, args, {
+          env: { ...process.env, ...resolveEnv(env) },
+          stdio: ["pipe", "pipe", "pipe"],
+          detached: useProcessGroups,
+        });
+
+        child.on("spawn", resolve);
+        child.on("error", (error) => {
+          reject(error);
+          onClose(error);
+        });
+        child.on("exit", (code, signal) => {
+          clearTimeout(killTimer);
+          const detail = stderr.slice(-5).join("\n");
+          onClose(
+            new Error(
+              `Process exited (${signal || `code ${code}`})${
+                detail ? `: ${detail}` : ""
+              }`
+            )
+          );
+        });
+        child.stdin.on("error", () => {});
+
+        let pending = "";
+        child.stdout.setEncoding("utf-8");
+        child.stdout.on("data", (chunk) => {
+          const lines = (pending + chunk).split("\n");
+          pending = lines.pop();
+          for (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+              onMessage(JSON.parse(line));
+            } catch (error) {
+              // Servers occasionally print non-protocol output to stdout
+            }
+          }
+        });
+
+        child.stderr.setEncoding("utf-8");
+        child.stderr.on("data", (chunk) => {
+          stderr.push(...chunk.split("\n").filter((line) => line.trim()));
+          if (stderr.length > 20) stderr.splice(0, stderr.length - 20);
+        });
+      });
+    },
+    send(message) {
+      child.stdin.write(JSON.stringify(message) + "\n");
+      return Promise.resolve();
+    },
+    close() {
+      if (!child || child.exitCode !== null || child.pid === undefined) return;
+      if (killTimer) return;
+      child.stdin.end();
+      signalChild("SIGTERM");
+      killTimer = setTimeout(() => signalChild("SIGKILL"), STOP_TIMEOUT_MS);
+    },
+    set onmessage(handler) {
+      onMessage = handler;
+    },
+    set onclose(handler) {
+      onClose = handler;
+    },
+  };
+}
+
+// Split a text/event-stream body into { event, data } records
+async function readEventStream(body, onEvent) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n?/g, "\n");
+
+    let boundary;
+    while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = "message";
+      const data = [];
+      for (const line of block.split("\n")) {
+        if (line.startsWith(":")) continue;
+        const colon = line.indexOf(":");
+        const field = colon === -1 ? line : line.slice(0, colon);
+        const value =
+          colon === -1 ? "" : line.slice(colon + 1).replace(/^ /, "");
+        if (field === "event") event = value;
+        if (field === "data") data.push(value);
+      }
+      if (data.length > 0) onEvent({ event, data: data.join("\n") });
+    }
+  }
+}
+
+// Transport for the legacy HTTP+SSE protocol: a GET event stream announces
+// the endpoint that JSON-RPC messages are POSTed to
+function createSseTransport({ url }) {
+  const controller = new AbortController();
+  let endpoint = null;
+  let onMessage = () => {};
+  let onClose = () => {};
+
+  return {
+    start() {
+      return new Promise((resolve, reject) => {
+        fetch(url, {
+          headers: { Accept: "text/event-stream" },
+          signal: controller.signal,
+        })
+          .then((response) => {
+            if (!response.ok) {
+              throw new Error(`HTTP ${response.status} ${response.statusText}`);
+            }
+            return readEventStream(response.body, ({ event, data }) => {
+              if (event === "endpoint") {
+                endpoint = new URL(data, url).toString();
+                resolve();
+              } else if (event === "message") {
+                try {
+                  onMessage(JSON.parse(data));
+                } catch (error) {
+                  // Ignore malformed events
+                }
+              }
+            });
+          })
+          .then(() => {
+            reject(new Error("Event stream ended before an endpoint was sent"));
+            onClose(new Error("Event stream closed"));
+          })
+          .catch((error) => {
+            if (controller.signal.aborted) return;
+            reject(error);
+            onClose(error);
+          });
+      });
+    },
+    async send(message) {
+      const response = await fetch(endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(message),
+        signal: controller.signal,
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} ${response.statusText}`);
+      }
+    },
+    close() {
+      controller.abort();
+    },
+    set onmessage(handler) {
+      onMessage = handler;
+    },
+    set onclose(handler) {
+      onClose = handler;
+    },
+  };
+}
+
+// Transport for the streamable HTTP protocol: every message is POSTed to one
+// URL and the reply comes back as JSON or as an event stream. The server may
+// hand out a session id, which is sent back with every later request.
+function createStreamableHttpTransport({ url, headers = {} }) {
+  const controller = new AbortController();
+  let requestHeaders = {};
+  let sessionId = null;
+  let onMessage = () => {};
+
+  const deliver = (payload) => {
+    for (const message of Array.isArray(payload) ? payload : [payload]) {
+      onMessage(message);
+    }
+  };
+
+  const sessionHeaders = () => ({
+    ...requestHeaders,
+    ...(sessionId ? { "Mcp-Session-Id": sessionId } : {}),
+  });
+
+  return {
+    // There is no connection to open; resolving the headers up front makes
+    // a missing secret fail the connect rather than the first request
+    async start() {
+      requestHeaders = resolveEnv(headers);
+    },
+    async send(message) {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: {
+          ...sessionHeaders(),
+          "Content-Type": "application/json",
+          Accept: "application/json, text/event-stream",
+        },
+        body: JSON.stringify(message),
+        signal: controller.signal,
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} ${response.statusText}`);
+      }
+      sessionId = response.headers.get("mcp-session-id") || sessionId;
+
+      // Notifications and responses are answered with 202 and no body
+      const contentType = response.headers.get("content-type") || "";
+      if (response.status === 202 || !response.body) return;
+      if (contentType.includes("text/event-stream")) {
+        await readEventStream(response.body, ({ event, data }) => {
+          if (event !== "message") return;
+          try {
+            deliver(JSON.parse(data));
+          } catch (error) {
+            // Ignore malformed events
+          }
+        });
+      } else if (contentType.includes("application/json")) {
+        deliver(await response.json());
+      } else {
+        await response.body.cancel();
+      }
+    },
+    close() {
+      controller.abort();
+      if (sessionId) {
+        // Let the server drop the session; it expires anyway if this fails
+        fetch(url, { method: "DELETE", headers: sessionHeaders() }).catch(
+          () => {}
+        );
+      }
+    },
+    set onmessage(handler) {
+      onMessage = handler;
+    },
+    // Each exchange is its own HTTP request, so there is no connection
+    // that could close
+    set onclose(handler) {},
+  };
+}
+
+export function createTransport(provider) {
+  const params = provider.providerParameters || {};
+  switch (provider.type) {
+    case "stdio":
+      return createStdioTransport(params);
+    case "streamable-http":
+      return createStreamableHttpTransport(params);
+    default:
+      return createSseTransport(params);
+  }
+}
+
+function withTimeout(promise, timeoutMs, message) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), timeoutMs);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+// Connect to a provider and perform the MCP initialize handshake. Resolves
+// with a client that can issue further requests; call close() when done.
+export async function connectMcp(
+  provider,
+  { timeoutMs = DEFAULT_TIMEOUT_MS } = {}
+) {
+  const transport = createTransport(provider);
+  const pending = new Map();
+  let nextId = 1;
+  let closedError = null;
+
+  transport.onmessage = (message) => {
+    // Requests from the server: answer pings, decline everything else
+    if (message.method !== undefined) {
+      if (message.id === undefined) return;
+      transport
+        .send(
+          message.method === "ping"
+            ? { jsonrpc: "2.0", id: message.id, result: {} }
+            : {
+                jsonrpc: "2.0",
+                id: message.id,
+                error: { code: -32601, message: "Method not found" },
+              }
+        )
+        .catch(() => {});
+      return;
+    }
+
+    if (message.id === undefined || !pending.has(message.id)) return;
+    const { resolve } = pending.get(message.id);
+    pending.delete(message.id);
+    resolve(message);
+  };
+
+  transport.onclose = (error) => {
+    closedError = error || new Error("Connection closed");
+    for (const { reject } of pending.values()) reject(closedError);
+    pending.clear();
+  };
+
+  // Send a request and resolve with both raw JSON-RPC messages. Error
+  // responses resolve too; only transport failures and timeouts reject.
+  const exchange = (method, params, options = {}) => {
+    if (closedError) return Promise.reject(closedError);
+
+    const id = nextId++;
+    const message = { jsonrpc: "2.0", id, method, params };
+    const response = new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject });
+    });
+    transport.send(message).catch((error) => {
+      const entry = pending.get(id);
+      if (entry) {
+        pending.delete(id);
+        entry.reject(error);
+      }
+    });
+
+    return withTimeout(
+      response,
+      options.timeoutMs || timeoutMs,
+      `Timed out waiting for ${method} response`
+    )
+      .then((reply) => ({ request: message, response: reply }))
+      .finally(() => pending.delete(id));
+  };
+
+  // Send a request and resolve with its result, rejecting on error responses
+  const request = async (method, params, options) => {
+    const { response } = await exchange(method, params, options);
+    if (response.error) {
+      const error = new Error(response.error.message || "JSON-RPC error");
+      error.code = response.error.code;
+      error.data = response.error.data;
+      throw error;
+    }
+    return response.result;
+  };
+
+  const notify = (method, params) =>
+    transport.send({ jsonrpc: "2.0", method, params });
+
+  try {
+    await withTimeout(
+      transport.start(),
+      timeoutMs,
+      "Timed out connecting to server"
+    );
+
+    const result = await request("initialize", {
+      protocolVersion: PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: CLIENT_INFO,
+    });
+    if (!result || !result.protocolVersion) {
+      throw new Error("Invalid initialize response");
+    }
+    await notify("notifications/initialized");
+
+    return {
+      protocolVersion: result.protocolVersion,
+      serverInfo: result.serverInfo || null,
+      capabilities: result.capabilities || {},
+      instructions: result.instructions || null,
+      exchange,
+      request,
+      notify,
+      close: () => transport.close(),
+    };
+  } catch (error) {
+    transport.close();
+    throw error;
+  }
+}
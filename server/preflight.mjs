@@ -0,0 +1,361 @@
+import { spawn } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { connectMcp } from "./mcp-client.mjs";
+
+// Checks run on a stdio server's command before it is saved. Each check
+// comes back as { id, label, status, message } with status "pass", "warn" or
+// "fail"; a warning is something that may well be fine, like a file the
+// server creates itself.
+
+const VERSION_TIMEOUT_MS = 5000;
+const REGISTRY_TIMEOUT_MS = 5000;
+// npx and uvx may download the package on first run
+const DRY_RUN_TIMEOUT_MS = 30000;
+
+const isWindows = process.platform === "win32";
+
+function check(id, label, status, message) {
+  return { id, label, status, message };
+}
+
+function hasDirectoryPart(command) {
+  return command.includes("/") || (isWindows && command.includes("\\"));
+}
+
+// Full path of the executable that `command` runs, or null. Commands with a
+// directory part are taken as they are; they must be absolute.
+function resolveExecutable(command, searchPath) {
+  const extensions = isWindows
+    ? ["", ...(process.env.PATHEXT || ".EXE;.CMD;.BAT").split(";")]
+    : [""];
+  const isRunnable = (file) => {
+    try {
+      if (!fs.statSync(file).isFile()) return false;
+      fs.accessSync(file, isWindows ? fs.constants.F_OK : fs.constants.X_OK);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  if (hasDirectoryPart(command)) {
+    return extensions.map((ext) => command + ext).find(isRunnable) || null;
+  }
+
+  for (const dir of (searchPath || "").split(path.delimiter)) {
+    if (!dir) continue;
+    const found = extensions
+      .map((ext) => path.join(dir, command + ext))
+      .find(isRunnable);
+    if (found) return found;
+  }
+  return null;
+}
+
+// First line the executable prints for --version, or null if it fails or
+// doesn't answer in time. stdin is closed so a server that ignores the flag
+// and starts up exits again. The child runs in its own process group so a
+// timeout also kills whatever it started, e.g. the node behind an npx shim.
+function readVersion(executable, env) {
+  return new Promise((resolve) => {
+    let output = "";
+    let child;
+    try {
+      child = spawn(executable, ["--version"], {
+        env,
+        stdio: ["ignore", "pipe", "pipe"],
+        shell: isWindows && /\.(cmd|bat)$/i.test(executable),
+        detached: !isWindows,
+      });
+    } catch (error) {
+      resolve(null);
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      try {
+        if (isWindows) {
+          child.kill("SIGKILL");
+        } else {
+          process.kill(-child.pid, "SIGKILL");
+        }
+      } catch (error) {
+        // Already gone
+      }
+      resolve(null);
+    }, VERSION_TIMEOUT_MS);
+    const collect = (chunk) => {
+      output += chunk;
+    };
+    child.stdout.on("data", collect);
+    child.stderr.on("data", collect);
+    child.on("error", () => {
+      clearTimeout(timer);
+      resolve(null);
+    });
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      const firstLine = output.trim().split("\n")[0]?.trim();
+      resolve(code === 0 && firstLine ? firstLine : null);
+    });
+  });
+}
+
+// The package npx or uvx is asked to run: the first argument that isn't an
+// option, or the value of --package/-p (npx) or --from (uvx)
+function findRunnerPackage(runner, args) {
+  const valueOptions =
+    runner === "npx"
+      ? ["--package", "-p", "--cache", "--userconfig", "--registry"]
+      : ["--from", "--with", "--python", "-p", "--index", "--index-url"];
+  const packageOptions = runner === "npx" ? ["--package", "-p"] : ["--from"];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const [option, inlineValue] = arg.split(/=(.*)/s);
+    if (packageOptions.includes(option)) {
+      return inlineValue !== undefined ? inlineValue : args[i + 1] || null;
+    }
+    if (arg === "--") return args[i + 1] || null;
+    if (arg.startsWith("-")) {
+      if (valueOptions.includes(arg)) i++;
+      continue;
+    }
+    return arg;
+  }
+  return null;
+}
+
+// Registry URL for a package spec, without its version
+function registryUrl(runner, spec) {
+  if (runner === "npx") {
+    // @scope/name@1.2.3 or name@latest
+    const name = spec.replace(/(.)@.*$/, "$1");
+    return `https://registry.npmjs.org/${name.replace("/", "%2f")}`;
+  }
+  // name==1.0, name>=1.0, name[extra] or name@1.0
+  const name = spec.split(/[=<>!~@[;\s]/)[0];
+  return `https://pypi.org/pypi/${encodeURIComponent(name)}/json`;
+}
+
+async function checkRunnerPackage(runner, args) {
+  const label = runner === "npx" ? "npm package" : "Python package";
+  const spec = findRunnerPackage(runner, args);
+  if (!spec) {
+    return check("package", label, "fail", `No package given to ${runner}`);
+  }
+  // Local paths, git URLs and tarballs can't be looked up in a registry
+  if (/^[./~]|:/.test(spec)) {
+    return check("package", label, "warn", `${spec} is not a registry package`);
+  }
+
+  const url = registryUrl(runner, spec);
+  try {
+    const response = await fetch(url, {
+      headers: { Accept: "application/json" },
+      signal: AbortSignal.timeout(REGISTRY_TIMEOUT_MS),
+    });
+    // The package may come from a private registry or index configured for
+    // npm or uv, which yamcp-ui doesn't query
+    if (response.status === 404) {
+      return check(
+        "package",
+        label,
+        "warn",
+        `${spec} was not found on ${new URL(url).host}; fine if it comes from a private registry`
+      );
+    }
+    if (!response.ok) {
+      return check(
+        "package",
+        label,
+        "warn",
+        `Registry answered HTTP ${response.status} for ${spec}`
+      );
+    }
+    return check("package", label, "pass", `${spec} found`);
+  } catch (error) {
+    return check(
+      "package",
+      label,
+      "warn",
+      `Could not reach the registry to look up ${spec}: ${error.message}`
+    );
+  }
+}
+
+// Arguments that look like file paths: absolute, ./ or ../ relative, or ~,
+// on their own or as the value of --option=path
+function findPathArgs(args) {
+  const paths = [];
+  for (const arg of args) {
+    const value = arg.startsWith("-") ? arg.split(/=(.*)/s)[1] : arg;
+    if (
+      value &&
+      (path.isAbsolute(value) || /^~($|\/)|^\.\.?[/\\]/.test(value))
+    ) {
+      paths.push(value);
+    }
+  }
+  return paths;
+}
+
+function checkPathArg(value) {
+  const label = `Path ${value}`;
+  if (value.startsWith("~")) {
+    const expanded = path.join(os.homedir(), value.slice(1));
+    return check(
+      "path",
+      label,
+      "warn",
+      `~ is not expanded when yamcp launches the server; use ${expanded}`
+    );
+  }
+
+  if (!path.isAbsolute(value)) {
+    return check(
+      "path",
+      label,
+      "warn",
+      "Relative paths depend on the directory yamcp starts the server in; use an absolute path"
+    );
+  }
+
+  if (fs.existsSync(value)) {
+    return check(
+      "path",
+      label,
+      "pass",
+      fs.statSync(value).isDirectory() ? "Directory exists" : "File exists"
+    );
+  }
+  if (fs.existsSync(path.dirname(value))) {
+    return check(
+      "path",
+      label,
+      "warn",
+      "Does not exist yet; fine if the server creates it"
+    );
+  }
+  return check(
+    "path",
+    label,
+    "fail",
+    `Neither ${value} nor its directory exists`
+  );
+}
+
+async function dryRun(command, args, env) {
+  const label = "MCP initialize";
+  try {
+    const client = await connectMcp(
+      { type: "stdio", providerParameters: { command, args, env } },
+      { timeoutMs: DRY_RUN_TIMEOUT_MS }
+    );
+    client.close();
+    const server = client.serverInfo
+      ? `${client.serverInfo.name} ${client.serverInfo.version || ""}`.trim()
+      : "Server";
+    return check(
+      "initialize",
+      label,
+      "pass",
+      `${server} answered (protocol ${client.protocolVersion})`
+    );
+  } catch (error) {
+    return check("initialize", label, "fail", error.message);
+  }
+}
+
+// Run the checks for a stdio server. `resolveEnv` fills in the secret and
+// environment references of `env`, as for a launch; `dryRun` also launches
+// the server once for an initialize handshake.
+export async function runPreflight({
+  command,
+  args = [],
+  env = {},
+  resolveEnv,
+  dryRun: withDryRun = false,
+}) {
+  const checks = [];
+
+  let resolvedEnv = {};
+  try {
+    resolvedEnv = resolveEnv(env);
+  } catch (error) {
+    checks.push(check("env", "Environment", "fail", error.message));
+  }
+  // ${VAR} references to unset variables are passed on as written
+  for (const [key, value] of Object.entries(resolvedEnv)) {
+    const unset = [...value.matchAll(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g)];
+    if (unset.length > 0) {
+      checks.push(
+        check(
+          "env",
+          `Environment ${key}`,
+          "warn",
+          `${unset.map(([, name]) => name).join(", ")} is not set in yamcp-ui's environment, so the value is used as written`
+        )
+      );
+    }
+  }
+  const launchEnv = { ...process.env, ...resolvedEnv };
+
+  // yamcp resolves a relative command from the directory it starts the
+  // server in, which yamcp-ui doesn't know
+  const isRelative = hasDirectoryPart(command) && !path.isAbsolute(command);
+  const executable = isRelative
+    ? null
+    : resolveExecutable(command, launchEnv.PATH);
+  if (isRelative) {
+    checks.push(
+      check(
+        "executable",
+        "Executable",
+        "warn",
+        `${command} is relative to the directory yamcp starts the server in; use an absolute path`
+      )
+    );
+  } else if (!executable) {
+    checks.push(
+      check(
+        "executable",
+        "Executable",
+        "fail",
+        `${command} was not found on PATH`
+      )
+    );
+  } else {
+    checks.push(check("executable", "Executable", "pass", executable));
+    const version = await readVersion(executable, launchEnv);
+    checks.push(
+      version
+        ? check("version", "Version", "pass", version)
+        : check(
+            "version",
+            "Version",
+            "warn",
+            `${command} --version did not report a version`
+          )
+    );
+  }
+
+  const runner = path.basename(command).replace(/\.(exe|cmd)$/i, "");
+  if (runner === "npx" || runner === "uvx") {
+    checks.push(await checkRunnerPackage(runner, args));
+  }
+
+  checks.push(...findPathArgs(args).map(checkPathArg));
+
+  // Launching can only work once the checks above found nothing fatal
+  if (withDryRun && checks.every((result) => result.status !== "fail")) {
+    checks.push(await dryRun(command, args, env));
+  }
+
+  return {
+    ok: checks.every((result) => result.status !== "fail"),
+    checks,
+  };
+}
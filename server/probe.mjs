@@ -0,0 +1,96 @@
+import { connectMcp } from "./mcp-client.mjs";
+
+const PROBE_TIMEOUT_MS = 15000;
+// Probes run a few at a time: each stdio probe spawns a process
+const PROBE_CONCURRENCY = 3;
+
+// Latest probe result per provider name
+const results = new Map();
+// Probes currently in flight, so concurrent callers share one handshake
+const inFlight = new Map();
+
+async function runProbe(name, provider, timeoutMs) {
+  const startedAt = Date.now();
+  let client = null;
+
+  try {
+    client = await connectMcp(provider, { timeoutMs });
+    return {
+      name,
+      type: provider.type,
+      reachable: true,
+      latencyMs: Date.now() - startedAt,
+      protocolVersion: client.protocolVersion,
+      serverInfo: client.serverInfo,
+      capabilities: client.capabilities,
+      error: null,
+      checkedAt: new Date().toISOString(),
+    };
+  } catch (error) {
+    return {
+      name,
+      type: provider.type,
+      reachable: false,
+      latencyMs: Date.now() - startedAt,
+      protocolVersion: null,
+      serverInfo: null,
+      capabilities: null,
+      error: error.message,
+      checkedAt: new Date().toISOString(),
+    };
+  } finally {
+    if (client) client.close();
+  }
+}
+
+// Probe one provider with the MCP initialize handshake and record the result
+export function probeProvider(
+  name,
+  provider,
+  { timeoutMs = PROBE_TIMEOUT_MS } = {}
+) {
+  if (inFlight.has(name)) return inFlight.get(name);
+
+  const probe = runProbe(name, provider, timeoutMs).then((result) => {
+    results.set(name, result);
+    inFlight.delete(name);
+    return result;
+  });
+  inFlight.set(name, probe);
+  return probe;
+}
+
+// Probe every provider, or those `only` accepts, a few at a time. Results for
+// providers that no longer exist are dropped.
+export async function probeAll(providers, { only, ...options } = {}) {
+  for (const name of results.keys()) {
+    if (!providers[name]) results.delete(name);
+  }
+
+  const queue = Object.entries(providers).filter(
+    ([name, provider]) => !only || only(name, provider)
+  );
+  const worker = async () => {
+    while (queue.length > 0) {
+      const [name, provider] = queue.shift();
+      await probeProvider(name, provider, options);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(PROBE_CONCURRENCY, queue.length) }, worker)
+  );
+  return getProbeResults();
+}
+
+export function getProbeResult(name) {
+  return results.get(name) || null;
+}
+
+export function getProbeResults() {
+  return Object.fromEntries(results);
+}
+
+export function isProbing() {
+  return inFlight.size > 0;
+}
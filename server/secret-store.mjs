@@ -0,0 +1,212 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { writeJSONFileAtomic } from "./json-file.mjs";
+
+// Env values can reference a secret instead of holding it: ${secret:NAME}
+// reads NAME from yamcp-ui's encrypted store and ${VAR} reads yamcp-ui's own
+// environment. References are only resolved when a server is launched, so
+// providers.json and every API response carry the reference, never the value.
+// A ${VAR} that isn't set is left as it is, as configs written before
+// references existed may hold such text literally.
+const REFERENCE_PATTERN = /\$\{(?:secret:([^}]+)|([A-Za-z_][A-Za-z0-9_]*))\}/g;
+
+const ALGORITHM = "aes-256-gcm";
+
+export function secretReference(name) {
+  return "${secret:" + name + "}";
+}
+
+// Whether a value is exactly one reference, as written by the UI for env
+// entries marked secret
+export function isReference(value) {
+  if (typeof value !== "string") return false;
+  const matches = value.match(REFERENCE_PATTERN);
+  return matches !== null && matches.length === 1 && matches[0] === value;
+}
+
+// Whether a value holds any reference, e.g. as part of a longer string
+export function containsReference(value) {
+  return typeof value === "string" && value.match(REFERENCE_PATTERN) !== null;
+}
+
+// The key lives in yamcp-ui's config dir, readable by the owner only, and is
+// created on first use
+function loadKey(secretKeyPath) {
+  if (fs.existsSync(secretKeyPath)) {
+    return Buffer.from(fs.readFileSync(secretKeyPath, "utf-8").trim(), "hex");
+  }
+  const key = crypto.randomBytes(32);
+  fs.mkdirSync(path.dirname(secretKeyPath), { recursive: true });
+  fs.writeFileSync(secretKeyPath, key.toString("hex"), { mode: 0o600 });
+  return key;
+}
+
+function loadStore(secretsPath) {
+  try {
+    if (fs.existsSync(secretsPath)) {
+      return JSON.parse(fs.readFileSync(secretsPath, "utf-8"));
+    }
+  } catch (error) {
+    console.error(`Error loading ${secretsPath}:`, error.message);
+  }
+  return {};
+}
+
+// `paths` is { secretsPath, secretKeyPath }
+export function getSecret(paths, name) {
+  const entry = loadStore(paths.secretsPath)[name];
+  if (!entry) return null;
+
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    loadKey(paths.secretKeyPath),
+    Buffer.from(entry.iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(entry.tag, "base64"));
+  return Buffer.concat([
+    decipher.update(Buffer.from(entry.data, "base64")),
+    decipher.final(),
+  ]).toString("utf-8");
+}
+
+export function setSecret(paths, name, value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(
+    ALGORITHM,
+    loadKey(paths.secretKeyPath),
+    iv
+  );
+  const data = Buffer.concat([cipher.update(value, "utf-8"), cipher.final()]);
+
+  const store = loadStore(paths.secretsPath);
+  store[name] = {
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+  writeJSONFileAtomic(paths.secretsPath, store);
+}
+
+// Stored secrets belong to one server and one section of its
+// providerParameters, "env" or "headers", and are named
+// "<server>:<section>:<KEY>". NAME_PATTERN doesn't allow ":" in server names,
+// so the secrets of different servers and sections can't collide.
+function sectionPrefix(serverName, section) {
+  return `${serverName}:${section}:`;
+}
+
+// Move the values of entries marked secret into the store. `values` are a
+// server's env values or headers (`section`), and `secrets` is
+// { KEY: value }; each entry becomes a reference to its stored secret. An
+// empty value keeps the entry's existing reference. Returns the values to
+// write to providers.json.
+export function storeSecrets(
+  paths,
+  serverName,
+  section,
+  values = {},
+  secrets = {}
+) {
+  const stored = { ...values };
+  for (const [key, value] of Object.entries(secrets)) {
+    if (value === "" && isReference(stored[key])) continue;
+    const name = sectionPrefix(serverName, section) + key;
+    setSecret(paths, name, value);
+    stored[key] = secretReference(name);
+  }
+  return stored;
+}
+
+// Name of the secret `value` references if storeSecrets stored it for this
+// server and section, else null
+function ownSecretName(serverName, section, value) {
+  const match = /^\$\{secret:([^}]+)\}$/.exec(value);
+  return match && match[1].startsWith(sectionPrefix(serverName, section))
+    ? match[1]
+    : null;
+}
+
+// Secrets of a server's { env, headers } that move when it is renamed, as
+// { section, key, from, to } with the old and new secret names
+function secretRenames(oldName, newName, sections) {
+  const renames = [];
+  for (const [section, values] of Object.entries(sections)) {
+    for (const [key, value] of Object.entries(values || {})) {
+      const from = ownSecretName(oldName, section, value);
+      if (!from) continue;
+      const to =
+        sectionPrefix(newName, section) +
+        from.slice(sectionPrefix(oldName, section).length);
+      renames.push({ section, key, from, to });
+    }
+  }
+  return renames;
+}
+
+// The { env, headers } of a server renamed from `oldName`, with references
+// to its own secrets pointing at their names under `newName`. The secrets
+// themselves are moved by moveServerSecrets once the new config is saved.
+export function renameSecretReferences(oldName, newName, sections) {
+  const renamed = {};
+  for (const [section, values] of Object.entries(sections)) {
+    if (values) renamed[section] = { ...values };
+  }
+  const renames = secretRenames(oldName, newName, sections);
+  for (const { section, key, to } of renames) {
+    renamed[section][key] = secretReference(to);
+  }
+  return renamed;
+}
+
+// Re-key the secrets the { env, headers } of a server referenced before it
+// was renamed
+export function moveServerSecrets(paths, oldName, newName, sections) {
+  const store = loadStore(paths.secretsPath);
+  const renames = secretRenames(oldName, newName, sections).filter(
+    ({ from }) => store[from]
+  );
+  if (renames.length === 0) return;
+  for (const { from, to } of renames) {
+    store[to] = store[from];
+    delete store[from];
+  }
+  writeJSONFileAtomic(paths.secretsPath, store);
+}
+
+// Remove the secrets a deleted server's { env, headers } reference
+export function deleteServerSecrets(paths, serverName, sections) {
+  const store = loadStore(paths.secretsPath);
+  const names = Object.entries(sections)
+    .flatMap(([section, values]) =>
+      Object.values(values || {}).map((value) =>
+        ownSecretName(serverName, section, value)
+      )
+    )
+    .filter((name) => name && store[name]);
+  if (names.length === 0) return;
+  for (const name of names) delete store[name];
+  writeJSONFileAtomic(paths.secretsPath, store);
+}
+
+// Replace every reference in a string. Throws if a secret can't be found, so
+// a server is never launched with a half-filled value.
+export function resolveValue(paths, value) {
+  return value.replace(REFERENCE_PATTERN, (reference, secretName, envVar) => {
+    if (secretName !== undefined) {
+      const secret = getSecret(paths, secretName);
+      if (secret === null) throw new Error(`Secret ${secretName} is not set`);
+      return secret;
+    }
+    return process.env[envVar] ?? reference;
+  });
+}
+
+export function resolveEnv(paths, env = {}) {
+  return Object.fromEntries(
+    Object.entries(env).map(([key, value]) => [
+      key,
+      resolveValue(paths, String(value)),
+    ])
+  );
+}
@@ -0,0 +1,270 @@
+import fs from "fs";
+import path from "path";
+import { checkName } from "./validation.mjs";
+
+// Templates for adding common stdio servers. Args and env values can hold
+// {{param}} placeholders, filled in by the add server dialog from the
+// template's parameters. Parameters of kind "secret" end up as secret env
+// entries and can't be used in args; "path" only changes how the field is
+// presented.
+const PARAMETER_KINDS = ["text", "path", "secret"];
+const PARAMETER_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const PLACEHOLDER_PATTERN = /\{\{([^}]*)\}\}/g;
+
+export const BUILTIN_TEMPLATES = [
+  {
+    id: "filesystem",
+    name: "Filesystem",
+    description: "Read, write and search files inside one directory.",
+    command: "npx",
+    args: ["-y", "@modelcontextprotocol/server-filesystem", "{{directory}}"],
+    parameters: [
+      {
+        name: "directory",
+        label: "Allowed directory",
+        description: "Absolute path of the directory the server may access",
+        kind: "path",
+        required: true,
+      },
+    ],
+  },
+  {
+    id: "fetch",
+    name: "Fetch",
+    description:
+      "Fetch web pages and convert them to markdown. Runs with uv (uvx).",
+    command: "uvx",
+    args: ["mcp-server-fetch"],
+    parameters: [],
+  },
+  {
+    id: "git",
+    name: "Git",
+    description: "Read, search and commit in a local Git repository.",
+    command: "uvx",
+    args: ["mcp-server-git", "--repository", "{{repository}}"],
+    parameters: [
+      {
+        name: "repository",
+        label: "Repository",
+        description: "Absolute path of the repository",
+        kind: "path",
+        required: true,
+      },
+    ],
+  },
+  {
+    id: "sqlite",
+    name: "SQLite",
+    description: "Query and change a SQLite database.",
+    command: "uvx",
+    args: ["mcp-server-sqlite", "--db-path", "{{database}}"],
+    parameters: [
+      {
+        name: "database",
+        label: "Database file",
+        description: "Path of the database file, created if it doesn't exist",
+        kind: "path",
+        required: true,
+      },
+    ],
+  },
+  {
+    id: "memory",
+    name: "Memory",
+    description: "A persistent knowledge graph the model can remember with.",
+    command: "npx",
+    args: ["-y", "@modelcontextprotocol/server-memory"],
+    env: { MEMORY_FILE_PATH: "{{memoryFile}}" },
+    parameters: [
+      {
+        name: "memoryFile",
+        label: "Memory file",
+        description:
+          "File the graph is stored in. Leave empty for the server's default.",
+        kind: "path",
+        required: false,
+      },
+    ],
+  },
+  {
+    id: "github",
+    name: "GitHub",
+    description: "Work with GitHub repositories, issues and pull requests.",
+    command: "npx",
+    args: ["-y", "@modelcontextprotocol/server-github"],
+    env: { GITHUB_PERSONAL_ACCESS_TOKEN: "{{token}}" },
+    parameters: [
+      {
+        name: "token",
+        label: "Personal access token",
+        description: "Stored in yamcp-ui's encrypted secret store",
+        kind: "secret",
+        required: true,
+      },
+    ],
+  },
+];
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function isStringMap(value) {
+  return (
+    isPlainObject(value) &&
+    Object.values(value).every((entry) => typeof entry === "string")
+  );
+}
+
+// Returns what is wrong with a template, or null
+function checkTemplate(template) {
+  if (!isPlainObject(template)) return "Template is not an object";
+
+  const idError = checkName(template.id, "Template id", ["id"]);
+  if (idError) return idError.message;
+  if (typeof template.name !== "string" || template.name.trim() === "") {
+    return "name is required";
+  }
+  if (
+    template.description !== undefined &&
+    typeof template.description !== "string"
+  ) {
+    return "description must be a string";
+  }
+  if (typeof template.command !== "string" || template.command.trim() === "") {
+    return "command is required";
+  }
+  if (
+    template.args !== undefined &&
+    (!Array.isArray(template.args) ||
+      template.args.some((arg) => typeof arg !== "string"))
+  ) {
+    return "args must be an array of strings";
+  }
+  if (template.env !== undefined && !isStringMap(template.env)) {
+    return "env must map variable names to strings";
+  }
+  if (
+    template.parameters !== undefined &&
+    !Array.isArray(template.parameters)
+  ) {
+    return "parameters must be an array";
+  }
+
+  const names = new Set();
+  const secretNames = new Set();
+  for (const parameter of template.parameters || []) {
+    if (
+      !isPlainObject(parameter) ||
+      !PARAMETER_NAME_PATTERN.test(parameter.name || "")
+    ) {
+      return "Each parameter needs a name made of letters, digits and _";
+    }
+    if (names.has(parameter.name)) {
+      return `Parameter ${parameter.name} is defined more than once`;
+    }
+    names.add(parameter.name);
+    if (
+      parameter.kind !== undefined &&
+      !PARAMETER_KINDS.includes(parameter.kind)
+    ) {
+      return `Parameter ${parameter.name} has unknown kind "${parameter.kind}"`;
+    }
+    if (parameter.kind === "secret") secretNames.add(parameter.name);
+    for (const field of ["label", "description", "default"]) {
+      if (
+        parameter[field] !== undefined &&
+        typeof parameter[field] !== "string"
+      ) {
+        return `${field} of parameter ${parameter.name} must be a string`;
+      }
+    }
+  }
+
+  const values = [
+    ...(template.args || []),
+    ...Object.values(template.env || {}),
+  ];
+  for (const value of values) {
+    for (const [, name] of value.matchAll(PLACEHOLDER_PATTERN)) {
+      if (!names.has(name)) return `Unknown parameter {{${name}}}`;
+    }
+  }
+  // Only env values are moved into the secret store; in args a secret would
+  // be written to providers.json as plain text
+  for (const arg of template.args || []) {
+    for (const [, name] of arg.matchAll(PLACEHOLDER_PATTERN)) {
+      if (secretNames.has(name)) {
+        return `Secret parameter {{${name}}} can only be used in env values`;
+      }
+    }
+  }
+  return null;
+}
+
+// The same shape for every template, whoever wrote it
+function normalizeTemplate(template, source) {
+  return {
+    id: template.id,
+    name: template.name,
+    description: template.description || "",
+    command: template.command,
+    args: template.args || [],
+    env: template.env || {},
+    parameters: (template.parameters || []).map((parameter) => ({
+      name: parameter.name,
+      label: parameter.label || parameter.name,
+      description: parameter.description || "",
+      kind: parameter.kind || "text",
+      required: parameter.required === true,
+      default: parameter.default || "",
+    })),
+    source,
+  };
+}
+
+// Built-in templates plus those in `templatesDir`, where each *.json file
+// holds one template or an array of them. A user template replaces the
+// built-in one with the same id. Files that can't be used are reported in
+// `errors` rather than failing the whole catalog.
+export function loadTemplates(templatesDir) {
+  const templates = new Map(
+    BUILTIN_TEMPLATES.map((template) => [
+      template.id,
+      normalizeTemplate(template, "builtin"),
+    ])
+  );
+  const errors = [];
+
+  if (!fs.existsSync(templatesDir)) {
+    return { templates: [...templates.values()], templatesDir, errors };
+  }
+
+  const files = fs
+    .readdirSync(templatesDir)
+    .filter((file) => file.endsWith(".json"))
+    .sort();
+  for (const file of files) {
+    let content;
+    try {
+      content = JSON.parse(
+        fs.readFileSync(path.join(templatesDir, file), "utf-8")
+      );
+    } catch (error) {
+      errors.push({ file, message: `Invalid JSON: ${error.message}` });
+      continue;
+    }
+
+    for (const template of Array.isArray(content) ? content : [content]) {
+      const message = checkTemplate(template);
+      if (message) {
+        errors.push({ file, message });
+      } else {
+        templates.set(template.id, normalizeTemplate(template, file));
+      }
+    }
+  }
+
+  return { templates: [...templates.values()], templatesDir, errors };
+}
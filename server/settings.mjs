@@ -0,0 +1,35 @@
+import fs from "fs";
+import { writeJSONFileAtomic } from "./json-file.mjs";
+
+// yamcp-ui's own settings, stored apart from the yamcp config it manages
+const DEFAULT_SETTINGS = {
+  // null means no limit
+  logRetention: { maxAgeDays: null, maxTotalSizeMB: null },
+};
+
+export function loadSettings(settingsPath) {
+  let stored = {};
+  try {
+    if (fs.existsSync(settingsPath)) {
+      stored = JSON.parse(fs.readFileSync(settingsPath, "utf-8"));
+    }
+  } catch (error) {
+    console.error(`Error loading ${settingsPath}:`, error.message);
+  }
+
+  // Fill in sections and keys added since the file was written
+  const settings = {};
+  for (const [section, defaults] of Object.entries(DEFAULT_SETTINGS)) {
+    settings[section] = { ...defaults, ...stored[section] };
+  }
+  return settings;
+}
+
+// Update one settings section and persist the result
+export function saveSettings(settingsPath, section, values) {
+  const settings = loadSettings(settingsPath);
+  settings[section] = { ...settings[section], ...values };
+
+  writeJSONFileAtomic(settingsPath, settings);
+  return settings;
+}
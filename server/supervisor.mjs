@@ -0,0 +1,258 @@
+import { spawn } from "child_process";
+
+// How long a process gets to exit after SIGTERM before it is SIGKILLed
+const STOP_TIMEOUT_MS = 5000;
+// Automatic restarts after a crash, and the delay before each one
+const MAX_RESTARTS = 3;
+const RESTART_DELAY_MS = 1000;
+// Number of stderr lines kept per process for diagnostics
+const STDERR_TAIL_LINES = 50;
+
+// Managed processes keyed by id, e.g. "server:github"
+const processes = new Map();
+
+// Child processes get their own process group (except on Windows) so that
+// stopping a process also stops everything it spawned (npx, uvx, ...)
+const useProcessGroups = process.platform !== "win32";
+
+function isActive(entry) {
+  return (
+    entry &&
+    (entry.status === "starting" ||
+      entry.status === "running" ||
+      entry.status === "stopping")
+  );
+}
+
+function toStatus(entry) {
+  if (!entry) {
+    return {
+      status: "stopped",
+      pid: null,
+      startedAt: null,
+      uptimeMs: 0,
+      exitCode: null,
+      signal: null,
+      restartCount: 0,
+      lastError: null,
+      stderr: [],
+    };
+  }
+
+  return {
+    status: entry.status,
+    pid: entry.child ? entry.child.pid ?? null : null,
+    startedAt: entry.startedAt ? new Date(entry.startedAt).toISOString() : null,
+    uptimeMs:
+      entry.status === "running" && entry.startedAt
+        ? Date.now() - entry.startedAt
+        : 0,
+    exitCode: entry.exitCode,
+    signal: entry.signal,
+    restartCount: entry.restartCount,
+    lastError: entry.lastError,
+    stderr: [...entry.stderr],
+  };
+}
+
+function signalProcess(entry, signal) {
+  const { child } = entry;
+  if (!child || child.pid === undefined) return;
+
+  try {
+    if (useProcessGroups) {
+      process.kill(-child.pid, signal);
+    } else {
+      child.kill(signal);
+    }
+  } catch (error) {
+    // ESRCH: the process (group) is already gone
+    if (error.code !== "ESRCH") {
+      console.error(`Error sending ${signal} to ${entry.id}:`, error.message);
+    }
+  }
+}
+
+// Spawn the entry's process. spawn() itself throws for some bad input (e.g.
+// an invalid argument type); the entry is then marked crashed and the error
+// rethrown.
+function launch(entry) {
+  const { command, args, env, cwd } = entry.spec;
+
+  entry.status = "starting";
+  entry.exitCode = null;
+  entry.signal = null;
+  entry.lastError = null;
+  entry.startedAt = null;
+
+  let child;
+  try {
+    child = spawn(command, args, {
+      cwd,
+      env: { ...process.env, ...env },
+      stdio: ["pipe", "pipe", "pipe"],
+      detached: useProcessGroups,
+    });
+  } catch (error) {
+    entry.status = "crashed";
+    entry.lastError = error.message;
+    entry.child = null;
+    settle(entry);
+    throw error;
+  }
+  entry.child = child;
+
+  // stdout carries the MCP protocol; nothing is attached to it here, so it is
+  // drained to keep the child from blocking on a full pipe
+  child.stdout.resume();
+  // Writes to a closed stdin (EPIPE) surface as stream errors
+  child.stdin.on("error", () => {});
+
+  let pending = "";
+  child.stderr.setEncoding("utf-8");
+  child.stderr.on("data", (chunk) => {
+    const lines = (pending + chunk).split("\n");
+    pending = lines.pop();
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      entry.stderr.push(line);
+      if (entry.stderr.length > STDERR_TAIL_LINES) entry.stderr.shift();
+    }
+  });
+
+  child.on("spawn", () => {
+    if (entry.child !== child) return;
+    entry.status = "running";
+    entry.startedAt = Date.now();
+  });
+
+  child.on("error", (error) => {
+    if (entry.child !== child) return;
+    entry.lastError = error.message;
+    // A spawn failure (e.g. ENOENT) never emits "exit"
+    if (child.pid === undefined) {
+      entry.status = "crashed";
+      entry.child = null;
+      settle(entry);
+    }
+  });
+
+  child.on("exit", (code, signal) => {
+    if (entry.child !== child) return;
+    entry.child = null;
+    entry.exitCode = code;
+    entry.signal = signal;
+    clearTimeout(entry.killTimer);
+
+    if (entry.status === "stopping") {
+      entry.status = "stopped";
+    } else if (code === 0) {
+      entry.status = "stopped";
+    } else {
+      entry.status = "crashed";
+      if (entry.autoRestarts < MAX_RESTARTS) {
+        entry.restartTimer = setTimeout(() => {
+          entry.restartTimer = null;
+          if (entry.status !== "crashed") return;
+          entry.autoRestarts += 1;
+          entry.restartCount += 1;
+          try {
+            launch(entry);
+          } catch (error) {
+            // Recorded on the entry as a crash
+          }
+        }, RESTART_DELAY_MS);
+      }
+    }
+
+    settle(entry);
+  });
+}
+
+// Resolve everyone waiting for the process to stop
+function settle(entry) {
+  const waiters = entry.waiters;
+  entry.waiters = [];
+  for (const resolve of waiters) resolve(toStatus(entry));
+}
+
+// Start (or restart) a managed process. Throws if it is already active.
+export function startProcess(id, { command, args = [], env = {}, cwd }) {
+  let entry = processes.get(id);
+
+  if (isActive(entry)) {
+    throw new Error(`${id} is already running`);
+  }
+
+  if (entry) {
+    clearTimeout(entry.restartTimer);
+    entry.restartTimer = null;
+    entry.restartCount += 1;
+    entry.autoRestarts = 0;
+  } else {
+    entry = {
+      id,
+      status: "stopped",
+      child: null,
+      startedAt: null,
+      exitCode: null,
+      signal: null,
+      restartCount: 0,
+      autoRestarts: 0,
+      lastError: null,
+      stderr: [],
+      waiters: [],
+      killTimer: null,
+      restartTimer: null,
+    };
+    processes.set(id, entry);
+  }
+
+  entry.spec = { command, args, env, cwd };
+  launch(entry);
+  return toStatus(entry);
+}
+
+// Stop a managed process with SIGTERM, escalating to SIGKILL after a timeout.
+// Resolves with the final status once the process has exited.
+export function stopProcess(id, { timeoutMs = STOP_TIMEOUT_MS } = {}) {
+  const entry = processes.get(id);
+  if (!entry) return Promise.resolve(toStatus(entry));
+
+  // A crashed process may be waiting for an automatic restart
+  clearTimeout(entry.restartTimer);
+  entry.restartTimer = null;
+
+  if (!entry.child) {
+    if (entry.status !== "crashed") entry.status = "stopped";
+    return Promise.resolve(toStatus(entry));
+  }
+
+  const stopped = new Promise((resolve) => entry.waiters.push(resolve));
+
+  if (entry.status !== "stopping") {
+    entry.status = "stopping";
+    entry.child.stdin.end();
+    signalProcess(entry, "SIGTERM");
+    entry.killTimer = setTimeout(() => {
+      signalProcess(entry, "SIGKILL");
+    }, timeoutMs);
+  }
+
+  return stopped;
+}
+
+export function getProcessStatus(id) {
+  return toStatus(processes.get(id));
+}
+
+export function isProcessActive(id) {
+  return isActive(processes.get(id));
+}
+
+// Stop every managed process, e.g. when the dashboard shuts down
+export function stopAllProcesses(options) {
+  return Promise.all(
+    [...processes.keys()].map((id) => stopProcess(id, options))
+  );
+}
@@ -0,0 +1,260 @@
+import path from "path";
+import {
+  validateProvidersConfig,
+  validateWorkspacesConfig,
+} from "./config-schema.mjs";
+import { BATCH_ACTIONS } from "./batch.mjs";
+
+// Request checks for the API routes. Every violation is answered the same
+// way: a 4xx with { error, errors }, where `errors` lists { path, message }
+// like the config-schema errors and `error` is the first message, ready to
+// show as is.
+
+// Server and workspace names end up in URLs, log directory names and client
+// configs, so they are kept to a conservative character set
+export const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+export const MAX_NAME_LENGTH = 64;
+
+// Limit for JSON request bodies; whole config files are the largest
+export const MAX_BODY_SIZE = "1mb";
+// Operations accepted in one POST /api/batch request
+export const MAX_BATCH_OPERATIONS = 500;
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+export function sendValidationErrors(res, errors, status = 400) {
+  res.status(status).json({ error: errors[0].message, errors });
+}
+
+// Wrap a check of the request into route middleware. `check` returns a list
+// of errors, empty if the request is fine.
+export function validateRequest(check) {
+  return (req, res, next) => {
+    const errors = check(req);
+    if (errors.length > 0) return sendValidationErrors(res, errors);
+    next();
+  };
+}
+
+// Returns an error for a name that breaks the rules, or null
+export function checkName(value, label, errorPath) {
+  if (typeof value !== "string" || value === "") {
+    return { path: errorPath, message: `${label} is required` };
+  }
+  if (value.length > MAX_NAME_LENGTH) {
+    return {
+      path: errorPath,
+      message: `${label} must be at most ${MAX_NAME_LENGTH} characters`,
+    };
+  }
+  if (!NAME_PATTERN.test(value)) {
+    return {
+      path: errorPath,
+      message: `${label} may only contain letters, digits, ".", "_" and "-", and must start with a letter or digit`,
+    };
+  }
+  return null;
+}
+
+// checkName for the name a create or update asks for. An update that keeps
+// the entry's current name (the :id param) isn't held to the rules, so
+// servers and workspaces named before them, e.g. by the yamcp CLI, stay
+// editable.
+function checkNewName(req, value, label, errorPath) {
+  if (req.params.id !== undefined && value === req.params.id) return null;
+  return checkName(value, label, errorPath);
+}
+
+// Check the provider a server request describes against the providers.json
+// schema, with error paths rewritten to the request fields (["command"]
+// rather than [name, "providerParameters", "command"])
+function checkProviderFields(body) {
+  const { type, command, args, env, secrets, url, headers, headerSecrets } =
+    body;
+  const errors = [];
+
+  const provider = {
+    type,
+    providerParameters:
+      type === "stdio"
+        ? { command, args, env: env || {} }
+        : { url, headers: type === "streamable-http" ? headers : undefined },
+  };
+  for (const error of validateProvidersConfig({ server: provider })) {
+    const [, section, ...rest] = error.path;
+    errors.push({
+      path: section === "providerParameters" ? rest : [section],
+      message: error.message,
+    });
+  }
+
+  for (const [field, value] of [
+    ["secrets", secrets],
+    ["headerSecrets", headerSecrets],
+  ]) {
+    if (
+      value !== undefined &&
+      (!isPlainObject(value) ||
+        Object.values(value).some((entry) => typeof entry !== "string"))
+    ) {
+      errors.push({
+        path: [field],
+        message: `${field} must map names to strings`,
+      });
+    }
+  }
+
+  return errors;
+}
+
+// Body of POST /api/servers and PUT /api/servers/:id
+function checkServerBody(req) {
+  const { name, namespace } = req.body;
+  const errors = [];
+
+  const nameError = checkNewName(req, name, "Server name", ["name"]);
+  if (nameError) errors.push(nameError);
+  if (namespace !== undefined && namespace !== "") {
+    const namespaceError = checkNewName(req, namespace, "Namespace", [
+      "namespace",
+    ]);
+    if (namespaceError) errors.push(namespaceError);
+  }
+
+  return [...errors, ...checkProviderFields(req.body)];
+}
+
+export const validateServerBody = validateRequest(checkServerBody);
+
+// Body of POST /api/servers/preflight: the fields of a stdio server body,
+// name optional
+function checkPreflightBody(req) {
+  const errors = checkProviderFields({ ...req.body, type: "stdio" });
+  if (req.body.type !== undefined && req.body.type !== "stdio") {
+    errors.unshift({
+      path: ["type"],
+      message: "Preflight checks are only available for stdio servers",
+    });
+  }
+  if (req.body.dryRun !== undefined && typeof req.body.dryRun !== "boolean") {
+    errors.push({ path: ["dryRun"], message: "dryRun must be a boolean" });
+  }
+  return errors;
+}
+
+export const validatePreflightBody = validateRequest(checkPreflightBody);
+
+// Body of POST /api/workspaces and PUT /api/workspaces/:id. Whether the
+// servers exist is checked by the routes with checkWorkspaceServers.
+function checkWorkspaceBody(req) {
+  const { name, servers } = req.body;
+  const errors = [];
+
+  if (req.method === "POST" || name !== undefined) {
+    const nameError = checkNewName(req, name, "Workspace name", ["name"]);
+    if (nameError) errors.push(nameError);
+  }
+
+  if (!Array.isArray(servers)) {
+    errors.push({ path: ["servers"], message: "servers must be an array" });
+  } else {
+    servers.forEach((server, index) => {
+      if (typeof server !== "string" || server === "") {
+        errors.push({
+          path: ["servers", index],
+          message: "Each server must be a server name",
+        });
+      }
+    });
+  }
+
+  return errors;
+}
+
+export const validateWorkspaceBody = validateRequest(checkWorkspaceBody);
+
+// Check a workspace's server list against the configured providers with the
+// workspaces.json schema, with error paths like ["servers", 0]
+export function checkWorkspaceServers(servers, providers) {
+  return validateWorkspacesConfig({ workspace: servers }, providers).map(
+    (error) => ({
+      path: ["servers", ...error.path.slice(1)],
+      message: error.message,
+    })
+  );
+}
+
+// Body of POST /api/batch: { operations: [{ action, ...fields }] }, with the
+// fields each action takes in BATCH_ACTIONS. Whether the servers and
+// workspaces exist is up to planBatch.
+function checkBatchBody(req) {
+  const { operations } = req.body;
+  const errors = [];
+
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return [{ path: ["operations"], message: "operations must be a list" }];
+  }
+  if (operations.length > MAX_BATCH_OPERATIONS) {
+    return [
+      {
+        path: ["operations"],
+        message: `At most ${MAX_BATCH_OPERATIONS} operations can be sent at once`,
+      },
+    ];
+  }
+
+  operations.forEach((operation, index) => {
+    const operationPath = ["operations", index];
+    if (!isPlainObject(operation) || !BATCH_ACTIONS[operation.action]) {
+      errors.push({
+        path: [...operationPath, "action"],
+        message: `Operation ${index + 1} has an unknown action`,
+      });
+      return;
+    }
+
+    for (const field of BATCH_ACTIONS[operation.action]) {
+      const value = operation[field];
+      if (field === "servers") {
+        if (
+          !Array.isArray(value) ||
+          value.length === 0 ||
+          value.some((server) => typeof server !== "string" || server === "")
+        ) {
+          errors.push({
+            path: [...operationPath, field],
+            message: `servers of operation ${index + 1} must list server names`,
+          });
+        }
+      } else if (typeof value !== "string" || value === "") {
+        errors.push({
+          path: [...operationPath, field],
+          message: `${field} of operation ${index + 1} is required`,
+        });
+      }
+    }
+  });
+
+  return errors;
+}
+
+export const validateBatchBody = validateRequest(checkBatchBody);
+
+// Join path segments taken from a request onto a base directory. Returns
+// null if the result would end up outside the directory.
+export function resolveWithin(baseDir, ...segments) {
+  const base = path.resolve(baseDir);
+  const resolved = path.resolve(base, ...segments);
+  const relative = path.relative(base, resolved);
+  if (
+    relative === "" ||
+    relative === ".." ||
+    relative.startsWith(`..${path.sep}`) ||
+    path.isAbsolute(relative)
+  ) {
+    return null;
+  }
+  return resolved;
+}
@@ -0,0 +1,182 @@
+import { diffJson } from "./config-history.mjs";
+import {
+  validateProvidersConfig,
+  validateWorkspacesConfig,
+} from "./config-schema.mjs";
+import { checkName } from "./validation.mjs";
+
+// A bundle is one JSON file holding a workspace and the providers it uses, so
+// it can be shared. Env values and request headers are never exported; each
+// becomes a ${KEY} placeholder that is filled in on import.
+export const BUNDLE_FORMAT = "yamcp-workspace-bundle";
+export const BUNDLE_VERSION = 1;
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function placeholder(key) {
+  return "${" + key + "}";
+}
+
+// The maps of a provider whose values are replaced by placeholders, with the
+// variable name each key gets. Header names are turned into variable names
+// like ${AUTHORIZATION} or ${X_API_KEY}.
+function placeholderMaps(provider) {
+  const params = provider.providerParameters;
+  return [
+    [params?.env, (key) => key],
+    [params?.headers, (name) => name.toUpperCase().replace(/[^A-Z0-9_]/g, "_")],
+  ].filter(([map]) => isPlainObject(map));
+}
+
+export function createBundle(workspaceName, workspaces, providers) {
+  const serverNames = workspaces[workspaceName];
+  const bundleProviders = {};
+  const placeholders = [];
+
+  for (const name of serverNames) {
+    const provider = providers[name];
+    if (!provider) continue;
+
+    const copy = structuredClone(provider);
+    for (const [map, variable] of placeholderMaps(copy)) {
+      for (const key of Object.keys(map)) {
+        map[key] = placeholder(variable(key));
+        placeholders.push({ server: name, key });
+      }
+    }
+    bundleProviders[name] = copy;
+  }
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    workspace: {
+      name: workspaceName,
+      servers: serverNames.filter((name) => bundleProviders[name]),
+    },
+    providers: bundleProviders,
+    placeholders,
+  };
+}
+
+// Check a bundle's structure. Throws with a message suitable for a 400.
+export function validateBundle(bundle) {
+  if (!isPlainObject(bundle) || bundle.format !== BUNDLE_FORMAT) {
+    throw new Error("Not a yamcp workspace bundle");
+  }
+  if (bundle.version !== BUNDLE_VERSION) {
+    throw new Error(`Unsupported bundle version: ${bundle.version}`);
+  }
+  if (
+    !isPlainObject(bundle.workspace) ||
+    typeof bundle.workspace.name !== "string" ||
+    bundle.workspace.name.trim() === ""
+  ) {
+    throw new Error("Bundle has no workspace name");
+  }
+
+  const nameError = [
+    checkName(bundle.workspace.name, "Workspace name", ["workspace", "name"]),
+    ...Object.keys(isPlainObject(bundle.providers) ? bundle.providers : {}).map(
+      (name) => checkName(name, "Server name", ["providers", name])
+    ),
+  ].find(Boolean);
+  if (nameError) {
+    throw new Error(
+      `Invalid bundle at ${nameError.path.join(".")}: ${nameError.message}`
+    );
+  }
+
+  const providerErrors = validateProvidersConfig(bundle.providers);
+  const workspaceErrors = validateWorkspacesConfig(
+    { [bundle.workspace.name]: bundle.workspace.servers },
+    isPlainObject(bundle.providers) ? bundle.providers : {}
+  );
+  const [firstError] = [...providerErrors, ...workspaceErrors];
+  if (firstError) {
+    throw new Error(
+      `Invalid bundle at ${firstError.path.join(".")}: ${firstError.message}`
+    );
+  }
+}
+
+// Env values and headers still holding their placeholder, as { server, key }
+function findPlaceholders(bundle) {
+  const placeholders = [];
+  for (const name of bundle.workspace.servers) {
+    for (const [map, variable] of placeholderMaps(bundle.providers[name])) {
+      for (const [key, value] of Object.entries(map)) {
+        if (value === placeholder(variable(key))) {
+          placeholders.push({ server: name, key });
+        }
+      }
+    }
+  }
+  return placeholders;
+}
+
+// First name not taken: name, name-2, name-3, ...
+function uniqueName(name, isTaken) {
+  if (!isTaken(name)) return name;
+  let suffix = 2;
+  while (isTaken(`${name}-${suffix}`)) suffix++;
+  return `${name}-${suffix}`;
+}
+
+// Fill in the placeholder values given as { server: { KEY: value } }, KEY
+// being an env key or header name. Blank values keep the placeholder.
+function fillPlaceholders(name, provider, values) {
+  const copy = structuredClone(provider);
+  for (const [map] of placeholderMaps(copy)) {
+    for (const key of Object.keys(map)) {
+      const value = values?.[name]?.[key];
+      if (typeof value === "string" && value !== "") {
+        map[key] = value;
+      }
+    }
+  }
+  return copy;
+}
+
+// Work out what importing a bundle does. A provider identical to an existing
+// one of the same name is reused; on any other collision the provider or
+// workspace is renamed. Returns the final names and the config to add.
+export function planBundleImport(bundle, values, providers, workspaces) {
+  const added = {};
+  const isProviderTaken = (name) => name in providers || name in added;
+
+  const servers = bundle.workspace.servers.map((name) => {
+    const provider = fillPlaceholders(name, bundle.providers[name], values);
+    const existing = providers[name];
+    if (existing && diffJson(existing, provider).length === 0) {
+      return { name, finalName: name, status: "reused" };
+    }
+
+    const finalName = uniqueName(name, isProviderTaken);
+    added[finalName] = { ...provider, namespace: finalName };
+    return {
+      name,
+      finalName,
+      status: finalName === name ? "new" : "renamed",
+    };
+  });
+
+  const workspaceName = uniqueName(
+    bundle.workspace.name,
+    (name) => name in workspaces
+  );
+
+  return {
+    workspace: {
+      name: bundle.workspace.name,
+      finalName: workspaceName,
+      servers: servers.map((server) => server.finalName),
+    },
+    servers,
+    placeholders: findPlaceholders(bundle),
+    providersToAdd: added,
+  };
+}
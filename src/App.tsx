@@ -2,8 +2,11 @@ import { BrowserRouter as Router, Routes, Route } from "react-router-dom";
 import { Layout } from "./components/Layout";
 import { Dashboard } from "./pages/Dashboard";
 import { Servers } from "./pages/Servers";
+import { ServerDetail } from "./pages/ServerDetail";
 import { Workspaces } from "./pages/Workspaces";
+import { Playground } from "./pages/Playground";
 import { Logs } from "./pages/Logs";
+import { ConfigHistory } from "./pages/ConfigHistory";
 import { Settings } from "./pages/Settings";
 import { ThemeProvider } from "./contexts/ThemeContext";
 
@@ -15,8 +18,11 @@ function App() {
           <Routes>
             <Route path="/" element={<Dashboard />} />
             <Route path="/servers" element={<Servers />} />
+            <Route path="/servers/:id" element={<ServerDetail />} />
             <Route path="/workspaces" element={<Workspaces />} />
+            <Route path="/playground" element={<Playground />} />
             <Route path="/logs" element={<Logs />} />
+            <Route path="/history" element={<ConfigHistory />} />
             <Route path="/settings" element={<Settings />} />
           </Routes>
         </Layout>
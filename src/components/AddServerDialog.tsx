@@ -10,7 +10,6 @@ import {
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
-import { Textarea } from "@/components/ui/textarea";
 import {
   Select,
   SelectContent,
@@ -18,6 +17,22 @@ import {
   SelectTrigger,
   SelectValue,
 } from "@/components/ui/select";
+import { CommandEditor } from "@/components/CommandEditor";
+import { TemplatePicker } from "@/components/TemplatePicker";
+import {
+  type EnvRow,
+  EnvEditor,
+  rowsToEnv,
+  validateEnvRows,
+} from "@/components/EnvEditor";
+import { PreflightPanel } from "@/components/PreflightPanel";
+import {
+  type HeaderRow,
+  HeadersEditor,
+  rowsToHeaders,
+} from "@/components/HeadersEditor";
+import { type ApiError, getFieldErrors } from "@/lib/apiErrors";
+import { type ServerTemplate, applyTemplate } from "@/lib/templates";
 
 interface AddServerDialogProps {
   open: boolean;
@@ -27,13 +42,33 @@ interface AddServerDialogProps {
 
 interface ServerFormData {
   name: string;
-  type: "stdio" | "sse";
+  type: "stdio" | "sse" | "streamable-http";
   command: string;
-  args: string;
-  env: string;
+  args: string[];
+  env: EnvRow[];
   url: string;
+  headers: HeaderRow[];
+}
+
+interface ServerFormErrors {
+  name?: string;
+  command?: string;
+  args?: string;
+  env?: string;
+  url?: string;
+  headers?: string;
 }
 
+// Inputs that API validation errors are shown under
+const FORM_FIELDS = [
+  "name",
+  "command",
+  "args",
+  "env",
+  "url",
+  "headers",
+] as const;
+
 export function AddServerDialog({
   open,
   onOpenChange,
@@ -43,15 +78,18 @@ export function AddServerDialog({
     name: "",
     type: "stdio",
     command: "",
-    args: "",
-    env: "",
+    args: [],
+    env: [],
     url: "",
+    headers: [],
   });
+  // The form itself, or the template picker that fills it in
+  const [mode, setMode] = useState<"manual" | "template">("manual");
   const [loading, setLoading] = useState(false);
-  const [errors, setErrors] = useState<Partial<ServerFormData>>({});
+  const [errors, setErrors] = useState<ServerFormErrors>({});
 
   const validateForm = (): boolean => {
-    const newErrors: Partial<ServerFormData> = {};
+    const newErrors: ServerFormErrors = {};
 
     if (!formData.name.trim()) {
       newErrors.name = "Server name is required";
@@ -61,9 +99,12 @@ export function AddServerDialog({
       if (!formData.command.trim()) {
         newErrors.command = "Command is required for stdio servers";
       }
-    } else if (formData.type === "sse") {
+      if (Object.keys(validateEnvRows(formData.env)).length > 0) {
+        newErrors.env = "Fix the environment variables above";
+      }
+    } else {
       if (!formData.url.trim()) {
-        newErrors.url = "URL is required for SSE servers";
+        newErrors.url = "URL is required for HTTP servers";
       } else if (!isValidUrl(formData.url)) {
         newErrors.url = "Please enter a valid URL";
       }
@@ -82,34 +123,6 @@ export function AddServerDialog({
     }
   };
 
-  const parseArgs = (argsString: string): string[] => {
-    if (!argsString.trim()) return [];
-    return argsString
-      .split(/\s+/)
-      .map((arg) => arg.trim())
-      .filter((arg) => arg.length > 0);
-  };
-
-  const parseEnv = (envString: string): Record<string, string> => {
-    if (!envString.trim()) return {};
-
-    const env: Record<string, string> = {};
-    const lines = envString.split("\n");
-
-    for (const line of lines) {
-      const trimmed = line.trim();
-      if (trimmed && trimmed.includes("=")) {
-        const [key, ...valueParts] = trimmed.split("=");
-        const value = valueParts.join("=");
-        if (key.trim()) {
-          env[key.trim()] = value.trim();
-        }
-      }
-    }
-
-    return env;
-  };
-
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
 
@@ -126,11 +139,14 @@ export function AddServerDialog({
         ...(formData.type === "stdio"
           ? {
               command: formData.command.trim(),
-              args: parseArgs(formData.args),
-              env: parseEnv(formData.env),
+              args: formData.args,
+              ...rowsToEnv(formData.env),
             }
           : {
               url: formData.url.trim(),
+              ...(formData.type === "streamable-http" && {
+                ...rowsToHeaders(formData.headers),
+              }),
             }),
       };
 
@@ -151,9 +167,10 @@ export function AddServerDialog({
           name: "",
           type: "stdio",
           command: "",
-          args: "",
-          env: "",
+          args: [],
+          env: [],
           url: "",
+          headers: [],
         });
         setErrors({});
 
@@ -161,9 +178,14 @@ export function AddServerDialog({
         onOpenChange(false);
         onServerAdded();
       } else {
-        const error = await response.json();
+        const error: ApiError = await response.json();
         console.error("Failed to add server:", error.error);
-        alert(`Failed to add server: ${error.error}`);
+        const fieldErrors = getFieldErrors(error, FORM_FIELDS);
+        if (fieldErrors) {
+          setErrors(fieldErrors);
+        } else {
+          alert(`Failed to add server: ${error.error}`);
+        }
       }
     } catch (error) {
       console.error("Error adding server:", error);
@@ -173,144 +195,173 @@ export function AddServerDialog({
     }
   };
 
+  const handleTemplateApply = (
+    template: ServerTemplate,
+    fields: ReturnType<typeof applyTemplate>
+  ) => {
+    setFormData((prev) => ({
+      ...prev,
+      ...fields,
+      name: prev.name || template.id,
+      type: "stdio",
+    }));
+    setErrors({});
+    setMode("manual");
+  };
+
   const handleCancel = () => {
     setFormData({
       name: "",
       type: "stdio",
       command: "",
-      args: "",
-      env: "",
+      args: [],
+      env: [],
       url: "",
+      headers: [],
     });
     setErrors({});
+    setMode("manual");
     onOpenChange(false);
   };
 
   return (
     <Dialog open={open} onOpenChange={onOpenChange}>
-      <DialogContent className="sm:max-w-[600px]">
+      <DialogContent className="sm:max-w-[600px] max-h-[80vh] overflow-y-auto">
         <DialogHeader>
           <DialogTitle>Add New Server</DialogTitle>
           <DialogDescription>
-            Configure a new MCP server. Choose between stdio (command-line) or
-            SSE (server-sent events) type.
+            Configure a new MCP server. Choose between stdio (command-line), SSE
+            (server-sent events) or streamable HTTP type.
           </DialogDescription>
         </DialogHeader>
 
-        <form onSubmit={handleSubmit} className="space-y-4">
-          <div className="grid gap-4">
-            <div className="grid gap-2">
-              <Label htmlFor="name">Server Name</Label>
-              <Input
-                id="name"
-                value={formData.name}
-                onChange={(e) =>
-                  setFormData({ ...formData, name: e.target.value })
-                }
-                placeholder="e.g., github-mcp"
-                className={errors.name ? "border-red-500" : ""}
-              />
-              {errors.name && (
-                <p className="text-sm text-red-500">{errors.name}</p>
-              )}
-            </div>
-
-            <div className="grid gap-2">
-              <Label htmlFor="type">Server Type</Label>
-              <Select
-                value={formData.type}
-                onValueChange={(value: "stdio" | "sse") =>
-                  setFormData({ ...formData, type: value })
-                }
-              >
-                <SelectTrigger>
-                  <SelectValue placeholder="Select server type" />
-                </SelectTrigger>
-                <SelectContent>
-                  <SelectItem value="stdio">stdio (Command-line)</SelectItem>
-                  <SelectItem value="sse">sse (Server-sent Events)</SelectItem>
-                </SelectContent>
-              </Select>
-            </div>
+        <div className="grid grid-cols-2 gap-2">
+          <Button
+            type="button"
+            variant={mode === "manual" ? "default" : "outline"}
+            onClick={() => setMode("manual")}
+          >
+            Manual
+          </Button>
+          <Button
+            type="button"
+            variant={mode === "template" ? "default" : "outline"}
+            onClick={() => setMode("template")}
+          >
+            From Template
+          </Button>
+        </div>
 
-            {formData.type === "stdio" ? (
-              <>
-                <div className="grid gap-2">
-                  <Label htmlFor="command">Command</Label>
-                  <Input
-                    id="command"
-                    value={formData.command}
-                    onChange={(e) =>
-                      setFormData({ ...formData, command: e.target.value })
-                    }
-                    placeholder="e.g., npx, docker, python"
-                    className={errors.command ? "border-red-500" : ""}
-                  />
-                  {errors.command && (
-                    <p className="text-sm text-red-500">{errors.command}</p>
-                  )}
-                </div>
-
-                <div className="grid gap-2">
-                  <Label htmlFor="args">Arguments (space-separated)</Label>
-                  <Input
-                    id="args"
-                    value={formData.args}
-                    onChange={(e) =>
-                      setFormData({ ...formData, args: e.target.value })
-                    }
-                    placeholder="e.g., @modelcontextprotocol/server-github"
-                  />
-                  <p className="text-xs text-muted-foreground">
-                    Enter command arguments separated by spaces
-                  </p>
-                </div>
-
-                <div className="grid gap-2">
-                  <Label htmlFor="env">Environment Variables (optional)</Label>
-                  <Textarea
-                    id="env"
-                    value={formData.env}
-                    onChange={(e) =>
-                      setFormData({ ...formData, env: e.target.value })
-                    }
-                    placeholder="KEY1=value1&#10;KEY2=value2"
-                    className="min-h-[80px]"
-                  />
-                  <p className="text-xs text-muted-foreground">
-                    Enter environment variables in KEY=value format, one per
-                    line
-                  </p>
-                </div>
-              </>
-            ) : (
+        {mode === "template" ? (
+          <TemplatePicker onApply={handleTemplateApply} />
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="grid gap-4">
               <div className="grid gap-2">
-                <Label htmlFor="url">Server URL</Label>
+                <Label htmlFor="name">Server Name</Label>
                 <Input
-                  id="url"
-                  value={formData.url}
+                  id="name"
+                  value={formData.name}
                   onChange={(e) =>
-                    setFormData({ ...formData, url: e.target.value })
+                    setFormData({ ...formData, name: e.target.value })
                   }
-                  placeholder="https://example.com/mcp"
-                  className={errors.url ? "border-red-500" : ""}
+                  placeholder="e.g., github-mcp"
+                  className={errors.name ? "border-red-500" : ""}
                 />
-                {errors.url && (
-                  <p className="text-sm text-red-500">{errors.url}</p>
+                {errors.name && (
+                  <p className="text-sm text-red-500">{errors.name}</p>
                 )}
               </div>
-            )}
-          </div>
 
-          <DialogFooter>
-            <Button type="button" variant="outline" onClick={handleCancel}>
-              Cancel
-            </Button>
-            <Button type="submit" disabled={loading}>
-              {loading ? "Adding..." : "Add Server"}
-            </Button>
-          </DialogFooter>
-        </form>
+              <div className="grid gap-2">
+                <Label htmlFor="type">Server Type</Label>
+                <Select
+                  value={formData.type}
+                  onValueChange={(value: ServerFormData["type"]) =>
+                    setFormData({ ...formData, type: value })
+                  }
+                >
+                  <SelectTrigger>
+                    <SelectValue placeholder="Select server type" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="stdio">stdio (Command-line)</SelectItem>
+                    <SelectItem value="sse">
+                      sse (Server-sent Events)
+                    </SelectItem>
+                    <SelectItem value="streamable-http">
+                      streamable-http (Streamable HTTP)
+                    </SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+
+              {formData.type === "stdio" ? (
+                <>
+                  <CommandEditor
+                    command={formData.command}
+                    args={formData.args}
+                    onChange={(command, args) =>
+                      setFormData({ ...formData, command, args })
+                    }
+                    errors={errors}
+                  />
+
+                  <EnvEditor
+                    rows={formData.env}
+                    onChange={(env) => setFormData({ ...formData, env })}
+                    error={errors.env}
+                  />
+
+                  <PreflightPanel
+                    request={{
+                      command: formData.command.trim(),
+                      args: formData.args,
+                      ...rowsToEnv(formData.env),
+                    }}
+                  />
+                </>
+              ) : (
+                <>
+                  <div className="grid gap-2">
+                    <Label htmlFor="url">Server URL</Label>
+                    <Input
+                      id="url"
+                      value={formData.url}
+                      onChange={(e) =>
+                        setFormData({ ...formData, url: e.target.value })
+                      }
+                      placeholder="https://example.com/mcp"
+                      className={errors.url ? "border-red-500" : ""}
+                    />
+                    {errors.url && (
+                      <p className="text-sm text-red-500">{errors.url}</p>
+                    )}
+                  </div>
+
+                  {formData.type === "streamable-http" && (
+                    <HeadersEditor
+                      rows={formData.headers}
+                      onChange={(headers) =>
+                        setFormData({ ...formData, headers })
+                      }
+                      error={errors.headers}
+                    />
+                  )}
+                </>
+              )}
+            </div>
+
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={handleCancel}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={loading}>
+                {loading ? "Adding..." : "Add Server"}
+              </Button>
+            </DialogFooter>
+          </form>
+        )}
       </DialogContent>
     </Dialog>
   );
@@ -12,6 +12,7 @@ import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Badge } from "@/components/ui/badge";
 import { X } from "lucide-react";
+import { type ApiError, getFieldErrors } from "@/lib/apiErrors";
 
 interface AddWorkspaceDialogProps {
   open: boolean;
@@ -22,7 +23,7 @@ interface AddWorkspaceDialogProps {
 interface ServerData {
   id: string;
   name: string;
-  type: "stdio" | "sse";
+  type: "stdio" | "sse" | "streamable-http";
 }
 
 interface WorkspaceFormData {
@@ -35,6 +36,8 @@ interface WorkspaceFormErrors {
   servers?: string;
 }
 
+const FORM_FIELDS = ["name", "servers"] as const;
+
 export function AddWorkspaceDialog({
   open,
   onOpenChange,
@@ -147,9 +150,14 @@ export function AddWorkspaceDialog({
         onOpenChange(false);
         onWorkspaceAdded();
       } else {
-        const error = await response.json();
+        const error: ApiError = await response.json();
         console.error("Failed to add workspace:", error.error);
-        alert(`Failed to add workspace: ${error.error}`);
+        const fieldErrors = getFieldErrors(error, FORM_FIELDS);
+        if (fieldErrors) {
+          setErrors(fieldErrors);
+        } else {
+          alert(`Failed to add workspace: ${error.error}`);
+        }
       }
     } catch (error) {
       console.error("Error adding workspace:", error);
@@ -1,4 +1,4 @@
-import { useState } from "react";
+import { useState, useEffect } from "react";
 import {
   Dialog,
   DialogContent,
@@ -8,29 +8,94 @@ import {
   DialogTitle,
 } from "@/components/ui/dialog";
 import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
 import { Alert, AlertDescription } from "@/components/ui/alert";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
 import { Trash2, AlertTriangle, Info } from "lucide-react";
 
+interface LogFile {
+  name: string;
+  size: number;
+}
+
 interface ClearLogsDialogProps {
   open: boolean;
   onOpenChange: (open: boolean) => void;
-  onConfirm: () => void;
-  logCount: number;
+  onCleared: () => void;
+  logFiles: LogFile[];
+  workspaces: string[];
+  defaultWorkspace: string;
 }
 
 export function ClearLogsDialog({
   open,
   onOpenChange,
-  onConfirm,
-  logCount,
+  onCleared,
+  logFiles,
+  workspaces,
+  defaultWorkspace,
 }: ClearLogsDialogProps) {
   const [isClearing, setIsClearing] = useState(false);
+  const [workspace, setWorkspace] = useState("all");
+  const [mode, setMode] = useState<"truncate" | "delete">("truncate");
+  const [archive, setArchive] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (open) {
+      setWorkspace(defaultWorkspace);
+      setError(null);
+    }
+  }, [open, defaultWorkspace]);
+
+  // Log file names are "<workspace>_<suffix>/<file>"
+  const affectedFiles = logFiles.filter(
+    (logFile) => workspace === "all" || logFile.name.split("_")[0] === workspace
+  );
+  const affectedBytes = affectedFiles.reduce(
+    (total, logFile) => total + logFile.size,
+    0
+  );
+
+  const formatFileSize = (bytes: number) => {
+    if (bytes === 0) return "0 Bytes";
+    const k = 1024;
+    const sizes = ["Bytes", "KB", "MB", "GB"];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i];
+  };
 
   const handleConfirm = async () => {
     setIsClearing(true);
+    setError(null);
     try {
-      await onConfirm();
-      onOpenChange(false);
+      const response = await fetch("/api/logs/clear", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          workspace: workspace === "all" ? null : workspace,
+          mode,
+          archive,
+        }),
+      });
+      const data = await response.json();
+      if (response.ok) {
+        onCleared();
+        onOpenChange(false);
+      } else {
+        setError(data.error || "Failed to clear logs");
+      }
+    } catch (error) {
+      console.error("Error clearing logs:", error);
+      setError(`Error clearing logs: ${error}`);
     } finally {
       setIsClearing(false);
     }
@@ -42,47 +107,104 @@ export function ClearLogsDialog({
 
   return (
     <Dialog open={open} onOpenChange={onOpenChange}>
-      <DialogContent className="sm:max-w-[425px]">
+      <DialogContent className="sm:max-w-[480px]">
         <DialogHeader>
           <DialogTitle className="flex items-center gap-2">
             <Trash2 className="h-5 w-5 text-destructive" />
             Clear Logs
           </DialogTitle>
           <DialogDescription>
-            This action will clear all displayed log entries from the current
-            view.
+            Empty or remove log files on disk, optionally keeping a gzip
+            archive.
           </DialogDescription>
         </DialogHeader>
 
         <div className="space-y-4">
+          <div className="grid gap-2">
+            <Label htmlFor="clear-workspace">Workspace</Label>
+            <Select value={workspace} onValueChange={setWorkspace}>
+              <SelectTrigger id="clear-workspace">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">All Workspaces</SelectItem>
+                {workspaces.map((name) => (
+                  <SelectItem key={name} value={name}>
+                    {name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="grid gap-2">
+            <Label>Action</Label>
+            <label className="flex items-start gap-2 text-sm">
+              <input
+                type="radio"
+                name="clear-mode"
+                className="mt-1"
+                checked={mode === "truncate"}
+                onChange={() => setMode("truncate")}
+              />
+              <span>
+                <span className="font-medium">Truncate</span>
+                <span className="block text-muted-foreground">
+                  Empty the files. Safe while workspaces are running.
+                </span>
+              </span>
+            </label>
+            <label className="flex items-start gap-2 text-sm">
+              <input
+                type="radio"
+                name="clear-mode"
+                className="mt-1"
+                checked={mode === "delete"}
+                onChange={() => setMode("delete")}
+              />
+              <span>
+                <span className="font-medium">Delete</span>
+                <span className="block text-muted-foreground">
+                  Remove the files and empty workspace log folders.
+                </span>
+              </span>
+            </label>
+          </div>
+
+          <label className="flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={archive}
+              onChange={(e) => setArchive(e.target.checked)}
+            />
+            Archive as gzip before clearing
+          </label>
+
           <Alert>
             <Info className="h-4 w-4" />
             <AlertDescription>
-              You are about to clear <strong>{logCount}</strong> log{" "}
-              {logCount === 1 ? "entry" : "entries"} from the display.
+              This affects <strong>{affectedFiles.length}</strong> log{" "}
+              {affectedFiles.length === 1 ? "file" : "files"} (
+              {formatFileSize(affectedBytes)}).
             </AlertDescription>
           </Alert>
 
-          <Alert variant="destructive">
-            <AlertTriangle className="h-4 w-4" />
-            <AlertDescription>
-              <strong>Important:</strong> This will only clear the current view.
-              The actual log files on disk will remain unchanged and can still
-              be downloaded.
-            </AlertDescription>
-          </Alert>
+          {!archive && (
+            <Alert variant="destructive">
+              <AlertTriangle className="h-4 w-4" />
+              <AlertDescription>
+                <strong>Important:</strong> Without an archive, cleared log
+                entries cannot be recovered.
+              </AlertDescription>
+            </Alert>
+          )}
 
-          <div className="bg-muted p-3 rounded-md">
-            <h4 className="text-sm font-medium mb-2">
-              What happens when you clear logs:
-            </h4>
-            <ul className="text-sm text-muted-foreground space-y-1">
-              <li>• Current log display will be emptied</li>
-              <li>• Log files on disk remain untouched</li>
-              <li>• You can refresh to reload logs from files</li>
-              <li>• Downloaded log files are not affected</li>
-            </ul>
-          </div>
+          {error && (
+            <Alert variant="destructive">
+              <AlertTriangle className="h-4 w-4" />
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
         </div>
 
         <DialogFooter>
@@ -98,7 +220,7 @@ export function ClearLogsDialog({
             type="button"
             variant="destructive"
             onClick={handleConfirm}
-            disabled={isClearing || logCount === 0}
+            disabled={isClearing || affectedFiles.length === 0}
           >
             {isClearing ? (
               <>
@@ -108,7 +230,8 @@ export function ClearLogsDialog({
             ) : (
               <>
                 <Trash2 className="mr-2 h-4 w-4" />
-                Clear {logCount} {logCount === 1 ? "Entry" : "Entries"}
+                {mode === "delete" ? "Delete" : "Clear"} {affectedFiles.length}{" "}
+                {affectedFiles.length === 1 ? "File" : "Files"}
               </>
             )}
           </Button>
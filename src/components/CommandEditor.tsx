@@ -0,0 +1,157 @@
+import { useEffect, useRef, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { ArrowDown, ArrowUp } from "lucide-react";
+import { formatCommandLine, parseCommandLine } from "@/lib/shellQuote";
+
+interface CommandEditorProps {
+  command: string;
+  args: string[];
+  onChange: (command: string, args: string[]) => void;
+  errors?: { command?: string; args?: string };
+}
+
+const sameWords = (a: string[], b: string[]) =>
+  a.length === b.length && a.every((word, index) => word === b[index]);
+
+// Command and arguments of a stdio server, editable one argument per row or
+// as a whole shell command line. The two views are kept in sync; the command
+// line is only rewritten when it no longer says the same as the rows, so
+// the user's own quoting survives while typing.
+export function CommandEditor({
+  command,
+  args,
+  onChange,
+  errors = {},
+}: CommandEditorProps) {
+  const [commandLine, setCommandLine] = useState("");
+  const [parseError, setParseError] = useState<string | null>(null);
+  // Words the command line last parsed to or was written from
+  const lineWordsRef = useRef<string[] | null>(null);
+
+  useEffect(() => {
+    const words = command || args.length > 0 ? [command, ...args] : [];
+    if (lineWordsRef.current && sameWords(lineWordsRef.current, words)) return;
+    lineWordsRef.current = words;
+    setCommandLine(formatCommandLine(words));
+    setParseError(null);
+  }, [command, args]);
+
+  const handleCommandLineChange = (value: string) => {
+    setCommandLine(value);
+    try {
+      const words = parseCommandLine(value);
+      const [newCommand = "", ...newArgs] = words;
+      lineWordsRef.current = words;
+      setParseError(null);
+      onChange(newCommand, newArgs);
+    } catch (error) {
+      setParseError(error instanceof Error ? error.message : String(error));
+    }
+  };
+
+  const setArg = (index: number, value: string) => {
+    onChange(
+      command,
+      args.map((arg, i) => (i === index ? value : arg))
+    );
+  };
+
+  const moveArg = (index: number, offset: number) => {
+    const newArgs = [...args];
+    const [arg] = newArgs.splice(index, 1);
+    newArgs.splice(index + offset, 0, arg);
+    onChange(command, newArgs);
+  };
+
+  return (
+    <>
+      <div className="grid gap-2">
+        <Label htmlFor="command-line">Command Line</Label>
+        <Input
+          id="command-line"
+          value={commandLine}
+          onChange={(e) => handleCommandLineChange(e.target.value)}
+          placeholder='e.g., npx -y @modelcontextprotocol/server-filesystem "/Users/me/My Projects"'
+          className={`font-mono ${parseError ? "border-red-500" : ""}`}
+        />
+        <p className="text-xs text-muted-foreground">
+          Paste a full command. Quotes and backslashes work as in a POSIX shell;
+          variables, globs and pipes are not expanded.
+        </p>
+        {parseError && <p className="text-sm text-red-500">{parseError}</p>}
+      </div>
+
+      <div className="grid gap-2">
+        <Label htmlFor="command">Command</Label>
+        <Input
+          id="command"
+          value={command}
+          onChange={(e) => onChange(e.target.value, args)}
+          placeholder="e.g., npx, docker, python"
+          className={errors.command ? "border-red-500" : ""}
+        />
+        {errors.command && (
+          <p className="text-sm text-red-500">{errors.command}</p>
+        )}
+      </div>
+
+      <div className="grid gap-2">
+        <Label>Arguments (optional)</Label>
+        {args.map((arg, index) => (
+          <div key={index} className="flex gap-2">
+            <Input
+              value={arg}
+              onChange={(e) => setArg(index, e.target.value)}
+              placeholder={`Argument ${index + 1}`}
+              className="flex-1 font-mono"
+            />
+            <Button
+              type="button"
+              variant="ghost"
+              size="sm"
+              onClick={() => moveArg(index, -1)}
+              disabled={index === 0}
+              title="Move up"
+            >
+              <ArrowUp className="h-4 w-4" />
+            </Button>
+            <Button
+              type="button"
+              variant="ghost"
+              size="sm"
+              onClick={() => moveArg(index, 1)}
+              disabled={index === args.length - 1}
+              title="Move down"
+            >
+              <ArrowDown className="h-4 w-4" />
+            </Button>
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={() =>
+                onChange(
+                  command,
+                  args.filter((_, i) => i !== index)
+                )
+              }
+            >
+              Remove
+            </Button>
+          </div>
+        ))}
+        <Button
+          type="button"
+          variant="outline"
+          size="sm"
+          onClick={() => onChange(command, [...args, ""])}
+        >
+          Add Argument
+        </Button>
+        {errors.args && <p className="text-sm text-red-500">{errors.args}</p>}
+      </div>
+    </>
+  );
+}
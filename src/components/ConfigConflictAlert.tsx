@@ -0,0 +1,70 @@
+import { Button } from "@/components/ui/button";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { AlertTriangle, GitMerge, RefreshCw, Save } from "lucide-react";
+
+interface ConfigConflictAlertProps {
+  file: string;
+  onReload: () => void;
+  // Reapply the dialog's edits on top of the latest version, where possible
+  onMerge?: () => void;
+  onOverwrite: () => void;
+  disabled?: boolean;
+}
+
+// Shown when a save is rejected because the config file changed after the
+// dialog loaded it, e.g. in another tab or through the yamcp CLI
+export function ConfigConflictAlert({
+  file,
+  onReload,
+  onMerge,
+  onOverwrite,
+  disabled,
+}: ConfigConflictAlertProps) {
+  return (
+    <Alert variant="destructive">
+      <AlertTriangle className="h-4 w-4" />
+      <AlertDescription className="space-y-3">
+        <p>
+          {file}.json was changed elsewhere since you opened this dialog. Reload
+          to see the latest version
+          {onMerge ? ", merge your changes into it," : ""} or save anyway to
+          replace it with your changes.
+        </p>
+        <div className="flex gap-2">
+          <Button
+            type="button"
+            variant="outline"
+            size="sm"
+            onClick={onReload}
+            disabled={disabled}
+          >
+            <RefreshCw className="mr-2 h-4 w-4" />
+            Reload
+          </Button>
+          {onMerge && (
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={onMerge}
+              disabled={disabled}
+            >
+              <GitMerge className="mr-2 h-4 w-4" />
+              Merge
+            </Button>
+          )}
+          <Button
+            type="button"
+            variant="destructive"
+            size="sm"
+            onClick={onOverwrite}
+            disabled={disabled}
+          >
+            <Save className="mr-2 h-4 w-4" />
+            Save Anyway
+          </Button>
+        </div>
+      </AlertDescription>
+    </Alert>
+  );
+}
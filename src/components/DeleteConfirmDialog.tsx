@@ -17,6 +17,8 @@ interface DeleteConfirmDialogProps {
   description: string;
   itemName: string;
   itemType: "server" | "workspace";
+  // Set when deleting several items at once; itemName is then ignored
+  itemNames?: string[];
   isLoading?: boolean;
 }
 
@@ -28,8 +30,13 @@ export function DeleteConfirmDialog({
   description,
   itemName,
   itemType,
+  itemNames,
   isLoading = false,
 }: DeleteConfirmDialogProps) {
+  const isBulk = itemNames !== undefined;
+  const typeLabel =
+    isBulk && itemNames.length !== 1 ? `${itemType}s` : itemType;
+
   const handleConfirm = () => {
     onConfirm();
   };
@@ -63,12 +70,26 @@ export function DeleteConfirmDialog({
                   This action cannot be undone
                 </h3>
                 <div className="mt-2 text-sm text-red-700">
-                  <p>
-                    You are about to permanently delete the {itemType}{" "}
-                    <span className="font-semibold">"{itemName}"</span>.
-                    {itemType === "workspace" &&
-                      " This will remove the workspace configuration but will not delete the individual servers."}
-                  </p>
+                  {isBulk ? (
+                    <p>
+                      You are about to permanently delete {itemNames.length}{" "}
+                      {typeLabel}:{" "}
+                      <span className="font-semibold">
+                        {itemNames.join(", ")}
+                      </span>
+                      .
+                      {itemType === "server"
+                        ? " They will also be removed from the workspaces that use them."
+                        : " This will remove the workspace configurations but will not delete the individual servers."}
+                    </p>
+                  ) : (
+                    <p>
+                      You are about to permanently delete the {itemType}{" "}
+                      <span className="font-semibold">"{itemName}"</span>.
+                      {itemType === "workspace" &&
+                        " This will remove the workspace configuration but will not delete the individual servers."}
+                    </p>
+                  )}
                 </div>
               </div>
             </div>
@@ -90,7 +111,7 @@ export function DeleteConfirmDialog({
             onClick={handleConfirm}
             disabled={isLoading}
           >
-            {isLoading ? "Deleting..." : `Delete ${itemType}`}
+            {isLoading ? "Deleting..." : `Delete ${typeLabel}`}
           </Button>
         </DialogFooter>
       </DialogContent>
@@ -17,40 +17,82 @@ import {
   SelectTrigger,
   SelectValue,
 } from "@/components/ui/select";
-import { Textarea } from "@/components/ui/textarea";
+import { ConfigConflictAlert } from "@/components/ConfigConflictAlert";
+import { CommandEditor } from "@/components/CommandEditor";
+import {
+  type EnvRow,
+  EnvEditor,
+  envToRows,
+  rowsToEnv,
+  validateEnvRows,
+} from "@/components/EnvEditor";
+import { PreflightPanel } from "@/components/PreflightPanel";
+import {
+  type HeaderRow,
+  HeadersEditor,
+  headersToRows,
+  rowsToHeaders,
+} from "@/components/HeadersEditor";
+import {
+  type ConfigConflict,
+  getConfigRevision,
+  ifMatchHeaders,
+  isConfigConflict,
+} from "@/lib/configRevision";
+import { type ApiError, getFieldErrors } from "@/lib/apiErrors";
+import { revealEnvValue } from "@/lib/secrets";
 
 interface ServerData {
   id: string;
   name: string;
   namespace: string;
-  type: "stdio" | "sse";
+  type: "stdio" | "sse" | "streamable-http";
   command?: string;
   args?: string[];
   env?: Record<string, string>;
   url?: string;
+  headers?: Record<string, string>;
 }
 
 interface ServerFormData {
   name: string;
   namespace: string;
-  type: "stdio" | "sse";
+  type: ServerData["type"];
   command: string;
-  args: string;
-  env: Record<string, string>;
+  args: string[];
+  env: EnvRow[];
   url: string;
+  headers: HeaderRow[];
 }
 
 interface ServerFormErrors {
   name?: string;
+  namespace?: string;
   command?: string;
+  args?: string;
+  env?: string;
   url?: string;
+  headers?: string;
 }
 
+// Fields the server's validation errors can be shown next to
+const FORM_FIELDS = [
+  "name",
+  "namespace",
+  "command",
+  "args",
+  "env",
+  "url",
+  "headers",
+] as const;
+
 interface EditServerDialogProps {
   open: boolean;
   onOpenChange: (open: boolean) => void;
   onServerUpdated: () => void;
   server: ServerData | null;
+  // Revision of providers.json that `server` was read from
+  revision: string | null;
 }
 
 export function EditServerDialog({
@@ -58,32 +100,43 @@ export function EditServerDialog({
   onOpenChange,
   onServerUpdated,
   server,
+  revision,
 }: EditServerDialogProps) {
   const [formData, setFormData] = useState<ServerFormData>({
     name: "",
     namespace: "",
     type: "stdio",
     command: "",
-    args: "",
-    env: {},
+    args: [],
+    env: [],
     url: "",
+    headers: [],
   });
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState<ServerFormErrors>({});
+  const [baseRevision, setBaseRevision] = useState<string | null>(null);
+  const [conflict, setConflict] = useState<ConfigConflict | null>(null);
+
+  const populateForm = (serverData: ServerData) => {
+    setFormData({
+      name: serverData.name,
+      namespace: serverData.namespace,
+      type: serverData.type,
+      command: serverData.command || "",
+      args: serverData.args || [],
+      env: envToRows(serverData.env),
+      url: serverData.url || "",
+      headers: headersToRows(serverData.headers),
+    });
+    setErrors({});
+    setConflict(null);
+  };
 
   // Populate form when server changes
   useEffect(() => {
     if (server) {
-      setFormData({
-        name: server.name,
-        namespace: server.namespace,
-        type: server.type,
-        command: server.command || "",
-        args: server.args?.join(" ") || "",
-        env: server.env || {},
-        url: server.url || "",
-      });
-      setErrors({});
+      populateForm(server);
+      setBaseRevision(revision);
     }
   }, [server]);
 
@@ -98,9 +151,12 @@ export function EditServerDialog({
       if (!formData.command.trim()) {
         newErrors.command = "Command is required for stdio servers";
       }
-    } else if (formData.type === "sse") {
+      if (Object.keys(validateEnvRows(formData.env)).length > 0) {
+        newErrors.env = "Fix the environment variables above";
+      }
+    } else {
       if (!formData.url.trim()) {
-        newErrors.url = "URL is required for SSE servers";
+        newErrors.url = "URL is required for HTTP servers";
       } else if (!formData.url.startsWith("http")) {
         newErrors.url = "URL must start with http:// or https://";
       }
@@ -113,10 +169,16 @@ export function EditServerDialog({
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
 
-    if (!validateForm() || !server) {
+    if (!validateForm()) {
       return;
     }
 
+    await saveServer(baseRevision);
+  };
+
+  const saveServer = async (ifMatch: string | null) => {
+    if (!server) return;
+
     setLoading(true);
 
     try {
@@ -127,14 +189,14 @@ export function EditServerDialog({
         ...(formData.type === "stdio"
           ? {
               command: formData.command,
-              args: formData.args
-                .split(" ")
-                .map((arg) => arg.trim())
-                .filter((arg) => arg.length > 0),
-              env: formData.env,
+              args: formData.args,
+              ...rowsToEnv(formData.env),
             }
           : {
               url: formData.url,
+              ...(formData.type === "streamable-http" && {
+                ...rowsToHeaders(formData.headers),
+              }),
             }),
       };
 
@@ -142,11 +204,15 @@ export function EditServerDialog({
         method: "PUT",
         headers: {
           "Content-Type": "application/json",
+          ...ifMatchHeaders(ifMatch),
         },
         body: JSON.stringify(payload),
       });
 
-      if (response.ok) {
+      const body = response.ok ? null : await response.json();
+      if (response.status === 409 && isConfigConflict(body)) {
+        setConflict(body);
+      } else if (response.ok) {
         onServerUpdated();
         onOpenChange(false);
         // Reset form
@@ -155,14 +221,20 @@ export function EditServerDialog({
           namespace: "",
           type: "stdio",
           command: "",
-          args: "",
-          env: {},
+          args: [],
+          env: [],
           url: "",
+          headers: [],
         });
       } else {
-        const error = await response.json();
+        const error: ApiError = body;
         console.error("Failed to update server:", error);
-        alert(`Failed to update server: ${error.error || "Unknown error"}`);
+        const fieldErrors = getFieldErrors(error, FORM_FIELDS);
+        if (fieldErrors) {
+          setErrors(fieldErrors);
+        } else {
+          alert(`Failed to update server: ${error.error || "Unknown error"}`);
+        }
       }
     } catch (error) {
       console.error("Error updating server:", error);
@@ -172,25 +244,73 @@ export function EditServerDialog({
     }
   };
 
+  // Replace the form with the server as it is now on disk
+  const handleReload = async () => {
+    if (!server) return;
+
+    try {
+      const response = await fetch("/api/servers");
+      if (!response.ok) {
+        console.error("Failed to reload server");
+        return;
+      }
+      const servers: ServerData[] = await response.json();
+      const latest = servers.find((candidate) => candidate.id === server.id);
+      if (!latest) {
+        alert(`Server ${server.id} was removed elsewhere.`);
+        onServerUpdated();
+        onOpenChange(false);
+        return;
+      }
+      populateForm(latest);
+      setBaseRevision(getConfigRevision(response));
+    } catch (error) {
+      console.error("Error reloading server:", error);
+    }
+  };
+
   const handleCancel = () => {
     onOpenChange(false);
     setErrors({});
+    setConflict(null);
+  };
+
+  // Stored secrets are revealed under the name they were saved with
+  const revealSecret = (row: EnvRow) => {
+    const key = Object.keys(server?.env || {}).find(
+      (candidate) => server?.env?.[candidate] === row.storedReference
+    );
+    if (!server || key === undefined) {
+      return Promise.reject(new Error("Save the server to reveal this value"));
+    }
+    return revealEnvValue(server.id, key);
   };
 
-  const handleTypeChange = (value: "stdio" | "sse") => {
+  const revealHeader = (row: HeaderRow) => {
+    const name = Object.keys(server?.headers || {}).find(
+      (candidate) => server?.headers?.[candidate] === row.storedReference
+    );
+    if (!server || name === undefined) {
+      return Promise.reject(new Error("Save the server to reveal this value"));
+    }
+    return revealEnvValue(server.id, name, "headers");
+  };
+
+  const handleTypeChange = (value: ServerFormData["type"]) => {
     setFormData((prev) => ({ ...prev, type: value }));
     // Clear type-specific errors when switching
     setErrors((prev) => {
       const newErrors = { ...prev };
       delete newErrors.command;
       delete newErrors.url;
+      delete newErrors.headers;
       return newErrors;
     });
   };
 
   return (
     <Dialog open={open} onOpenChange={onOpenChange}>
-      <DialogContent className="sm:max-w-[425px]">
+      <DialogContent className="sm:max-w-[600px] max-h-[80vh] overflow-y-auto">
         <DialogHeader>
           <DialogTitle>Edit Server</DialogTitle>
           <DialogDescription>
@@ -228,6 +348,9 @@ export function EditServerDialog({
                 }
                 placeholder="Enter namespace (unique identifier)"
               />
+              {errors.namespace && (
+                <p className="text-sm text-red-500">{errors.namespace}</p>
+              )}
             </div>
 
             <div className="grid gap-2">
@@ -239,118 +362,79 @@ export function EditServerDialog({
                 <SelectContent>
                   <SelectItem value="stdio">STDIO</SelectItem>
                   <SelectItem value="sse">SSE</SelectItem>
+                  <SelectItem value="streamable-http">
+                    Streamable HTTP
+                  </SelectItem>
                 </SelectContent>
               </Select>
             </div>
 
             {formData.type === "stdio" ? (
+              <>
+                <CommandEditor
+                  command={formData.command}
+                  args={formData.args}
+                  onChange={(command, args) =>
+                    setFormData((prev) => ({ ...prev, command, args }))
+                  }
+                  errors={errors}
+                />
+
+                <EnvEditor
+                  rows={formData.env}
+                  onChange={(env) => setFormData((prev) => ({ ...prev, env }))}
+                  onReveal={revealSecret}
+                  error={errors.env}
+                />
+
+                <PreflightPanel
+                  request={{
+                    command: formData.command.trim(),
+                    args: formData.args,
+                    ...rowsToEnv(formData.env),
+                  }}
+                />
+              </>
+            ) : (
               <>
                 <div className="grid gap-2">
-                  <Label htmlFor="command">Command</Label>
+                  <Label htmlFor="url">Server URL</Label>
                   <Input
-                    id="command"
-                    value={formData.command}
+                    id="url"
+                    value={formData.url}
                     onChange={(e) =>
-                      setFormData((prev) => ({
-                        ...prev,
-                        command: e.target.value,
-                      }))
+                      setFormData((prev) => ({ ...prev, url: e.target.value }))
                     }
-                    placeholder="e.g., node, python, ./script.js"
+                    placeholder="https://example.com/mcp"
                   />
-                  {errors.command && (
-                    <p className="text-sm text-red-500">{errors.command}</p>
+                  {errors.url && (
+                    <p className="text-sm text-red-500">{errors.url}</p>
                   )}
                 </div>
 
-                <div className="grid gap-2">
-                  <Label htmlFor="args">Arguments (optional)</Label>
-                  <Textarea
-                    id="args"
-                    value={formData.args}
-                    onChange={(e) =>
-                      setFormData((prev) => ({ ...prev, args: e.target.value }))
+                {formData.type === "streamable-http" && (
+                  <HeadersEditor
+                    rows={formData.headers}
+                    onChange={(headers) =>
+                      setFormData((prev) => ({ ...prev, headers }))
                     }
-                    placeholder="Space-separated arguments"
-                    rows={3}
+                    onReveal={revealHeader}
+                    error={errors.headers}
                   />
-                </div>
-
-                <div className="grid gap-2">
-                  <Label>Environment Variables (optional)</Label>
-                  <div className="space-y-2">
-                    {Object.entries(formData.env).map(([key, value], index) => (
-                      <div key={index} className="flex gap-2">
-                        <Input
-                          placeholder="Variable name"
-                          value={key}
-                          onChange={(e) => {
-                            const newEnv = { ...formData.env };
-                            delete newEnv[key];
-                            newEnv[e.target.value] = value;
-                            setFormData((prev) => ({ ...prev, env: newEnv }));
-                          }}
-                          className="flex-1"
-                        />
-                        <Input
-                          placeholder="Variable value"
-                          value={value}
-                          onChange={(e) => {
-                            setFormData((prev) => ({
-                              ...prev,
-                              env: { ...prev.env, [key]: e.target.value },
-                            }));
-                          }}
-                          className="flex-1"
-                        />
-                        <Button
-                          type="button"
-                          variant="outline"
-                          size="sm"
-                          onClick={() => {
-                            const newEnv = { ...formData.env };
-                            delete newEnv[key];
-                            setFormData((prev) => ({ ...prev, env: newEnv }));
-                          }}
-                        >
-                          Remove
-                        </Button>
-                      </div>
-                    ))}
-                    <Button
-                      type="button"
-                      variant="outline"
-                      size="sm"
-                      onClick={() => {
-                        setFormData((prev) => ({
-                          ...prev,
-                          env: { ...prev.env, "": "" },
-                        }));
-                      }}
-                    >
-                      Add Environment Variable
-                    </Button>
-                  </div>
-                </div>
-              </>
-            ) : (
-              <div className="grid gap-2">
-                <Label htmlFor="url">Server URL</Label>
-                <Input
-                  id="url"
-                  value={formData.url}
-                  onChange={(e) =>
-                    setFormData((prev) => ({ ...prev, url: e.target.value }))
-                  }
-                  placeholder="https://example.com/mcp"
-                />
-                {errors.url && (
-                  <p className="text-sm text-red-500">{errors.url}</p>
                 )}
-              </div>
+              </>
             )}
           </div>
 
+          {conflict && (
+            <ConfigConflictAlert
+              file={conflict.file}
+              onReload={handleReload}
+              onOverwrite={() => saveServer(conflict.revision)}
+              disabled={loading}
+            />
+          )}
+
           <DialogFooter>
             <Button type="button" variant="outline" onClick={handleCancel}>
               Cancel
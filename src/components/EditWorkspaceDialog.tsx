@@ -12,6 +12,14 @@ import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Badge } from "@/components/ui/badge";
 import { X } from "lucide-react";
+import { ConfigConflictAlert } from "@/components/ConfigConflictAlert";
+import { type ApiError, getFieldErrors } from "@/lib/apiErrors";
+import {
+  type ConfigConflict,
+  getConfigRevision,
+  ifMatchHeaders,
+  isConfigConflict,
+} from "@/lib/configRevision";
 
 interface WorkspaceData {
   id: string;
@@ -24,7 +32,7 @@ interface WorkspaceData {
 interface ServerData {
   id: string;
   name: string;
-  type: "stdio" | "sse";
+  type: "stdio" | "sse" | "streamable-http";
 }
 
 interface WorkspaceFormData {
@@ -37,11 +45,15 @@ interface WorkspaceFormErrors {
   servers?: string;
 }
 
+const FORM_FIELDS = ["name", "servers"] as const;
+
 interface EditWorkspaceDialogProps {
   open: boolean;
   onOpenChange: (open: boolean) => void;
   onWorkspaceUpdated: () => void;
   workspace: WorkspaceData | null;
+  // Revision of workspaces.json that `workspace` was read from
+  revision: string | null;
 }
 
 export function EditWorkspaceDialog({
@@ -49,6 +61,7 @@ export function EditWorkspaceDialog({
   onOpenChange,
   onWorkspaceUpdated,
   workspace,
+  revision,
 }: EditWorkspaceDialogProps) {
   const [formData, setFormData] = useState<WorkspaceFormData>({
     name: "",
@@ -58,6 +71,13 @@ export function EditWorkspaceDialog({
   const [loading, setLoading] = useState(false);
   const [loadingServers, setLoadingServers] = useState(false);
   const [errors, setErrors] = useState<WorkspaceFormErrors>({});
+  // The workspace as loaded, to tell the user's edits apart from changes
+  // made elsewhere when merging after a conflict
+  const [baseWorkspace, setBaseWorkspace] = useState<WorkspaceData | null>(
+    null
+  );
+  const [baseRevision, setBaseRevision] = useState<string | null>(null);
+  const [conflict, setConflict] = useState<ConfigConflict | null>(null);
 
   // Populate form when workspace changes
   useEffect(() => {
@@ -67,6 +87,9 @@ export function EditWorkspaceDialog({
         servers: [...workspace.servers],
       });
       setErrors({});
+      setConflict(null);
+      setBaseWorkspace(workspace);
+      setBaseRevision(revision);
     }
   }, [workspace]);
 
@@ -137,10 +160,16 @@ export function EditWorkspaceDialog({
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
 
-    if (!validateForm() || !workspace) {
+    if (!validateForm()) {
       return;
     }
 
+    await saveWorkspace(baseRevision);
+  };
+
+  const saveWorkspace = async (ifMatch: string | null) => {
+    if (!workspace) return;
+
     setLoading(true);
 
     try {
@@ -148,6 +177,7 @@ export function EditWorkspaceDialog({
         method: "PUT",
         headers: {
           "Content-Type": "application/json",
+          ...ifMatchHeaders(ifMatch),
         },
         body: JSON.stringify({
           name: formData.name,
@@ -155,7 +185,10 @@ export function EditWorkspaceDialog({
         }),
       });
 
-      if (response.ok) {
+      const body = response.ok ? null : await response.json();
+      if (response.status === 409 && isConfigConflict(body)) {
+        setConflict(body);
+      } else if (response.ok) {
         onWorkspaceUpdated();
         onOpenChange(false);
         // Reset form
@@ -164,9 +197,16 @@ export function EditWorkspaceDialog({
           servers: [],
         });
       } else {
-        const error = await response.json();
+        const error: ApiError = body;
         console.error("Failed to update workspace:", error);
-        alert(`Failed to update workspace: ${error.error || "Unknown error"}`);
+        const fieldErrors = getFieldErrors(error, FORM_FIELDS);
+        if (fieldErrors) {
+          setErrors(fieldErrors);
+        } else {
+          alert(
+            `Failed to update workspace: ${error.error || "Unknown error"}`
+          );
+        }
       }
     } catch (error) {
       console.error("Error updating workspace:", error);
@@ -176,9 +216,74 @@ export function EditWorkspaceDialog({
     }
   };
 
+  // Fetch the workspace as it is now on disk. Returns null if it was removed.
+  const fetchLatestWorkspace = async () => {
+    if (!workspace) return null;
+
+    const response = await fetch("/api/workspaces");
+    if (!response.ok) {
+      throw new Error("Failed to reload workspace");
+    }
+    const workspaces: WorkspaceData[] = await response.json();
+    const latest = workspaces.find(
+      (candidate) => candidate.id === workspace.id
+    );
+    if (!latest) {
+      alert(`Workspace ${workspace.id} was removed elsewhere.`);
+      onWorkspaceUpdated();
+      onOpenChange(false);
+      return null;
+    }
+
+    setBaseWorkspace(latest);
+    setBaseRevision(getConfigRevision(response));
+    setConflict(null);
+    loadServers();
+    return latest;
+  };
+
+  // Discard the form and show the latest version
+  const handleReload = async () => {
+    try {
+      const latest = await fetchLatestWorkspace();
+      if (latest) {
+        setFormData({ name: latest.name, servers: [...latest.servers] });
+      }
+    } catch (error) {
+      console.error("Error reloading workspace:", error);
+    }
+  };
+
+  // Apply the servers added and removed in the form to the latest version
+  const handleMerge = async () => {
+    if (!baseWorkspace) return;
+
+    const added = formData.servers.filter(
+      (id) => !baseWorkspace.servers.includes(id)
+    );
+    const removed = baseWorkspace.servers.filter(
+      (id) => !formData.servers.includes(id)
+    );
+    try {
+      const latest = await fetchLatestWorkspace();
+      if (latest) {
+        setFormData((prev) => ({
+          ...prev,
+          servers: [
+            ...latest.servers.filter((id) => !removed.includes(id)),
+            ...added.filter((id) => !latest.servers.includes(id)),
+          ],
+        }));
+      }
+    } catch (error) {
+      console.error("Error merging workspace:", error);
+    }
+  };
+
   const handleCancel = () => {
     onOpenChange(false);
     setErrors({});
+    setConflict(null);
   };
 
   return (
@@ -295,6 +400,16 @@ export function EditWorkspaceDialog({
             </div>
           </div>
 
+          {conflict && (
+            <ConfigConflictAlert
+              file={conflict.file}
+              onReload={handleReload}
+              onMerge={handleMerge}
+              onOverwrite={() => saveWorkspace(conflict.revision)}
+              disabled={loading}
+            />
+          )}
+
           <DialogFooter>
             <Button type="button" variant="outline" onClick={handleCancel}>
               Cancel
@@ -0,0 +1,187 @@
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { SecretInput } from "@/components/SecretInput";
+import { Lock, Unlock } from "lucide-react";
+import { isSecretReference } from "@/lib/secrets";
+
+export interface EnvRow {
+  key: string;
+  value: string;
+  // Kept in the encrypted secret store rather than providers.json
+  secret: boolean;
+  // The ${secret:...} reference of a secret stored earlier, kept as is while
+  // `value` is left empty
+  storedReference?: string;
+}
+
+// Env variable names as a POSIX shell accepts them, which is also what a
+// ${VAR} reference can name
+const ENV_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+export function envToRows(env: Record<string, string> = {}): EnvRow[] {
+  return Object.entries(env).map(([key, value]) =>
+    isSecretReference(value)
+      ? { key, value: "", secret: true, storedReference: value }
+      : { key, value, secret: false }
+  );
+}
+
+// The env and secrets fields of a server request. Rows without a name are
+// dropped.
+export function rowsToEnv(rows: EnvRow[]) {
+  const env: Record<string, string> = {};
+  const secrets: Record<string, string> = {};
+  for (const row of rows) {
+    const key = row.key.trim();
+    if (!key) continue;
+    if (row.secret) {
+      env[key] = row.storedReference || "";
+      secrets[key] = row.value;
+    } else {
+      env[key] = row.value;
+    }
+  }
+  return { env, secrets };
+}
+
+// Problems with the rows, by row index
+export function validateEnvRows(rows: EnvRow[]): Record<number, string> {
+  const errors: Record<number, string> = {};
+  const seen = new Set<string>();
+  rows.forEach((row, index) => {
+    const key = row.key.trim();
+    if (!key) {
+      if (row.value) errors[index] = "Variable name is required";
+    } else if (!ENV_KEY_PATTERN.test(key)) {
+      errors[index] =
+        "Names may only contain letters, digits and _, and must not start with a digit";
+    } else if (seen.has(key)) {
+      errors[index] = `${key} is defined more than once`;
+    }
+    seen.add(key);
+  });
+  return errors;
+}
+
+interface EnvEditorProps {
+  rows: EnvRow[];
+  onChange: (rows: EnvRow[]) => void;
+  // Fetches the value of a stored secret
+  onReveal?: (row: EnvRow) => Promise<string>;
+  error?: string;
+}
+
+// Environment variables of a stdio server, one row per variable
+export function EnvEditor({ rows, onChange, onReveal, error }: EnvEditorProps) {
+  const rowErrors = validateEnvRows(rows);
+
+  const updateRow = (index: number, row: Partial<EnvRow>) => {
+    onChange(
+      rows.map((current, i) => (i === index ? { ...current, ...row } : current))
+    );
+  };
+
+  // Unmarking a stored secret that wasn't revealed keeps its reference as
+  // the plain value
+  const toggleSecret = (index: number) => {
+    const row = rows[index];
+    updateRow(
+      index,
+      row.secret
+        ? {
+            secret: false,
+            value: row.value || row.storedReference || "",
+            storedReference: undefined,
+          }
+        : { secret: true }
+    );
+  };
+
+  return (
+    <div className="grid gap-2">
+      <Label>Environment Variables (optional)</Label>
+      {rows.map((row, index) => (
+        <div key={index} className="grid gap-1">
+          <div className="flex gap-2">
+            <Input
+              placeholder="Variable name"
+              value={row.key}
+              onChange={(e) => updateRow(index, { key: e.target.value })}
+              className={`flex-1 font-mono ${
+                rowErrors[index] ? "border-red-500" : ""
+              }`}
+            />
+            {row.secret ? (
+              <SecretInput
+                value={row.value}
+                onChange={(value) => updateRow(index, { value })}
+                placeholder={
+                  row.storedReference ? "Stored secret" : "Secret value"
+                }
+                onReveal={
+                  row.storedReference && onReveal
+                    ? () => onReveal(row)
+                    : undefined
+                }
+              />
+            ) : (
+              <Input
+                placeholder="Variable value"
+                value={row.value}
+                onChange={(e) => updateRow(index, { value: e.target.value })}
+                className="flex-1"
+              />
+            )}
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={() => toggleSecret(index)}
+              title={
+                row.secret
+                  ? "Store as a plain value"
+                  : "Store as an encrypted secret"
+              }
+            >
+              {row.secret ? (
+                <Lock className="h-4 w-4" />
+              ) : (
+                <Unlock className="h-4 w-4" />
+              )}
+            </Button>
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={() => onChange(rows.filter((_, i) => i !== index))}
+            >
+              Remove
+            </Button>
+          </div>
+          {rowErrors[index] && (
+            <p className="text-sm text-red-500">{rowErrors[index]}</p>
+          )}
+        </div>
+      ))}
+      <Button
+        type="button"
+        variant="outline"
+        size="sm"
+        onClick={() =>
+          onChange([...rows, { key: "", value: "", secret: false }])
+        }
+      >
+        Add Environment Variable
+      </Button>
+      <p className="text-xs text-muted-foreground">
+        Locked values are kept in yamcp-ui's encrypted store and only filled in
+        when yamcp-ui launches the server. Values can also reference yamcp-ui's
+        environment as {"${VAR}"}. yamcp run resolves neither, so workspaces
+        with this server can't be started or installed in AI clients while a
+        value is locked or holds a reference.
+      </p>
+      {error && <p className="text-sm text-red-500">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,161 @@
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { SecretInput } from "@/components/SecretInput";
+import { Lock, Unlock } from "lucide-react";
+import { isSecretReference } from "@/lib/secrets";
+
+export interface HeaderRow {
+  name: string;
+  value: string;
+  // Kept in the encrypted secret store rather than providers.json
+  secret: boolean;
+  // The ${secret:...} reference of a value stored earlier, kept as is while
+  // `value` is left empty
+  storedReference?: string;
+}
+
+export function headersToRows(
+  headers: Record<string, string> = {}
+): HeaderRow[] {
+  return Object.entries(headers).map(([name, value]) =>
+    isSecretReference(value)
+      ? { name, value: "", secret: true, storedReference: value }
+      : { name, value, secret: false }
+  );
+}
+
+// The headers and headerSecrets fields of a server request. Rows without a
+// name are dropped.
+export function rowsToHeaders(rows: HeaderRow[]) {
+  const headers: Record<string, string> = {};
+  const headerSecrets: Record<string, string> = {};
+  for (const row of rows) {
+    const name = row.name.trim();
+    if (!name) continue;
+    if (row.secret) {
+      headers[name] = row.storedReference || "";
+      headerSecrets[name] = row.value;
+    } else {
+      headers[name] = row.value;
+    }
+  }
+  return { headers, headerSecrets };
+}
+
+interface HeadersEditorProps {
+  rows: HeaderRow[];
+  onChange: (rows: HeaderRow[]) => void;
+  // Fetches the value of a stored secret
+  onReveal?: (row: HeaderRow) => Promise<string>;
+  error?: string;
+}
+
+// Request headers sent with every message to a streamable-http server. New
+// rows start out locked, as headers usually carry credentials.
+export function HeadersEditor({
+  rows,
+  onChange,
+  onReveal,
+  error,
+}: HeadersEditorProps) {
+  const updateRow = (index: number, row: Partial<HeaderRow>) => {
+    onChange(
+      rows.map((current, i) => (i === index ? { ...current, ...row } : current))
+    );
+  };
+
+  // Unmarking a stored secret that wasn't revealed keeps its reference as
+  // the plain value
+  const toggleSecret = (index: number) => {
+    const row = rows[index];
+    updateRow(
+      index,
+      row.secret
+        ? {
+            secret: false,
+            value: row.value || row.storedReference || "",
+            storedReference: undefined,
+          }
+        : { secret: true }
+    );
+  };
+
+  return (
+    <div className="grid gap-2">
+      <Label>Headers (optional)</Label>
+      {rows.map((row, index) => (
+        <div key={index} className="flex gap-2">
+          <Input
+            placeholder="Header name"
+            value={row.name}
+            onChange={(e) => updateRow(index, { name: e.target.value })}
+            className="flex-1"
+          />
+          {row.secret ? (
+            <SecretInput
+              value={row.value}
+              onChange={(value) => updateRow(index, { value })}
+              placeholder={row.storedReference ? "Stored secret" : "Value"}
+              onReveal={
+                row.storedReference && onReveal
+                  ? () => onReveal(row)
+                  : undefined
+              }
+            />
+          ) : (
+            <Input
+              placeholder="Value"
+              value={row.value}
+              onChange={(e) => updateRow(index, { value: e.target.value })}
+              className="flex-1"
+            />
+          )}
+          <Button
+            type="button"
+            variant="outline"
+            size="sm"
+            onClick={() => toggleSecret(index)}
+            title={
+              row.secret
+                ? "Store as a plain value"
+                : "Store as an encrypted secret"
+            }
+          >
+            {row.secret ? (
+              <Lock className="h-4 w-4" />
+            ) : (
+              <Unlock className="h-4 w-4" />
+            )}
+          </Button>
+          <Button
+            type="button"
+            variant="outline"
+            size="sm"
+            onClick={() => onChange(rows.filter((_, i) => i !== index))}
+          >
+            Remove
+          </Button>
+        </div>
+      ))}
+      <Button
+        type="button"
+        variant="outline"
+        size="sm"
+        onClick={() =>
+          onChange([...rows, { name: "", value: "", secret: true }])
+        }
+      >
+        Add Header
+      </Button>
+      <p className="text-xs text-muted-foreground">
+        Locked values, such as an Authorization header, are kept in yamcp-ui's
+        encrypted store and never shown without revealing them. Values can also
+        reference yamcp-ui's environment as {"${VAR}"}. yamcp run resolves
+        neither, so workspaces with this server can't be started or installed in
+        AI clients while a header is locked or holds a reference.
+      </p>
+      {error && <p className="text-sm text-red-500">{error}</p>}
+    </div>
+  );
+}
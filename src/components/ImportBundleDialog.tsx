@@ -0,0 +1,297 @@
+import { useState, useEffect } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { AlertCircle, Upload } from "lucide-react";
+import {
+  getConfigRevision,
+  ifMatchHeaders,
+  isConfigConflict,
+} from "@/lib/configRevision";
+
+interface BundleServer {
+  name: string;
+  finalName: string;
+  status: "new" | "renamed" | "reused";
+}
+
+interface BundlePlan {
+  workspace: { name: string; finalName: string; servers: string[] };
+  servers: BundleServer[];
+  placeholders: { server: string; key: string }[];
+}
+
+// Placeholder values as { server: { KEY: value } }
+type PlaceholderValues = Record<string, Record<string, string>>;
+
+// How long to wait after typing a value before refreshing the preview
+const PREVIEW_DEBOUNCE_MS = 400;
+
+interface ImportBundleDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  onImported: () => void;
+}
+
+export function ImportBundleDialog({
+  open,
+  onOpenChange,
+  onImported,
+}: ImportBundleDialogProps) {
+  const [bundle, setBundle] = useState<unknown>(null);
+  const [fileName, setFileName] = useState("");
+  const [plan, setPlan] = useState<BundlePlan | null>(null);
+  const [values, setValues] = useState<PlaceholderValues>({});
+  // Revisions of providers.json and workspaces.json the preview was planned
+  // against
+  const [revision, setRevision] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (open) {
+      setBundle(null);
+      setFileName("");
+      setPlan(null);
+      setValues({});
+      setRevision(null);
+      setError(null);
+    }
+  }, [open]);
+
+  // Filling in values can turn a renamed server into a reused one
+  useEffect(() => {
+    if (!bundle) return;
+    const timer = setTimeout(
+      () => fetchPlan(bundle, values),
+      PREVIEW_DEBOUNCE_MS
+    );
+    return () => clearTimeout(timer);
+  }, [bundle, values]);
+
+  const fetchPlan = async (bundle: unknown, values: PlaceholderValues) => {
+    try {
+      setError(null);
+      const response = await fetch("/api/bundles/preview", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ bundle, values }),
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setPlan(data);
+        setRevision(getConfigRevision(response));
+      } else {
+        setPlan(null);
+        setError(data.error || "Failed to read bundle");
+      }
+    } catch (error) {
+      console.error("Error previewing bundle:", error);
+      setError(`Error reading bundle: ${error}`);
+    }
+  };
+
+  const handleFileUpload = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    let parsed: unknown;
+    try {
+      parsed = JSON.parse(await file.text());
+    } catch (error) {
+      setError(`${file.name} is not valid JSON`);
+      return;
+    }
+    setBundle(parsed);
+    setFileName(file.name);
+    setValues({});
+  };
+
+  const setValue = (server: string, key: string, value: string) => {
+    setValues((prev) => ({
+      ...prev,
+      [server]: { ...prev[server], [key]: value },
+    }));
+  };
+
+  const handleImport = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetch("/api/bundles/import", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...ifMatchHeaders(revision),
+        },
+        body: JSON.stringify({ bundle, values }),
+      });
+      const data = await response.json();
+      if (response.ok) {
+        onImported();
+        onOpenChange(false);
+      } else if (response.status === 409 && isConfigConflict(data)) {
+        await fetchPlan(bundle, values);
+        setError(
+          `${data.error}. The preview has been updated; review it and import again.`
+        );
+      } else {
+        setError(data.error || "Failed to import bundle");
+      }
+    } catch (error) {
+      console.error("Error importing bundle:", error);
+      setError(`Error importing bundle: ${error}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const getServerBadge = (server: BundleServer) => {
+    switch (server.status) {
+      case "new":
+        return <Badge className="bg-green-100 text-green-800">New</Badge>;
+      case "reused":
+        return <Badge variant="outline">Uses existing</Badge>;
+      default:
+        return (
+          <Badge className="bg-yellow-100 text-yellow-800">
+            Renamed to {server.finalName}
+          </Badge>
+        );
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[560px] max-h-[80vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Upload className="h-5 w-5" />
+            Import Workspace Bundle
+          </DialogTitle>
+          <DialogDescription>
+            Create a workspace and its servers from a bundle exported by
+            yamcp-ui.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="grid gap-2">
+            <Label htmlFor="bundle-file">Bundle File</Label>
+            <Input
+              id="bundle-file"
+              type="file"
+              accept=".json,application/json"
+              onChange={handleFileUpload}
+            />
+            {fileName && (
+              <p className="text-xs text-muted-foreground">{fileName}</p>
+            )}
+          </div>
+
+          {plan && (
+            <>
+              <div className="grid gap-2">
+                <Label>Workspace</Label>
+                <div className="flex items-center gap-2 text-sm">
+                  <span className="font-medium">
+                    {plan.workspace.finalName}
+                  </span>
+                  {plan.workspace.finalName !== plan.workspace.name && (
+                    <Badge className="bg-yellow-100 text-yellow-800">
+                      {plan.workspace.name} already exists
+                    </Badge>
+                  )}
+                </div>
+              </div>
+
+              <div className="grid gap-2">
+                <Label>Servers ({plan.servers.length})</Label>
+                <div className="space-y-1">
+                  {plan.servers.map((server) => (
+                    <div
+                      key={server.name}
+                      className="flex items-center justify-between rounded-md border px-3 py-2 text-sm"
+                    >
+                      <span className="font-medium">{server.name}</span>
+                      {getServerBadge(server)}
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              {plan.placeholders.length > 0 && (
+                <div className="grid gap-2">
+                  <Label>Environment Variables and Headers</Label>
+                  <p className="text-xs text-muted-foreground">
+                    Values were left out of the bundle. Fields left empty keep
+                    their {"${NAME}"} placeholder, which is read from yamcp-ui's
+                    environment when the server is launched.
+                  </p>
+                  {plan.placeholders.map(({ server, key }) => (
+                    <div
+                      key={`${server}/${key}`}
+                      className="grid grid-cols-2 items-center gap-2"
+                    >
+                      <Label
+                        htmlFor={`bundle-${server}-${key}`}
+                        className="font-mono text-xs"
+                      >
+                        {server} / {key}
+                      </Label>
+                      <Input
+                        id={`bundle-${server}-${key}`}
+                        type="password"
+                        value={values[server]?.[key] || ""}
+                        onChange={(e) => setValue(server, key, e.target.value)}
+                      />
+                    </div>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+
+          {error && (
+            <Alert variant="destructive">
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button
+            type="button"
+            variant="outline"
+            onClick={() => onOpenChange(false)}
+            disabled={loading}
+          >
+            Cancel
+          </Button>
+          <Button
+            type="button"
+            onClick={handleImport}
+            disabled={loading || !plan}
+          >
+            <Upload className="mr-2 h-4 w-4" />
+            {loading ? "Importing..." : "Import Workspace"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,425 @@
+import { useState, useEffect } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { AlertCircle, Import, Info } from "lucide-react";
+import { formatCommandLine } from "@/lib/shellQuote";
+
+interface ClientConfig {
+  id: string;
+  name: string;
+  path: string;
+  exists: boolean;
+}
+
+interface Provider {
+  namespace: string;
+  type: "stdio" | "sse" | "streamable-http";
+  providerParameters: {
+    command?: string;
+    args?: string[];
+    env?: Record<string, string>;
+    url?: string;
+    headers?: Record<string, string>;
+  };
+}
+
+interface ImportCandidate {
+  name: string;
+  provider: Provider;
+  status: "new" | "identical" | "conflict";
+  existing: Provider | null;
+}
+
+interface SkippedEntry {
+  name: string;
+  reason: string;
+}
+
+interface ImportServersDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  onImported: () => void;
+}
+
+export function ImportServersDialog({
+  open,
+  onOpenChange,
+  onImported,
+}: ImportServersDialogProps) {
+  const [sources, setSources] = useState<ClientConfig[]>([]);
+  const [customPath, setCustomPath] = useState("");
+  const [sourceLabel, setSourceLabel] = useState("");
+  const [candidates, setCandidates] = useState<ImportCandidate[] | null>(null);
+  const [skipped, setSkipped] = useState<SkippedEntry[]>([]);
+  const [selected, setSelected] = useState<string[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (open) {
+      setCandidates(null);
+      setSkipped([]);
+      setSelected([]);
+      setError(null);
+      loadSources();
+    }
+  }, [open]);
+
+  const loadSources = async () => {
+    try {
+      const response = await fetch("/api/import/sources");
+      if (response.ok) {
+        setSources(await response.json());
+      } else {
+        console.error("Failed to load client configs");
+      }
+    } catch (error) {
+      console.error("Error loading client configs:", error);
+    }
+  };
+
+  // Body is { path } for a file on disk or { content } for an upload
+  const loadPreview = async (
+    body: { path: string } | { content: string },
+    label: string
+  ) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetch("/api/import/preview", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(body),
+      });
+      const data = await response.json();
+      if (response.ok) {
+        const servers: ImportCandidate[] = data.servers;
+        setCandidates(servers);
+        setSkipped(data.skipped);
+        // Conflicting servers are only replaced when picked explicitly
+        setSelected(
+          servers
+            .filter((candidate) => candidate.status === "new")
+            .map((candidate) => candidate.name)
+        );
+        setSourceLabel(label);
+      } else {
+        setError(data.error || "Failed to read config");
+      }
+    } catch (error) {
+      console.error("Error previewing import:", error);
+      setError(`Error reading config: ${error}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFileUpload = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    loadPreview({ content: await file.text() }, file.name);
+  };
+
+  const toggleSelected = (name: string) => {
+    setSelected((prev) =>
+      prev.includes(name)
+        ? prev.filter((selectedName) => selectedName !== name)
+        : [...prev, name]
+    );
+  };
+
+  const handleImport = async () => {
+    if (!candidates) return;
+
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetch("/api/import", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          servers: candidates
+            .filter((candidate) => selected.includes(candidate.name))
+            .map((candidate) => ({
+              name: candidate.name,
+              provider: candidate.provider,
+              overwrite: candidate.status !== "new",
+            })),
+        }),
+      });
+      const data = await response.json();
+      if (response.ok) {
+        onImported();
+        onOpenChange(false);
+      } else {
+        setError(data.error || "Failed to import servers");
+      }
+    } catch (error) {
+      console.error("Error importing servers:", error);
+      setError(`Error importing servers: ${error}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const describeProvider = (provider: Provider) =>
+    provider.type === "stdio"
+      ? formatCommandLine([
+          provider.providerParameters.command || "",
+          ...(provider.providerParameters.args || []),
+        ])
+      : provider.providerParameters.url;
+
+  const getStatusBadge = (status: ImportCandidate["status"]) => {
+    switch (status) {
+      case "new":
+        return <Badge className="bg-green-100 text-green-800">New</Badge>;
+      case "identical":
+        return <Badge variant="outline">Already added</Badge>;
+      default:
+        return (
+          <Badge className="bg-yellow-100 text-yellow-800">Conflict</Badge>
+        );
+    }
+  };
+
+  const selectedConflicts =
+    candidates?.filter(
+      (candidate) =>
+        candidate.status === "conflict" && selected.includes(candidate.name)
+    ).length || 0;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[720px]">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Import className="h-5 w-5" />
+            Import Servers
+          </DialogTitle>
+          <DialogDescription>
+            {candidates
+              ? `Servers found in ${sourceLabel}`
+              : "Import the mcpServers of a Claude Desktop, Cursor or VS Code config."}
+          </DialogDescription>
+        </DialogHeader>
+
+        {candidates === null ? (
+          <div className="space-y-4">
+            <div className="grid gap-2">
+              <Label>Detected Configs</Label>
+              {sources.map((source) => (
+                <div
+                  key={source.id}
+                  className="flex items-center justify-between gap-2 rounded-md border p-3"
+                >
+                  <div className="min-w-0">
+                    <div className="font-medium">{source.name}</div>
+                    <div className="truncate font-mono text-xs text-muted-foreground">
+                      {source.path}
+                    </div>
+                  </div>
+                  {source.exists ? (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      disabled={loading}
+                      onClick={() =>
+                        loadPreview({ path: source.path }, source.name)
+                      }
+                    >
+                      Preview
+                    </Button>
+                  ) : (
+                    <Badge variant="outline">Not found</Badge>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            <div className="grid gap-2">
+              <Label htmlFor="import-path">Config File Path</Label>
+              <div className="flex gap-2">
+                <Input
+                  id="import-path"
+                  value={customPath}
+                  onChange={(e) => setCustomPath(e.target.value)}
+                  placeholder="~/path/to/mcp.json"
+                />
+                <Button
+                  variant="outline"
+                  disabled={loading || !customPath.trim()}
+                  onClick={() =>
+                    loadPreview({ path: customPath.trim() }, customPath.trim())
+                  }
+                >
+                  Preview
+                </Button>
+              </div>
+            </div>
+
+            <div className="grid gap-2">
+              <Label htmlFor="import-upload">Or Upload a File</Label>
+              <Input
+                id="import-upload"
+                type="file"
+                accept=".json,application/json"
+                disabled={loading}
+                onChange={handleFileUpload}
+              />
+            </div>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {candidates.length === 0 ? (
+              <p className="text-sm text-muted-foreground">
+                No importable servers in this config.
+              </p>
+            ) : (
+              <div className="max-h-[320px] overflow-y-auto rounded-md border">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead className="w-8"></TableHead>
+                      <TableHead>Name</TableHead>
+                      <TableHead>Configuration</TableHead>
+                      <TableHead>Status</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {candidates.map((candidate) => (
+                      <TableRow key={candidate.name}>
+                        <TableCell>
+                          <input
+                            type="checkbox"
+                            checked={selected.includes(candidate.name)}
+                            onChange={() => toggleSelected(candidate.name)}
+                            className="rounded w-4 h-4 cursor-pointer"
+                          />
+                        </TableCell>
+                        <TableCell className="font-medium">
+                          {candidate.name}
+                        </TableCell>
+                        <TableCell className="max-w-[300px]">
+                          <div className="flex items-center gap-2">
+                            <Badge variant="outline">
+                              {candidate.provider.type}
+                            </Badge>
+                            <span className="truncate font-mono text-xs">
+                              {describeProvider(candidate.provider)}
+                            </span>
+                          </div>
+                          {candidate.status === "conflict" &&
+                            candidate.existing && (
+                              <div className="mt-1 truncate font-mono text-xs text-muted-foreground">
+                                Existing: {describeProvider(candidate.existing)}
+                              </div>
+                            )}
+                        </TableCell>
+                        <TableCell>
+                          {getStatusBadge(candidate.status)}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+            )}
+
+            {selectedConflicts > 0 && (
+              <Alert>
+                <Info className="h-4 w-4" />
+                <AlertDescription>
+                  {selectedConflicts} selected{" "}
+                  {selectedConflicts === 1 ? "server" : "servers"} will replace
+                  the existing configuration with the same name.
+                </AlertDescription>
+              </Alert>
+            )}
+
+            {skipped.length > 0 && (
+              <Alert>
+                <Info className="h-4 w-4" />
+                <AlertDescription>
+                  Skipped:{" "}
+                  {skipped
+                    .map((entry) => `${entry.name} (${entry.reason})`)
+                    .join(", ")}
+                </AlertDescription>
+              </Alert>
+            )}
+          </div>
+        )}
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        <DialogFooter>
+          {candidates === null ? (
+            <Button
+              type="button"
+              variant="outline"
+              onClick={() => onOpenChange(false)}
+            >
+              Cancel
+            </Button>
+          ) : (
+            <>
+              <Button
+                type="button"
+                variant="outline"
+                onClick={() => {
+                  setCandidates(null);
+                  setError(null);
+                }}
+                disabled={loading}
+              >
+                Back
+              </Button>
+              <Button
+                type="button"
+                onClick={handleImport}
+                disabled={loading || selected.length === 0}
+              >
+                <Import className="mr-2 h-4 w-4" />
+                {loading
+                  ? "Importing..."
+                  : `Import ${selected.length} ${
+                      selected.length === 1 ? "Server" : "Servers"
+                    }`}
+              </Button>
+            </>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
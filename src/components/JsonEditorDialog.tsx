@@ -11,12 +11,29 @@ import { Button } from "./ui/button";
 import { Alert, AlertDescription } from "./ui/alert";
 import { AlertCircle, Save, X } from "lucide-react";
 import AceEditor from "react-ace";
+import {
+  type JsonPath,
+  findJsonPathLine,
+  formatJsonPath,
+} from "@/lib/jsonPath";
+import { ConfigConflictAlert } from "./ConfigConflictAlert";
+import {
+  type ConfigConflict,
+  getConfigRevision,
+  ifMatchHeaders,
+} from "@/lib/configRevision";
 
 // Import ace editor modes and themes
 import "ace-builds/src-noconflict/mode-json";
 import "ace-builds/src-noconflict/theme-monokai";
 import "ace-builds/src-noconflict/ext-language_tools";
 
+// Field-level error returned by the config PUT routes
+interface SchemaError {
+  path: JsonPath;
+  message: string;
+}
+
 interface JsonEditorDialogProps {
   open: boolean;
   onOpenChange: (open: boolean) => void;
@@ -40,6 +57,9 @@ export function JsonEditorDialog({
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [validationError, setValidationError] = useState<string | null>(null);
+  const [schemaErrors, setSchemaErrors] = useState<SchemaError[]>([]);
+  const [revision, setRevision] = useState<string | null>(null);
+  const [conflict, setConflict] = useState<ConfigConflict | null>(null);
 
   // Load JSON content when dialog opens
   useEffect(() => {
@@ -51,6 +71,8 @@ export function JsonEditorDialog({
   const loadJsonContent = async () => {
     setLoading(true);
     setError(null);
+    setSchemaErrors([]);
+    setConflict(null);
     try {
       const response = await fetch(endpoint);
       if (response.ok) {
@@ -58,6 +80,8 @@ export function JsonEditorDialog({
         const formatted = JSON.stringify(data, null, 2);
         setJsonContent(formatted);
         setOriginalContent(formatted);
+        setValidationError(null);
+        setRevision(getConfigRevision(response));
       } else {
         setError("Failed to load JSON content");
       }
@@ -82,16 +106,18 @@ export function JsonEditorDialog({
 
   const handleContentChange = (value: string) => {
     setJsonContent(value);
+    setSchemaErrors([]);
     validateJson(value);
   };
 
-  const handleSave = async () => {
+  const handleSave = async (ifMatch: string | null = revision) => {
     if (!validateJson(jsonContent)) {
       return;
     }
 
     setSaving(true);
     setError(null);
+    setConflict(null);
 
     try {
       const parsedContent = JSON.parse(jsonContent);
@@ -99,17 +125,24 @@ export function JsonEditorDialog({
         method: "PUT",
         headers: {
           "Content-Type": "application/json",
+          ...ifMatchHeaders(ifMatch),
         },
         body: JSON.stringify(parsedContent),
       });
 
-      if (response.ok) {
+      if (response.status === 409) {
+        setConflict(await response.json());
+      } else if (response.ok) {
         setOriginalContent(jsonContent);
         onSaved?.();
         onOpenChange(false);
       } else {
-        const errorData = (await response.json()) as { error?: string };
+        const errorData = (await response.json()) as {
+          error?: string;
+          errors?: SchemaError[];
+        };
         setError(errorData.error || "Failed to save JSON content");
+        setSchemaErrors(errorData.errors || []);
       }
     } catch (err) {
       setError("Error saving JSON content");
@@ -122,12 +155,36 @@ export function JsonEditorDialog({
   const handleCancel = () => {
     setJsonContent(originalContent);
     setValidationError(null);
+    setSchemaErrors([]);
     setError(null);
+    setConflict(null);
     onOpenChange(false);
   };
 
   const hasChanges = jsonContent !== originalContent;
 
+  // Point each schema error at its line in the editor
+  const locatedErrors = schemaErrors.map((schemaError) => ({
+    ...schemaError,
+    line: findJsonPathLine(jsonContent, schemaError.path),
+  }));
+  const annotations = locatedErrors
+    .filter((schemaError) => schemaError.line !== null)
+    .map((schemaError) => ({
+      row: schemaError.line as number,
+      column: 0,
+      type: "error",
+      text: schemaError.message,
+    }));
+  const markers = annotations.map((annotation) => ({
+    startRow: annotation.row,
+    startCol: 0,
+    endRow: annotation.row,
+    endCol: 1,
+    className: "absolute bg-red-500/30",
+    type: "fullLine" as const,
+  }));
+
   return (
     <Dialog open={open} onOpenChange={onOpenChange}>
       <DialogContent className="max-w-4xl w-[90vw] h-[80vh] flex flex-col">
@@ -144,6 +201,34 @@ export function JsonEditorDialog({
             </Alert>
           )}
 
+          {conflict && (
+            <ConfigConflictAlert
+              file={conflict.file}
+              onReload={loadJsonContent}
+              onOverwrite={() => handleSave(conflict.revision)}
+              disabled={saving}
+            />
+          )}
+
+          {locatedErrors.length > 0 && (
+            <ul className="max-h-32 overflow-auto text-sm space-y-1">
+              {locatedErrors.map((schemaError, i) => (
+                <li key={i} className="text-red-600 dark:text-red-400">
+                  <span className="font-mono">
+                    {formatJsonPath(schemaError.path)}
+                  </span>
+                  {schemaError.line !== null && (
+                    <span className="text-muted-foreground">
+                      {" "}
+                      (line {schemaError.line + 1})
+                    </span>
+                  )}
+                  : {schemaError.message}
+                </li>
+              ))}
+            </ul>
+          )}
+
           {validationError && (
             <Alert variant="destructive">
               <AlertCircle className="h-4 w-4" />
@@ -175,6 +260,8 @@ export function JsonEditorDialog({
                   showPrintMargin={false}
                   showGutter={true}
                   highlightActiveLine={true}
+                  annotations={annotations}
+                  markers={markers}
                   setOptions={{
                     enableBasicAutocompletion: true,
                     enableLiveAutocompletion: true,
@@ -210,7 +297,7 @@ export function JsonEditorDialog({
           </Button>
           <Button
             type="button"
-            onClick={handleSave}
+            onClick={() => handleSave()}
             disabled={saving || !!validationError || !hasChanges}
           >
             <Save className="h-4 w-4 mr-2" />
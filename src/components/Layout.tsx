@@ -5,8 +5,10 @@ import {
   Server,
   FolderOpen,
   FileText,
+  FlaskConical,
   Settings,
   Menu,
+  History,
 } from "lucide-react";
 import { Button } from "./ui/button";
 import { cn } from "@/lib/utils";
@@ -19,7 +21,9 @@ const navigation = [
   { name: "Dashboard", href: "/", icon: LayoutDashboard },
   { name: "Servers", href: "/servers", icon: Server },
   { name: "Workspaces", href: "/workspaces", icon: FolderOpen },
+  { name: "Playground", href: "/playground", icon: FlaskConical },
   { name: "Logs", href: "/logs", icon: FileText },
+  { name: "History", href: "/history", icon: History },
 ];
 
 export function Layout({ children }: LayoutProps) {
@@ -84,7 +88,10 @@ function SidebarContent({ location }: { location: any }) {
       {/* Navigation */}
       <nav className="flex-1 px-4 py-6 space-y-2">
         {navigation.map((item) => {
-          const isActive = location.pathname === item.href;
+          const isActive =
+            item.href === "/"
+              ? location.pathname === "/"
+              : location.pathname.startsWith(item.href);
           return (
             <Link
               key={item.name}
@@ -20,6 +20,7 @@ interface LogEntry {
   level: string;
   server: string;
   message: string;
+  metadata?: Record<string, unknown>;
 }
 
 interface LogDetailsDialogProps {
@@ -56,6 +57,7 @@ export function LogDetailsDialog({
           server: log.server,
           formattedTimestamp: new Date(log.timestamp).toLocaleString(),
           message: parsedMessage,
+          metadata: log.metadata || {},
         };
 
         // Format the JSON with indentation
@@ -101,6 +103,17 @@ export function LogDetailsDialog({
     }
   };
 
+  // Stack traces get their own block below the other fields
+  const { stack, ...fields } = log.metadata || {};
+  const fieldEntries = Object.entries(fields).sort(([a], [b]) =>
+    a.localeCompare(b)
+  );
+
+  const formatFieldValue = (value: unknown) => {
+    if (typeof value === "string") return value;
+    return JSON.stringify(value, null, 2);
+  };
+
   const formatDate = (dateString: string) => {
     return new Date(dateString).toLocaleString();
   };
@@ -162,6 +175,31 @@ export function LogDetailsDialog({
           </div>
         </div>
 
+        {(fieldEntries.length > 0 || typeof stack === "string") && (
+          <div className="space-y-3 max-h-64 overflow-auto">
+            {fieldEntries.length > 0 && (
+              <dl className="grid grid-cols-[max-content_1fr] gap-x-4 gap-y-1 text-sm">
+                {fieldEntries.map(([key, value]) => (
+                  <div key={key} className="contents">
+                    <dt className="font-medium text-muted-foreground">{key}</dt>
+                    <dd className="font-mono text-xs break-all whitespace-pre-wrap self-center">
+                      {formatFieldValue(value)}
+                    </dd>
+                  </div>
+                ))}
+              </dl>
+            )}
+            {typeof stack === "string" && (
+              <div className="space-y-1">
+                <span className="text-sm font-medium">Stack trace</span>
+                <pre className="bg-muted p-3 rounded-md text-xs overflow-x-auto">
+                  {stack}
+                </pre>
+              </div>
+            )}
+          </div>
+        )}
+
         <div className="flex-1 min-h-[300px] overflow-auto">
           <AceEditor
             mode="json"
@@ -0,0 +1,131 @@
+import { useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import {
+  AlertCircle,
+  AlertTriangle,
+  CheckCircle,
+  ClipboardCheck,
+  XCircle,
+} from "lucide-react";
+
+interface PreflightCheck {
+  id: string;
+  label: string;
+  status: "pass" | "warn" | "fail";
+  message: string;
+}
+
+interface PreflightResult {
+  ok: boolean;
+  checks: PreflightCheck[];
+}
+
+// Fields of a stdio server request, as sent to POST /api/servers
+export interface PreflightRequest {
+  command: string;
+  args: string[];
+  env: Record<string, string>;
+  secrets: Record<string, string>;
+}
+
+interface PreflightPanelProps {
+  request: PreflightRequest;
+}
+
+const STATUS_ICONS = {
+  pass: <CheckCircle className="h-4 w-4 shrink-0 text-green-600" />,
+  warn: <AlertTriangle className="h-4 w-4 shrink-0 text-yellow-600" />,
+  fail: <XCircle className="h-4 w-4 shrink-0 text-red-600" />,
+};
+
+// Runs the server-side preflight checks on the command being edited. Results
+// are cleared whenever the command changes, so they never describe a
+// different command.
+export function PreflightPanel({ request }: PreflightPanelProps) {
+  const [dryRun, setDryRun] = useState(false);
+  const [running, setRunning] = useState(false);
+  const [result, setResult] = useState<PreflightResult | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const requestKey = JSON.stringify(request);
+  useEffect(() => {
+    setResult(null);
+    setError(null);
+  }, [requestKey]);
+
+  const runChecks = async () => {
+    setRunning(true);
+    setError(null);
+    try {
+      const response = await fetch("/api/servers/preflight", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ ...request, dryRun }),
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setResult(data);
+      } else {
+        setResult(null);
+        setError(data.error || "Failed to run checks");
+      }
+    } catch (error) {
+      console.error("Error running preflight checks:", error);
+      setError(`Error running checks: ${error}`);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <div className="grid gap-2 rounded-md border p-3">
+      <div className="flex items-center justify-between gap-2">
+        <Label className="flex items-center gap-2 text-sm font-normal">
+          <input
+            type="checkbox"
+            checked={dryRun}
+            onChange={(e) => setDryRun(e.target.checked)}
+            className="rounded w-4 h-4 cursor-pointer"
+          />
+          Also launch it for an MCP initialize dry run
+        </Label>
+        <Button
+          type="button"
+          variant="outline"
+          size="sm"
+          onClick={runChecks}
+          disabled={running || !request.command.trim()}
+        >
+          <ClipboardCheck className="mr-2 h-4 w-4" />
+          {running ? "Checking..." : "Check Command"}
+        </Button>
+      </div>
+
+      {error && (
+        <p className="flex items-center gap-2 text-sm text-red-500">
+          <AlertCircle className="h-4 w-4" />
+          {error}
+        </p>
+      )}
+
+      {result && (
+        <ul className="space-y-1">
+          {result.checks.map((check, index) => (
+            <li key={index} className="flex items-start gap-2 text-sm">
+              {STATUS_ICONS[check.status]}
+              <span>
+                <span className="font-medium">{check.label}:</span>{" "}
+                <span className="break-all text-muted-foreground">
+                  {check.message}
+                </span>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
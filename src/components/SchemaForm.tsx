@@ -0,0 +1,122 @@
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  type FieldValues,
+  type JsonSchema,
+  schemaType,
+} from "@/lib/jsonSchema";
+
+interface SchemaFormProps {
+  schema: JsonSchema;
+  values: FieldValues;
+  errors: Record<string, string>;
+  onChange: (values: FieldValues) => void;
+}
+
+export function SchemaForm({
+  schema,
+  values,
+  errors,
+  onChange,
+}: SchemaFormProps) {
+  const properties = Object.entries(schema.properties || {});
+  const required = new Set(schema.required || []);
+
+  if (properties.length === 0) {
+    return (
+      <p className="text-sm text-muted-foreground">
+        This tool takes no arguments.
+      </p>
+    );
+  }
+
+  const setValue = (name: string, value: string | boolean) => {
+    onChange({ ...values, [name]: value });
+  };
+
+  return (
+    <div className="grid gap-4">
+      {properties.map(([name, property]) => {
+        const type = schemaType(property);
+        const id = `arg-${name}`;
+        const value = values[name];
+
+        return (
+          <div key={name} className="grid gap-2">
+            <Label htmlFor={id} className="flex items-center gap-2">
+              <span className="font-mono">{name}</span>
+              {required.has(name) && <span className="text-red-500">*</span>}
+              <span className="text-xs font-normal text-muted-foreground">
+                {type}
+              </span>
+            </Label>
+
+            {type === "boolean" ? (
+              <input
+                id={id}
+                type="checkbox"
+                className="h-4 w-4"
+                checked={value === true}
+                onChange={(e) => setValue(name, e.target.checked)}
+              />
+            ) : property.enum ? (
+              <Select
+                value={typeof value === "string" ? value : ""}
+                onValueChange={(selected) => setValue(name, selected)}
+              >
+                <SelectTrigger id={id}>
+                  <SelectValue placeholder="Select a value" />
+                </SelectTrigger>
+                <SelectContent>
+                  {property.enum.map((option) => (
+                    <SelectItem key={String(option)} value={String(option)}>
+                      {String(option)}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            ) : type === "object" || type === "array" ? (
+              <Textarea
+                id={id}
+                value={typeof value === "string" ? value : ""}
+                onChange={(e) => setValue(name, e.target.value)}
+                placeholder={type === "array" ? "[]" : "{}"}
+                className={`font-mono text-xs min-h-[80px] ${
+                  errors[name] ? "border-red-500" : ""
+                }`}
+              />
+            ) : (
+              <Input
+                id={id}
+                type={
+                  type === "number" || type === "integer" ? "number" : "text"
+                }
+                step={type === "integer" ? 1 : "any"}
+                value={typeof value === "string" ? value : ""}
+                onChange={(e) => setValue(name, e.target.value)}
+                className={errors[name] ? "border-red-500" : ""}
+              />
+            )}
+
+            {property.description && (
+              <p className="text-xs text-muted-foreground">
+                {property.description}
+              </p>
+            )}
+            {errors[name] && (
+              <p className="text-sm text-red-500">{errors[name]}</p>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
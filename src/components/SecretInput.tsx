@@ -0,0 +1,67 @@
+import { useState } from "react";
+import { Input } from "@/components/ui/input";
+import { Button } from "@/components/ui/button";
+import { Eye, EyeOff } from "lucide-react";
+
+interface SecretInputProps {
+  value: string;
+  onChange: (value: string) => void;
+  placeholder?: string;
+  // Fetches the stored value when revealing an input that is still empty
+  onReveal?: () => Promise<string>;
+}
+
+// Masked input for a secret env value, shown only on an explicit click
+export function SecretInput({
+  value,
+  onChange,
+  placeholder,
+  onReveal,
+}: SecretInputProps) {
+  const [shown, setShown] = useState(false);
+  const [revealing, setRevealing] = useState(false);
+
+  const handleToggle = async () => {
+    if (shown) {
+      setShown(false);
+      return;
+    }
+
+    if (!value && onReveal) {
+      setRevealing(true);
+      try {
+        onChange(await onReveal());
+      } catch (error) {
+        console.error("Error revealing secret:", error);
+        alert(`${error instanceof Error ? error.message : error}`);
+        return;
+      } finally {
+        setRevealing(false);
+      }
+    }
+    setShown(true);
+  };
+
+  return (
+    <div className="flex flex-1 gap-1">
+      <Input
+        type={shown ? "text" : "password"}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder={placeholder}
+        autoComplete="new-password"
+        className="flex-1"
+      />
+      <Button
+        type="button"
+        variant="ghost"
+        size="sm"
+        onClick={handleToggle}
+        disabled={revealing}
+        title={shown ? "Hide value" : "Reveal value"}
+      >
+        {shown ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+      </Button>
+    </div>
+  );
+}
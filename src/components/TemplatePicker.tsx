@@ -0,0 +1,188 @@
+import { useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { SecretInput } from "@/components/SecretInput";
+import { AlertCircle } from "lucide-react";
+import {
+  type ServerTemplate,
+  type TemplateCatalog,
+  applyTemplate,
+} from "@/lib/templates";
+import { formatCommandLine } from "@/lib/shellQuote";
+
+interface TemplatePickerProps {
+  onApply: (
+    template: ServerTemplate,
+    fields: ReturnType<typeof applyTemplate>
+  ) => void;
+}
+
+// Pick a server template and fill in its parameters
+export function TemplatePicker({ onApply }: TemplatePickerProps) {
+  const [catalog, setCatalog] = useState<TemplateCatalog | null>(null);
+  const [loadError, setLoadError] = useState<string | null>(null);
+  const [selected, setSelected] = useState<ServerTemplate | null>(null);
+  const [values, setValues] = useState<Record<string, string>>({});
+  const [errors, setErrors] = useState<Record<string, string>>({});
+
+  useEffect(() => {
+    fetchTemplates();
+  }, []);
+
+  const fetchTemplates = async () => {
+    try {
+      const response = await fetch("/api/templates");
+      const data = await response.json();
+      if (response.ok) {
+        setCatalog(data);
+      } else {
+        setLoadError(data.error || "Failed to load templates");
+      }
+    } catch (error) {
+      console.error("Error loading templates:", error);
+      setLoadError(`Error loading templates: ${error}`);
+    }
+  };
+
+  const selectTemplate = (template: ServerTemplate) => {
+    setSelected(template);
+    setValues(
+      Object.fromEntries(
+        template.parameters.map((parameter) => [
+          parameter.name,
+          parameter.default,
+        ])
+      )
+    );
+    setErrors({});
+  };
+
+  const handleApply = () => {
+    if (!selected) return;
+
+    const newErrors: Record<string, string> = {};
+    for (const parameter of selected.parameters) {
+      if (parameter.required && !values[parameter.name]?.trim()) {
+        newErrors[parameter.name] = `${parameter.label} is required`;
+      }
+    }
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
+
+    onApply(selected, applyTemplate(selected, values));
+  };
+
+  if (loadError) {
+    return (
+      <Alert variant="destructive">
+        <AlertCircle className="h-4 w-4" />
+        <AlertDescription>{loadError}</AlertDescription>
+      </Alert>
+    );
+  }
+
+  if (!catalog) {
+    return (
+      <p className="text-sm text-muted-foreground">Loading templates...</p>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 gap-2">
+        {catalog.templates.map((template) => (
+          <button
+            key={template.id}
+            type="button"
+            onClick={() => selectTemplate(template)}
+            className={`rounded-md border p-3 text-left text-sm transition-colors hover:bg-accent ${
+              selected?.id === template.id ? "border-primary bg-accent" : ""
+            }`}
+          >
+            <div className="flex items-center justify-between gap-2">
+              <span className="font-medium">{template.name}</span>
+              {template.source !== "builtin" && (
+                <Badge variant="outline">Custom</Badge>
+              )}
+            </div>
+            <p className="mt-1 text-xs text-muted-foreground">
+              {template.description}
+            </p>
+          </button>
+        ))}
+      </div>
+
+      {catalog.errors.length > 0 && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>
+            {catalog.errors.map(({ file, message }) => (
+              <div key={`${file}: ${message}`}>
+                {file}: {message}
+              </div>
+            ))}
+          </AlertDescription>
+        </Alert>
+      )}
+
+      <p className="text-xs text-muted-foreground">
+        Add your own templates as JSON files in{" "}
+        <code className="font-mono">{catalog.templatesDir}</code>
+      </p>
+
+      {selected && (
+        <div className="space-y-4 rounded-md border p-4">
+          <code className="block break-all font-mono text-xs">
+            {formatCommandLine([selected.command, ...selected.args])}
+          </code>
+
+          {selected.parameters.map((parameter) => (
+            <div key={parameter.name} className="grid gap-2">
+              <Label htmlFor={`template-${parameter.name}`}>
+                {parameter.label}
+                {!parameter.required && " (optional)"}
+              </Label>
+              {parameter.kind === "secret" ? (
+                <SecretInput
+                  value={values[parameter.name] || ""}
+                  onChange={(value) =>
+                    setValues({ ...values, [parameter.name]: value })
+                  }
+                />
+              ) : (
+                <Input
+                  id={`template-${parameter.name}`}
+                  value={values[parameter.name] || ""}
+                  onChange={(e) =>
+                    setValues({ ...values, [parameter.name]: e.target.value })
+                  }
+                  placeholder={
+                    parameter.kind === "path" ? "/absolute/path" : undefined
+                  }
+                  className={`${parameter.kind === "path" ? "font-mono" : ""} ${
+                    errors[parameter.name] ? "border-red-500" : ""
+                  }`}
+                />
+              )}
+              {parameter.description && (
+                <p className="text-xs text-muted-foreground">
+                  {parameter.description}
+                </p>
+              )}
+              {errors[parameter.name] && (
+                <p className="text-sm text-red-500">{errors[parameter.name]}</p>
+              )}
+            </div>
+          ))}
+
+          <Button type="button" onClick={handleApply}>
+            Use Template
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
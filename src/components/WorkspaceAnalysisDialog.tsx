@@ -0,0 +1,269 @@
+import { useState, useEffect } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { getToolBudget } from "@/lib/preferences";
+import {
+  AlertCircle,
+  AlertTriangle,
+  CheckCircle,
+  RefreshCw,
+} from "lucide-react";
+
+interface WorkspaceData {
+  id: string;
+  name: string;
+  servers: string[];
+}
+
+interface ToolGroup {
+  name: string;
+  servers: string[];
+}
+
+interface WorkspaceAnalysis {
+  totalTools: number;
+  budget: number;
+  overBudget: boolean;
+  servers: { name: string; toolCount: number; error: string | null }[];
+  duplicateNames: ToolGroup[];
+  namespaceCollisions: ToolGroup[];
+  similarDescriptions: {
+    tools: { server: string; name: string }[];
+    similarity: number;
+  }[];
+  analyzedAt: string;
+}
+
+interface WorkspaceAnalysisDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  workspace: WorkspaceData | null;
+}
+
+export function WorkspaceAnalysisDialog({
+  open,
+  onOpenChange,
+  workspace,
+}: WorkspaceAnalysisDialogProps) {
+  const [analysis, setAnalysis] = useState<WorkspaceAnalysis | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (open && workspace) {
+      fetchAnalysis();
+    }
+  }, [open, workspace]);
+
+  const fetchAnalysis = async () => {
+    if (!workspace) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await fetch(
+        `/api/workspaces/${encodeURIComponent(
+          workspace.id
+        )}/analysis?budget=${getToolBudget()}`
+      );
+      const data = await response.json();
+      if (response.ok) {
+        setAnalysis(data);
+      } else {
+        setAnalysis(null);
+        setError(data.error || "Failed to analyze workspace");
+      }
+    } catch (error) {
+      console.error("Error analyzing workspace:", error);
+      setError(`Error analyzing workspace: ${error}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const issueCount = analysis
+    ? analysis.duplicateNames.length +
+      analysis.namespaceCollisions.length +
+      analysis.similarDescriptions.length
+    : 0;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[700px] max-h-[80vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Tool Analysis</DialogTitle>
+          <DialogDescription>
+            Combined tool list of the "{workspace?.name}" workspace as the YAMCP
+            gateway exposes it
+          </DialogDescription>
+        </DialogHeader>
+
+        {loading ? (
+          <div className="space-y-4">
+            <p className="text-sm text-muted-foreground">
+              Connecting to {workspace?.servers.length || 0} server
+              {workspace?.servers.length === 1 ? "" : "s"}...
+            </p>
+            {[...Array(3)].map((_, i) => (
+              <div
+                key={i}
+                className="h-12 bg-gray-200 rounded animate-pulse"
+              ></div>
+            ))}
+          </div>
+        ) : error ? (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        ) : (
+          analysis && (
+            <div className="space-y-6">
+              <div className="flex items-center justify-between">
+                <div>
+                  <div className="text-2xl font-bold">
+                    {analysis.totalTools}
+                    <span className="text-base font-normal text-muted-foreground">
+                      {" "}
+                      / {analysis.budget} tools
+                    </span>
+                  </div>
+                  <p className="text-xs text-muted-foreground">
+                    Budget can be changed in Settings
+                  </p>
+                </div>
+                <Button variant="outline" size="sm" onClick={fetchAnalysis}>
+                  <RefreshCw className="mr-2 h-4 w-4" />
+                  Re-analyze
+                </Button>
+              </div>
+
+              {analysis.overBudget && (
+                <Alert variant="destructive">
+                  <AlertTriangle className="h-4 w-4" />
+                  <AlertDescription>
+                    This workspace exposes {analysis.totalTools} tools, more
+                    than the budget of {analysis.budget}. Some AI clients ignore
+                    or degrade with this many tools; consider splitting it into
+                    smaller workspaces.
+                  </AlertDescription>
+                </Alert>
+              )}
+
+              {!analysis.overBudget && issueCount === 0 && (
+                <Alert>
+                  <CheckCircle className="h-4 w-4" />
+                  <AlertDescription>
+                    No tool collisions or near-duplicates found.
+                  </AlertDescription>
+                </Alert>
+              )}
+
+              <div className="space-y-3">
+                <h3 className="text-lg font-medium">Servers</h3>
+                <div className="space-y-2">
+                  {analysis.servers.map((server) => (
+                    <div
+                      key={server.name}
+                      className="flex items-center justify-between p-3 bg-muted/50 rounded-lg"
+                    >
+                      <span className="text-sm font-medium">{server.name}</span>
+                      {server.error ? (
+                        <span
+                          className="text-sm text-red-500 truncate max-w-[60%]"
+                          title={server.error}
+                        >
+                          {server.error}
+                        </span>
+                      ) : (
+                        <Badge variant="outline">
+                          {server.toolCount} tool
+                          {server.toolCount === 1 ? "" : "s"}
+                        </Badge>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              {analysis.namespaceCollisions.length > 0 && (
+                <div className="space-y-3">
+                  <h3 className="text-lg font-medium">Namespace collisions</h3>
+                  <p className="text-sm text-muted-foreground">
+                    These tools end up with the same name after namespacing, so
+                    only one of them is reachable.
+                  </p>
+                  {analysis.namespaceCollisions.map((group) => (
+                    <div
+                      key={group.name}
+                      className="p-3 bg-red-50 dark:bg-red-950/20 rounded-md text-sm"
+                    >
+                      <span className="font-mono font-medium">
+                        {group.name}
+                      </span>{" "}
+                      — {group.servers.join(", ")}
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {analysis.duplicateNames.length > 0 && (
+                <div className="space-y-3">
+                  <h3 className="text-lg font-medium">Duplicate tool names</h3>
+                  <p className="text-sm text-muted-foreground">
+                    Namespacing keeps these apart, but models often confuse
+                    tools that share a name.
+                  </p>
+                  {analysis.duplicateNames.map((group) => (
+                    <div
+                      key={group.name}
+                      className="p-3 bg-yellow-50 dark:bg-yellow-950/20 rounded-md text-sm"
+                    >
+                      <span className="font-mono font-medium">
+                        {group.name}
+                      </span>{" "}
+                      — {group.servers.join(", ")}
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {analysis.similarDescriptions.length > 0 && (
+                <div className="space-y-3">
+                  <h3 className="text-lg font-medium">
+                    Near-duplicate descriptions
+                  </h3>
+                  {analysis.similarDescriptions.map((pair) => (
+                    <div
+                      key={pair.tools
+                        .map((tool) => `${tool.server}/${tool.name}`)
+                        .join("|")}
+                      className="flex items-center justify-between p-3 bg-yellow-50 dark:bg-yellow-950/20 rounded-md text-sm"
+                    >
+                      <span className="font-mono">
+                        {pair.tools
+                          .map((tool) => `${tool.server}/${tool.name}`)
+                          .join(" ↔ ")}
+                      </span>
+                      <Badge variant="outline">
+                        {Math.round(pair.similarity * 100)}% similar
+                      </Badge>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -1,4 +1,4 @@
-import { useState } from "react";
+import { useState, useEffect } from "react";
 import {
   Dialog,
   DialogContent,
@@ -8,16 +8,27 @@ import {
 } from "@/components/ui/dialog";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
-import { Copy, Check } from "lucide-react";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Copy, Check, AlertCircle, Download, Trash2 } from "lucide-react";
 
 interface WorkspaceData {
   id: string;
   name: string;
   description: string;
   servers: string[];
+  references: string[];
   status: string;
 }
 
+interface ClientInstallStatus {
+  id: string;
+  name: string;
+  path: string;
+  exists: boolean;
+  status: "installed" | "different" | "not-installed";
+  error: string | null;
+}
+
 interface WorkspaceConfigDialogProps {
   open: boolean;
   onOpenChange: (open: boolean) => void;
@@ -30,6 +41,101 @@ export function WorkspaceConfigDialog({
   workspace,
 }: WorkspaceConfigDialogProps) {
   const [copiedConfig, setCopiedConfig] = useState<string | null>(null);
+  const [clients, setClients] = useState<ClientInstallStatus[]>([]);
+  const [clientAction, setClientAction] = useState<string | null>(null);
+  const [clientMessage, setClientMessage] = useState<string | null>(null);
+  const [clientError, setClientError] = useState<string | null>(null);
+  // Client whose own entry of the same name is about to be replaced
+  const [confirmReplace, setConfirmReplace] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (open && workspace) {
+      setClientMessage(null);
+      setClientError(null);
+      setConfirmReplace(null);
+      fetchClients();
+    }
+  }, [open, workspace]);
+
+  const fetchClients = async () => {
+    if (!workspace) return;
+
+    try {
+      const response = await fetch(`/api/workspaces/${workspace.id}/clients`);
+      if (response.ok) {
+        setClients(await response.json());
+      } else {
+        console.error("Failed to fetch client install status");
+      }
+    } catch (error) {
+      console.error("Error fetching client install status:", error);
+    }
+  };
+
+  // Install (POST) or uninstall (DELETE) the workspace in a client config.
+  // `overwrite` replaces an entry of the same name that yamcp-ui didn't write.
+  const handleClientAction = async (
+    client: ClientInstallStatus,
+    method: "POST" | "DELETE",
+    overwrite = false
+  ) => {
+    if (!workspace) return;
+
+    setClientAction(client.id);
+    setClientMessage(null);
+    setClientError(null);
+    setConfirmReplace(null);
+    try {
+      const response = await fetch(
+        `/api/workspaces/${workspace.id}/clients/${client.id}`,
+        method === "POST"
+          ? {
+              method,
+              headers: { "Content-Type": "application/json" },
+              body: JSON.stringify({ overwrite }),
+            }
+          : { method }
+      );
+      const data = await response.json();
+      if (response.ok) {
+        setClientMessage(
+          data.backupPath
+            ? `${data.message}. Previous version saved to ${data.backupPath}`
+            : data.message
+        );
+      } else {
+        setClientError(data.error || "Failed to update client config");
+      }
+    } catch (error) {
+      console.error("Error updating client config:", error);
+      setClientError(`Error updating client config: ${error}`);
+    } finally {
+      setClientAction(null);
+      fetchClients();
+    }
+  };
+
+  const getClientStatusBadge = (client: ClientInstallStatus) => {
+    if (client.error) {
+      return <Badge variant="destructive">Unreadable</Badge>;
+    }
+    switch (client.status) {
+      case "installed":
+        return <Badge className="bg-green-100 text-green-800">Installed</Badge>;
+      case "different":
+        return (
+          <Badge className="bg-yellow-100 text-yellow-800">
+            Different entry
+          </Badge>
+        );
+      default:
+        return (
+          <Badge variant="outline">
+            {client.exists ? "Not installed" : "No config file"}
+          </Badge>
+        );
+    }
+  };
 
   const generateMCPConfig = () => {
     if (!workspace) return {};
@@ -55,6 +161,7 @@ export function WorkspaceConfigDialog({
   };
 
   const mcpConfig = generateMCPConfig();
+  const hasReferences = (workspace?.references.length || 0) > 0;
 
   return (
     <Dialog open={open} onOpenChange={onOpenChange}>
@@ -97,6 +204,104 @@ export function WorkspaceConfigDialog({
             </p>
           </div>
 
+          {/* Install into AI clients */}
+          <div className="space-y-3">
+            <h3 className="text-lg font-medium">AI Clients</h3>
+            {hasReferences && (
+              <Alert>
+                <AlertCircle className="h-4 w-4" />
+                <AlertDescription>
+                  Some values of this workspace's servers are locked in
+                  yamcp-ui's secret store or reference its environment as{" "}
+                  {"${VAR}"} ({workspace?.references.join(", ")}). yamcp run,
+                  which AI clients launch, can't resolve them, so the workspace
+                  can't be installed until they are replaced with plain values
+                  in the server settings.
+                </AlertDescription>
+              </Alert>
+            )}
+            <div className="space-y-2">
+              {clients.map((client) => (
+                <div
+                  key={client.id}
+                  className="flex items-center justify-between gap-2 rounded-md border p-3"
+                >
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2">
+                      <span className="text-sm font-medium">{client.name}</span>
+                      {getClientStatusBadge(client)}
+                    </div>
+                    <div className="truncate font-mono text-xs text-muted-foreground">
+                      {client.path}
+                    </div>
+                    {client.error && (
+                      <div className="text-xs text-red-500">{client.error}</div>
+                    )}
+                    {confirmReplace === client.id && (
+                      <div className="text-xs text-yellow-700">
+                        Replacing removes the existing {workspace?.name} entry,
+                        which yamcp-ui didn't write. A backup of the file is
+                        kept.
+                      </div>
+                    )}
+                  </div>
+                  <div className="flex gap-2">
+                    {client.status === "installed" && (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        disabled={clientAction !== null}
+                        onClick={() => handleClientAction(client, "DELETE")}
+                      >
+                        <Trash2 className="h-4 w-4 mr-2" />
+                        Uninstall
+                      </Button>
+                    )}
+                    {client.status !== "installed" && (
+                      <Button
+                        size="sm"
+                        disabled={
+                          clientAction !== null ||
+                          !!client.error ||
+                          hasReferences
+                        }
+                        onClick={() => {
+                          if (client.status !== "different") {
+                            handleClientAction(client, "POST");
+                          } else if (confirmReplace === client.id) {
+                            handleClientAction(client, "POST", true);
+                          } else {
+                            setConfirmReplace(client.id);
+                          }
+                        }}
+                      >
+                        <Download className="h-4 w-4 mr-2" />
+                        {client.status !== "different"
+                          ? "Install"
+                          : confirmReplace === client.id
+                            ? "Confirm replace"
+                            : "Replace"}
+                      </Button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+            {clientMessage && (
+              <p className="text-xs text-muted-foreground">{clientMessage}</p>
+            )}
+            {clientError && (
+              <Alert variant="destructive">
+                <AlertCircle className="h-4 w-4" />
+                <AlertDescription>{clientError}</AlertDescription>
+              </Alert>
+            )}
+            <p className="text-xs text-muted-foreground">
+              Installing merges the entry above into the client's config and
+              keeps the other servers. Restart the client to load the change.
+            </p>
+          </div>
+
           {/* Workspace Details */}
           <div className="space-y-3">
             <h3 className="text-lg font-medium">Workspace Details</h3>
@@ -0,0 +1,27 @@
+// Error responses of the API are { error, errors? }. Validation failures list
+// every problem in `errors`, each with the path of the request field it is
+// about, so forms can show them next to the right input.
+
+export interface ApiFieldError {
+  path: (string | number)[];
+  message: string;
+}
+
+export interface ApiError {
+  error: string;
+  errors?: ApiFieldError[];
+}
+
+// The first message for each of `fields`, or null if none of them has one
+// and the top-level error should be shown instead
+export function getFieldErrors<Field extends string>(
+  body: ApiError,
+  fields: readonly Field[]
+): Partial<Record<Field, string>> | null {
+  const fieldErrors: Partial<Record<Field, string>> = {};
+  for (const { path, message } of body.errors || []) {
+    const field = fields.find((candidate) => candidate === path[0]);
+    if (field && !fieldErrors[field]) fieldErrors[field] = message;
+  }
+  return Object.keys(fieldErrors).length > 0 ? fieldErrors : null;
+}
@@ -0,0 +1,40 @@
+import { ifMatchHeaders } from "@/lib/configRevision";
+
+// Operations of POST /api/batch. Config changes in one batch are saved
+// together or not at all; starting and stopping follows once they are.
+export type BatchOperation =
+  | { action: "deleteServer"; server: string }
+  | { action: "deleteWorkspace"; workspace: string }
+  | { action: "addToWorkspace"; workspace: string; servers: string[] }
+  | { action: "removeFromWorkspace"; workspace: string; servers: string[] }
+  | { action: "startServer" | "stopServer"; server: string }
+  | { action: "startWorkspace" | "stopWorkspace"; workspace: string };
+
+export interface BatchResult {
+  index: number;
+  action: BatchOperation["action"];
+  ok: boolean;
+  message: string;
+}
+
+export interface BatchResponse {
+  success: boolean;
+  message: string;
+  results: BatchResult[];
+}
+
+// Send a batch. `revisions` are those of the config files the operations
+// were chosen from; a 409 means one of the files changed since.
+export function runBatch(
+  operations: BatchOperation[],
+  ...revisions: (string | null)[]
+): Promise<Response> {
+  return fetch("/api/batch", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...ifMatchHeaders(...revisions),
+    },
+    body: JSON.stringify({ operations }),
+  });
+}
@@ -0,0 +1,19 @@
+// Live notifications when providers.json or workspaces.json changes on disk,
+// whether from the dashboard, another tab or the yamcp CLI
+
+export interface ConfigChange {
+  file: "providers" | "workspaces";
+  revision: string;
+  timestamp: string;
+}
+
+// Returns a function that unsubscribes
+export function subscribeToConfigChanges(
+  onChange: (change: ConfigChange) => void
+): () => void {
+  const source = new EventSource("/api/config/events");
+  source.addEventListener("config", (event) => {
+    onChange(JSON.parse((event as MessageEvent).data));
+  });
+  return () => source.close();
+}
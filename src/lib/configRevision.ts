@@ -0,0 +1,28 @@
+// Optimistic concurrency for config writes. GET responses carry the revision
+// of the config file they were read from; sending it back as If-Match makes
+// the write fail with 409 if the file changed in the meantime.
+
+export function getConfigRevision(response: Response): string | null {
+  return response.headers.get("X-Config-Revision");
+}
+
+// Several revisions can be sent for writes that touch both config files
+export function ifMatchHeaders(
+  ...revisions: (string | null)[]
+): Record<string, string> {
+  const known = revisions.filter(Boolean);
+  return known.length > 0 ? { "If-Match": known.join(", ") } : {};
+}
+
+// Body of a 409 response
+export interface ConfigConflict {
+  error: string;
+  file: "providers" | "workspaces";
+  revision: string;
+}
+
+// A 409 is either a stale revision or, from create and rename, a name that
+// is already taken
+export function isConfigConflict(body: object): body is ConfigConflict {
+  return "revision" in body && "file" in body;
+}
@@ -0,0 +1,48 @@
+// State-changing API requests must echo the CSRF cookie in a header; the
+// server rejects cookie-authenticated POST, PUT and DELETE requests without
+// it. Installed once at startup so every fetch call gets the header.
+
+const CSRF_HEADER = "X-CSRF-Token";
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// The cookie is named after the server's port, as cookies aren't per port
+function readCsrfToken(): string | null {
+  const port =
+    window.location.port ||
+    (window.location.protocol === "https:" ? "443" : "80");
+  const prefix = `yamcp_ui_csrf_${port}=`;
+  for (const part of document.cookie.split(";")) {
+    const cookie = part.trim();
+    if (cookie.startsWith(prefix)) {
+      return decodeURIComponent(cookie.slice(prefix.length));
+    }
+  }
+  return null;
+}
+
+export function installCsrfHeader() {
+  const originalFetch = window.fetch.bind(window);
+
+  window.fetch = (input, init = {}) => {
+    const request = input instanceof Request ? input : null;
+    const method = (init.method || request?.method || "GET").toUpperCase();
+    const url = new URL(
+      request ? request.url : input.toString(),
+      window.location.href
+    );
+    const token = readCsrfToken();
+
+    if (
+      SAFE_METHODS.includes(method) ||
+      !token ||
+      url.origin !== window.location.origin ||
+      !url.pathname.startsWith("/api/")
+    ) {
+      return originalFetch(input, init);
+    }
+
+    const headers = new Headers(init.headers || request?.headers);
+    headers.set(CSRF_HEADER, token);
+    return originalFetch(input, { ...init, headers });
+  };
+}
@@ -0,0 +1,105 @@
+// Locate values in JSON text by path, for pointing at validation errors
+
+export type JsonPath = (string | number)[];
+
+// Zero-based line where the value at `path` (or its object key) starts.
+// Returns null if the path doesn't exist or the text isn't valid JSON.
+export function findJsonPathLine(text: string, path: JsonPath): number | null {
+  let index = 0;
+
+  const skipWhitespace = () => {
+    while (index < text.length && /\s/.test(text[index])) index++;
+  };
+
+  const expect = (char: string) => {
+    skipWhitespace();
+    if (text[index] !== char) throw new Error(`Expected ${char}`);
+    index++;
+  };
+
+  const readString = (): string => {
+    const start = index;
+    expect('"');
+    while (index < text.length && text[index] !== '"') {
+      index += text[index] === "\\" ? 2 : 1;
+    }
+    index++;
+    return JSON.parse(text.slice(start, index));
+  };
+
+  // Walk the value at the current index. `depth` is how much of the path
+  // matched so far, or -1 once off the path; `start` is where the value (or
+  // its key) begins. Returns the offset of the target value when found.
+  const walk = (depth: number, start: number): number | null => {
+    skipWhitespace();
+    if (depth === path.length) return start;
+
+    if (text[index] === "{") {
+      index++;
+      skipWhitespace();
+      if (text[index] === "}") {
+        index++;
+        return null;
+      }
+      for (;;) {
+        skipWhitespace();
+        const keyStart = index;
+        const key = readString();
+        expect(":");
+        const onPath = depth !== -1 && key === String(path[depth]);
+        const found = walk(onPath ? depth + 1 : -1, keyStart);
+        if (found !== null) return found;
+        skipWhitespace();
+        if (text[index] !== ",") break;
+        index++;
+      }
+      expect("}");
+      return null;
+    }
+
+    if (text[index] === "[") {
+      index++;
+      skipWhitespace();
+      if (text[index] === "]") {
+        index++;
+        return null;
+      }
+      for (let item = 0; ; item++) {
+        skipWhitespace();
+        const onPath = depth !== -1 && String(item) === String(path[depth]);
+        const found = walk(onPath ? depth + 1 : -1, index);
+        if (found !== null) return found;
+        skipWhitespace();
+        if (text[index] !== ",") break;
+        index++;
+      }
+      expect("]");
+      return null;
+    }
+
+    // Scalar: string, number, true, false or null
+    if (text[index] === '"') {
+      readString();
+    } else {
+      while (index < text.length && !/[\s,\]}]/.test(text[index])) index++;
+    }
+    return null;
+  };
+
+  try {
+    const offset = walk(0, 0);
+    if (offset === null) return null;
+    return text.slice(0, offset).split("\n").length - 1;
+  } catch (error) {
+    return null;
+  }
+}
+
+export function formatJsonPath(path: JsonPath): string {
+  if (path.length === 0) return "(root)";
+  return path
+    .map((part, i) =>
+      typeof part === "number" ? `[${part}]` : i === 0 ? part : `.${part}`
+    )
+    .join("");
+}
@@ -0,0 +1,110 @@
+// Minimal JSON Schema support for generating tool-call forms
+
+export interface JsonSchema {
+  type?: string | string[];
+  title?: string;
+  description?: string;
+  enum?: unknown[];
+  default?: unknown;
+  properties?: Record<string, JsonSchema>;
+  required?: string[];
+  items?: JsonSchema;
+}
+
+// Raw form state: text for most fields, booleans for checkboxes
+export type FieldValues = Record<string, string | boolean>;
+
+export function schemaType(schema: JsonSchema): string {
+  const type = Array.isArray(schema.type)
+    ? schema.type.find((t) => t !== "null")
+    : schema.type;
+  if (type) return type;
+  if (schema.properties) return "object";
+  return "string";
+}
+
+// Initial form values, taken from schema defaults where present
+export function initialFieldValues(schema: JsonSchema): FieldValues {
+  const values: FieldValues = {};
+
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    const type = schemaType(property);
+    if (type === "boolean") {
+      values[name] = property.default === true;
+    } else if (property.default === undefined) {
+      values[name] = "";
+    } else if (type === "object" || type === "array") {
+      values[name] = JSON.stringify(property.default, null, 2);
+    } else {
+      values[name] = String(property.default);
+    }
+  }
+
+  return values;
+}
+
+// Convert form values to tool arguments. Empty optional fields are omitted.
+export function buildArguments(
+  schema: JsonSchema,
+  values: FieldValues
+): { args: Record<string, unknown>; errors: Record<string, string> } {
+  const args: Record<string, unknown> = {};
+  const errors: Record<string, string> = {};
+  const required = new Set(schema.required || []);
+
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    const type = schemaType(property);
+    const value = values[name];
+
+    if (type === "boolean") {
+      if (value === true || required.has(name)) args[name] = value === true;
+      continue;
+    }
+
+    const text = typeof value === "string" ? value.trim() : "";
+    if (!text) {
+      if (required.has(name)) errors[name] = "This field is required";
+      continue;
+    }
+
+    switch (type) {
+      case "integer":
+      case "number": {
+        const number = Number(text);
+        if (Number.isNaN(number)) {
+          errors[name] = "Must be a number";
+        } else if (type === "integer" && !Number.isInteger(number)) {
+          errors[name] = "Must be an integer";
+        } else {
+          args[name] = number;
+        }
+        break;
+      }
+      case "object":
+      case "array": {
+        try {
+          const parsed = JSON.parse(text);
+          if (type === "array" && !Array.isArray(parsed)) {
+            errors[name] = "Must be a JSON array";
+          } else if (
+            type === "object" &&
+            (typeof parsed !== "object" ||
+              parsed === null ||
+              Array.isArray(parsed))
+          ) {
+            errors[name] = "Must be a JSON object";
+          } else {
+            args[name] = parsed;
+          }
+        } catch (error) {
+          errors[name] = "Must be valid JSON";
+        }
+        break;
+      }
+      default:
+        args[name] = typeof value === "string" ? value : text;
+    }
+  }
+
+  return { args, errors };
+}
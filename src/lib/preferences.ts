@@ -0,0 +1,14 @@
+// Browser-local dashboard preferences, persisted in localStorage
+
+const TOOL_BUDGET_KEY = "toolBudget";
+// Clients such as Cursor stop offering tools beyond roughly this many
+export const DEFAULT_TOOL_BUDGET = 40;
+
+export function getToolBudget(): number {
+  const saved = parseInt(localStorage.getItem(TOOL_BUDGET_KEY) || "", 10);
+  return Number.isInteger(saved) && saved > 0 ? saved : DEFAULT_TOOL_BUDGET;
+}
+
+export function setToolBudget(budget: number) {
+  localStorage.setItem(TOOL_BUDGET_KEY, String(budget));
+}
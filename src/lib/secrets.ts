@@ -0,0 +1,28 @@
+// Env values and headers can hold a reference instead of a secret:
+// ${secret:NAME} points into yamcp-ui's encrypted store and ${VAR} at its own
+// environment. The server resolves them only when a server is launched, so
+// the browser sees the reference and has to ask for the value explicitly.
+
+const SECRET_REFERENCE_PATTERN = /^\$\{secret:[^}]+\}$/;
+
+export function isSecretReference(value: string): boolean {
+  return SECRET_REFERENCE_PATTERN.test(value);
+}
+
+export async function revealEnvValue(
+  serverId: string,
+  key: string,
+  section: "env" | "headers" = "env"
+): Promise<string> {
+  const response = await fetch(
+    `/api/servers/${encodeURIComponent(serverId)}/${section}/${encodeURIComponent(
+      key
+    )}/reveal`,
+    { method: "POST" }
+  );
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || `Failed to reveal ${key}`);
+  }
+  return data.value;
+}
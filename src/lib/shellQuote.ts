@@ -0,0 +1,78 @@
+// POSIX shell word splitting and quoting for command lines typed or pasted
+// into the server dialogs. Only quoting is interpreted: $VAR, globs, pipes
+// and the like are kept as literal text, as yamcp launches commands without
+// a shell.
+
+// Characters that never need quoting
+const SAFE_ARG_PATTERN = /^[A-Za-z0-9_@%+=:,./-]+$/;
+
+// Characters a backslash escapes inside double quotes
+const DOUBLE_QUOTE_ESCAPES = new Set(["$", "`", '"', "\\", "\n"]);
+
+// Split a command line into words. Throws for an unterminated quote or a
+// trailing backslash.
+export function parseCommandLine(line: string): string[] {
+  const words: string[] = [];
+  let word = "";
+  // Whether a word has started, so that "" and '' count as empty words
+  let inWord = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (char === "'") {
+      const end = line.indexOf("'", i + 1);
+      if (end === -1) throw new Error("Unterminated single quote");
+      word += line.slice(i + 1, end);
+      inWord = true;
+      i = end;
+    } else if (char === '"') {
+      let closed = false;
+      for (i++; i < line.length; i++) {
+        const inner = line[i];
+        if (inner === '"') {
+          closed = true;
+          break;
+        }
+        if (inner === "\\" && DOUBLE_QUOTE_ESCAPES.has(line[i + 1])) {
+          i++;
+          // A backslash-newline is a line continuation
+          if (line[i] !== "\n") word += line[i];
+        } else {
+          word += inner;
+        }
+      }
+      if (!closed) throw new Error("Unterminated double quote");
+      inWord = true;
+    } else if (char === "\\") {
+      if (i + 1 >= line.length) {
+        throw new Error("Command line ends with a backslash");
+      }
+      i++;
+      if (line[i] !== "\n") {
+        word += line[i];
+        inWord = true;
+      }
+    } else if (/\s/.test(char)) {
+      if (inWord) words.push(word);
+      word = "";
+      inWord = false;
+    } else {
+      word += char;
+      inWord = true;
+    }
+  }
+
+  if (inWord) words.push(word);
+  return words;
+}
+
+// Quote one word so that parseCommandLine reads it back unchanged
+export function quoteArg(arg: string): string {
+  if (SAFE_ARG_PATTERN.test(arg)) return arg;
+  return "'" + arg.replace(/'/g, `'\\''`) + "'";
+}
+
+export function formatCommandLine(words: string[]): string {
+  return words.map(quoteArg).join(" ");
+}
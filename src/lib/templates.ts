@@ -0,0 +1,74 @@
+import type { EnvRow } from "@/components/EnvEditor";
+
+// Server templates served by GET /api/templates. Args and env values hold
+// {{param}} placeholders for the template's parameters.
+
+export interface TemplateParameter {
+  name: string;
+  label: string;
+  description: string;
+  kind: "text" | "path" | "secret";
+  required: boolean;
+  default: string;
+}
+
+export interface ServerTemplate {
+  id: string;
+  name: string;
+  description: string;
+  command: string;
+  args: string[];
+  env: Record<string, string>;
+  parameters: TemplateParameter[];
+  // "builtin" or the file the template was read from
+  source: string;
+}
+
+export interface TemplateCatalog {
+  templates: ServerTemplate[];
+  templatesDir: string;
+  errors: { file: string; message: string }[];
+}
+
+const PLACEHOLDER_PATTERN = /\{\{([^}]*)\}\}/g;
+
+// Whether a value is nothing but one placeholder
+function soleParameter(value: string): string | null {
+  const match = /^\{\{([^}]*)\}\}$/.exec(value);
+  return match ? match[1] : null;
+}
+
+const fill = (value: string, values: Record<string, string>) =>
+  value.replace(PLACEHOLDER_PATTERN, (_, name: string) => values[name] || "");
+
+// The stdio form fields a template describes. Args and env entries that are
+// only an empty placeholder are left out, so optional parameters can be
+// skipped; env entries filled from a secret parameter become secret rows.
+export function applyTemplate(
+  template: ServerTemplate,
+  values: Record<string, string>
+): { command: string; args: string[]; env: EnvRow[] } {
+  const isSkipped = (value: string) => {
+    const name = soleParameter(value);
+    return name !== null && !values[name];
+  };
+  const secretParameters = new Set(
+    template.parameters
+      .filter((parameter) => parameter.kind === "secret")
+      .map((parameter) => parameter.name)
+  );
+
+  return {
+    command: template.command,
+    args: template.args
+      .filter((arg) => !isSkipped(arg))
+      .map((arg) => fill(arg, values)),
+    env: Object.entries(template.env)
+      .filter(([, value]) => !isSkipped(value))
+      .map(([key, value]) => ({
+        key,
+        value: fill(value, values),
+        secret: secretParameters.has(soleParameter(value) || ""),
+      })),
+  };
+}
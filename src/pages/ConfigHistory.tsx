@@ -0,0 +1,377 @@
+import { useState, useEffect } from "react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Label } from "@/components/ui/label";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { AlertCircle, GitCompare, History, RotateCcw } from "lucide-react";
+import { formatJsonPath, JsonPath } from "@/lib/jsonPath";
+
+type ConfigFile = "providers" | "workspaces";
+
+interface ConfigVersion {
+  id: string;
+  file: ConfigFile;
+  timestamp: string;
+  source: string;
+}
+
+interface ConfigChange {
+  path: JsonPath;
+  type: "added" | "removed" | "changed";
+  before?: unknown;
+  after?: unknown;
+}
+
+export function ConfigHistory() {
+  const [file, setFile] = useState<ConfigFile>("providers");
+  const [versions, setVersions] = useState<ConfigVersion[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("current");
+  const [changes, setChanges] = useState<ConfigChange[] | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [restoreTarget, setRestoreTarget] = useState<ConfigVersion | null>(
+    null
+  );
+  const [isRestoring, setIsRestoring] = useState(false);
+
+  useEffect(() => {
+    fetchVersions();
+  }, [file]);
+
+  useEffect(() => {
+    if (from) {
+      fetchDiff();
+    } else {
+      setChanges(null);
+    }
+  }, [from, to]);
+
+  const fetchVersions = async () => {
+    try {
+      setLoading(true);
+      const response = await fetch(`/api/config/history?file=${file}`);
+      if (response.ok) {
+        const data: ConfigVersion[] = await response.json();
+        setVersions(data);
+        // Show the most recent change by default
+        setFrom(data[1]?.id || data[0]?.id || "");
+        setTo(data.length > 1 ? data[0].id : "current");
+      } else {
+        console.error("Failed to fetch config history");
+      }
+    } catch (error) {
+      console.error("Error fetching config history:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchDiff = async () => {
+    try {
+      setError(null);
+      const params = new URLSearchParams({ from, to });
+      const response = await fetch(`/api/config/history/diff?${params}`);
+      const data = await response.json();
+      if (response.ok) {
+        setChanges(data.changes);
+      } else {
+        setChanges(null);
+        setError(data.error || "Failed to compare versions");
+      }
+    } catch (error) {
+      console.error("Error comparing config versions:", error);
+      setError(`Error comparing versions: ${error}`);
+    }
+  };
+
+  const handleRestore = async () => {
+    if (!restoreTarget) return;
+
+    setIsRestoring(true);
+    setError(null);
+    try {
+      const response = await fetch(
+        `/api/config/history/${restoreTarget.id}/restore`,
+        { method: "POST" }
+      );
+      const data = await response.json();
+      if (response.ok) {
+        setRestoreTarget(null);
+        fetchVersions();
+      } else {
+        setError(data.error || "Failed to restore version");
+      }
+    } catch (error) {
+      console.error("Error restoring config version:", error);
+      setError(`Error restoring version: ${error}`);
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  const formatTimestamp = (timestamp: string) =>
+    new Date(timestamp).toLocaleString();
+
+  const formatValue = (value: unknown) => JSON.stringify(value, null, 2);
+
+  const getChangeBadge = (type: ConfigChange["type"]) => {
+    switch (type) {
+      case "added":
+        return <Badge className="bg-green-100 text-green-800">Added</Badge>;
+      case "removed":
+        return <Badge variant="destructive">Removed</Badge>;
+      default:
+        return <Badge className="bg-yellow-100 text-yellow-800">Changed</Badge>;
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader>
+          <div className="flex items-center justify-between">
+            <div>
+              <CardTitle>Config History</CardTitle>
+              <CardDescription>
+                Every change to providers.json and workspaces.json is kept as a
+                version ({versions.length} for {file}.json)
+              </CardDescription>
+            </div>
+            <Select
+              value={file}
+              onValueChange={(value) => setFile(value as ConfigFile)}
+            >
+              <SelectTrigger className="w-[180px]">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="providers">providers.json</SelectItem>
+                <SelectItem value="workspaces">workspaces.json</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {loading ? (
+            <div className="flex items-center justify-center h-32">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+            </div>
+          ) : versions.length === 0 ? (
+            <div className="text-center py-8">
+              <History className="mx-auto h-12 w-12 text-gray-400" />
+              <h3 className="mt-2 text-sm font-semibold text-gray-900">
+                No versions yet
+              </h3>
+              <p className="mt-1 text-sm text-gray-500">
+                A version is recorded whenever the config is changed.
+              </p>
+            </div>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Time</TableHead>
+                  <TableHead>Changed By</TableHead>
+                  <TableHead className="text-right">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {versions.map((version, index) => (
+                  <TableRow key={version.id}>
+                    <TableCell>
+                      {formatTimestamp(version.timestamp)}
+                      {index === 0 && (
+                        <Badge variant="outline" className="ml-2">
+                          Latest
+                        </Badge>
+                      )}
+                    </TableCell>
+                    <TableCell className="font-mono text-xs">
+                      {version.source}
+                    </TableCell>
+                    <TableCell className="text-right">
+                      <div className="flex justify-end gap-2">
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => {
+                            setFrom(version.id);
+                            setTo("current");
+                          }}
+                        >
+                          <GitCompare className="mr-2 h-4 w-4" />
+                          Compare
+                        </Button>
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => setRestoreTarget(version)}
+                        >
+                          <RotateCcw className="mr-2 h-4 w-4" />
+                          Restore
+                        </Button>
+                      </div>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+
+      {versions.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Compare Versions</CardTitle>
+            <CardDescription>
+              Differences between two versions of {file}.json
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="grid gap-4 sm:grid-cols-2">
+              <div className="grid gap-2">
+                <Label htmlFor="diff-from">From</Label>
+                <Select value={from} onValueChange={setFrom}>
+                  <SelectTrigger id="diff-from">
+                    <SelectValue placeholder="Select a version" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {versions.map((version) => (
+                      <SelectItem key={version.id} value={version.id}>
+                        {formatTimestamp(version.timestamp)}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="grid gap-2">
+                <Label htmlFor="diff-to">To</Label>
+                <Select value={to} onValueChange={setTo}>
+                  <SelectTrigger id="diff-to">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="current">Current file</SelectItem>
+                    {versions.map((version) => (
+                      <SelectItem key={version.id} value={version.id}>
+                        {formatTimestamp(version.timestamp)}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            {error && (
+              <Alert variant="destructive">
+                <AlertCircle className="h-4 w-4" />
+                <AlertDescription>{error}</AlertDescription>
+              </Alert>
+            )}
+
+            {changes &&
+              (changes.length === 0 ? (
+                <p className="text-sm text-muted-foreground">
+                  The two versions are identical.
+                </p>
+              ) : (
+                <div className="space-y-3">
+                  {changes.map((change, index) => (
+                    <div key={index} className="rounded-md border p-3 text-sm">
+                      <div className="flex items-center gap-2">
+                        {getChangeBadge(change.type)}
+                        <span className="font-mono">
+                          {formatJsonPath(change.path)}
+                        </span>
+                      </div>
+                      <div className="mt-2 grid gap-2 sm:grid-cols-2">
+                        {change.type !== "added" && (
+                          <pre className="overflow-x-auto rounded bg-red-500/10 p-2 text-xs">
+                            {formatValue(change.before)}
+                          </pre>
+                        )}
+                        {change.type !== "removed" && (
+                          <pre className="overflow-x-auto rounded bg-green-500/10 p-2 text-xs">
+                            {formatValue(change.after)}
+                          </pre>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              ))}
+          </CardContent>
+        </Card>
+      )}
+
+      <Dialog
+        open={restoreTarget !== null}
+        onOpenChange={(open) => !open && setRestoreTarget(null)}
+      >
+        <DialogContent className="sm:max-w-[425px]">
+          <DialogHeader>
+            <DialogTitle className="flex items-center gap-2">
+              <RotateCcw className="h-5 w-5" />
+              Restore Version
+            </DialogTitle>
+            <DialogDescription>
+              Replace {file}.json with the version from{" "}
+              {restoreTarget && formatTimestamp(restoreTarget.timestamp)}. The
+              current content stays in the history.
+            </DialogDescription>
+          </DialogHeader>
+          <DialogFooter>
+            <Button
+              type="button"
+              variant="outline"
+              onClick={() => setRestoreTarget(null)}
+              disabled={isRestoring}
+            >
+              Cancel
+            </Button>
+            <Button
+              type="button"
+              onClick={handleRestore}
+              disabled={isRestoring}
+            >
+              <RotateCcw className="mr-2 h-4 w-4" />
+              {isRestoring ? "Restoring..." : "Restore"}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
@@ -8,15 +8,28 @@ import {
 } from "@/components/ui/card";
 import { AddServerDialog } from "@/components/AddServerDialog";
 import { AddWorkspaceDialog } from "@/components/AddWorkspaceDialog";
-import { Server, FolderOpen, Activity, AlertCircle } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  Server,
+  FolderOpen,
+  Activity,
+  AlertCircle,
+  RefreshCw,
+} from "lucide-react";
 import { useNavigate } from "react-router-dom";
+import { subscribeToConfigChanges } from "@/lib/configEvents";
 
 interface Stats {
   totalServers: number;
+  // Server count per transport type
+  serversByType: Record<string, number>;
   activeServers: number;
   totalWorkspaces: number;
   activeWorkspaces: number;
   issues: number;
+  unreachableServers: string[];
+  probedServers: number;
+  probing: boolean;
 }
 
 interface LogEntry {
@@ -30,13 +43,18 @@ interface LogEntry {
 export function Dashboard() {
   const [stats, setStats] = useState<Stats>({
     totalServers: 0,
+    serversByType: {},
     activeServers: 0,
     totalWorkspaces: 0,
     activeWorkspaces: 0,
     issues: 0,
+    unreachableServers: [],
+    probedServers: 0,
+    probing: false,
   });
   const [recentLogs, setRecentLogs] = useState<LogEntry[]>([]);
   const [loading, setLoading] = useState(true);
+  const [checking, setChecking] = useState(false);
   const [showAddServerDialog, setShowAddServerDialog] = useState(false);
   const [showAddWorkspaceDialog, setShowAddWorkspaceDialog] = useState(false);
   const navigate = useNavigate();
@@ -45,6 +63,21 @@ export function Dashboard() {
     fetchDashboardData();
   }, []);
 
+  // Keep recent activity current from the live log stream
+  useEffect(() => {
+    const source = new EventSource("/api/logs/stream");
+    source.addEventListener("log", (event) => {
+      const entry: LogEntry = JSON.parse((event as MessageEvent).data);
+      setRecentLogs((current) =>
+        [entry, ...current.filter((log) => log.id !== entry.id)].slice(0, 5)
+      );
+    });
+    return () => source.close();
+  }, []);
+
+  // Keep the counts current when servers or workspaces change elsewhere
+  useEffect(() => subscribeToConfigChanges(() => refreshStats()), []);
+
   const fetchDashboardData = async () => {
     try {
       setLoading(true);
@@ -57,10 +90,10 @@ export function Dashboard() {
       }
 
       // Fetch recent logs
-      const logsResponse = await fetch("/api/logs");
+      const logsResponse = await fetch("/api/logs?limit=5");
       if (logsResponse.ok) {
         const logsData = await logsResponse.json();
-        setRecentLogs(logsData.slice(0, 5)); // Show only 5 most recent
+        setRecentLogs(logsData.logs.slice(0, 5)); // Show only 5 most recent
       }
     } catch (error) {
       console.error("Error fetching dashboard data:", error);
@@ -69,6 +102,31 @@ export function Dashboard() {
     }
   };
 
+  // Reload stats in the background without showing the loading state
+  const refreshStats = async () => {
+    try {
+      const statsResponse = await fetch("/api/stats");
+      if (statsResponse.ok) {
+        setStats(await statsResponse.json());
+      }
+    } catch (error) {
+      console.error("Error refreshing stats:", error);
+    }
+  };
+
+  // Re-run the MCP handshake probe against every server, then reload stats
+  const handleCheckServers = async () => {
+    try {
+      setChecking(true);
+      await fetch("/api/probes", { method: "POST" });
+      await refreshStats();
+    } catch (error) {
+      console.error("Error checking servers:", error);
+    } finally {
+      setChecking(false);
+    }
+  };
+
   const handleQuickAction = (action: string) => {
     switch (action) {
       case "add-server":
@@ -144,6 +202,12 @@ export function Dashboard() {
               <p className="text-xs text-muted-foreground">
                 {stats.activeServers} active
               </p>
+              <p className="text-xs text-muted-foreground">
+                {Object.entries(stats.serversByType)
+                  .filter(([, count]) => count > 0)
+                  .map(([type, count]) => `${count} ${type}`)
+                  .join(" · ")}
+              </p>
             </CardContent>
           </Card>
 
@@ -157,10 +221,15 @@ export function Dashboard() {
             <CardContent>
               <div className="text-2xl font-bold">{stats.activeServers}</div>
               <p className="text-xs text-muted-foreground">
-                {stats.totalServers > 0
-                  ? Math.round((stats.activeServers / stats.totalServers) * 100)
-                  : 0}
-                % uptime
+                {stats.probedServers < stats.totalServers
+                  ? `${stats.probedServers} of ${stats.totalServers} checked`
+                  : `${
+                      stats.totalServers > 0
+                        ? Math.round(
+                            (stats.activeServers / stats.totalServers) * 100
+                          )
+                        : 0
+                    }% reachable`}
               </p>
             </CardContent>
           </Card>
@@ -181,14 +250,33 @@ export function Dashboard() {
           <Card>
             <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
               <CardTitle className="text-sm font-medium">Issues</CardTitle>
-              <AlertCircle className="h-4 w-4 text-muted-foreground" />
+              <div className="flex items-center gap-1">
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="h-6 w-6"
+                  onClick={handleCheckServers}
+                  disabled={checking || stats.probing}
+                  title="Check servers now"
+                >
+                  <RefreshCw
+                    className={`h-4 w-4 text-muted-foreground ${
+                      checking || stats.probing ? "animate-spin" : ""
+                    }`}
+                  />
+                </Button>
+                <AlertCircle className="h-4 w-4 text-muted-foreground" />
+              </div>
             </CardHeader>
             <CardContent>
               <div className="text-2xl font-bold">{stats.issues}</div>
-              <p className="text-xs text-muted-foreground">
+              <p
+                className="text-xs text-muted-foreground truncate"
+                title={stats.unreachableServers.join(", ")}
+              >
                 {stats.issues === 0
                   ? "All systems operational"
-                  : "Needs attention"}
+                  : `Unreachable: ${stats.unreachableServers.join(", ")}`}
               </p>
             </CardContent>
           </Card>
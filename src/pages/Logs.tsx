@@ -1,4 +1,4 @@
-import { useState, useEffect, useMemo } from "react";
+import { useState, useEffect, useMemo, useRef } from "react";
 import {
   Card,
   CardContent,
@@ -8,6 +8,8 @@ import {
 } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Alert, AlertDescription } from "@/components/ui/alert";
 import {
   Select,
   SelectContent,
@@ -17,7 +19,19 @@ import {
 } from "@/components/ui/select";
 import { ClearLogsDialog } from "@/components/ClearLogsDialog";
 import { LogDetailsDialog } from "@/components/LogDetailsDialog";
-import { FileText, Download, Trash2, RefreshCw, Eye, Filter } from "lucide-react";
+import {
+  FileText,
+  Download,
+  Trash2,
+  RefreshCw,
+  Eye,
+  Filter,
+  Search,
+  AlertCircle,
+  Radio,
+  Pause,
+  Play,
+} from "lucide-react";
 
 interface LogEntry {
   id: string;
@@ -25,8 +39,12 @@ interface LogEntry {
   level: string;
   server: string;
   message: string;
+  metadata?: Record<string, unknown>;
 }
 
+// Entries kept in memory while following the live stream
+const MAX_LIVE_LOGS = 500;
+
 interface LogFile {
   name: string;
   size: number;
@@ -44,26 +62,120 @@ export function Logs() {
   const [selectedLog, setSelectedLog] = useState<LogEntry | null>(null);
   const [selectedWorkspace, setSelectedWorkspace] = useState<string>("all");
   const [selectedLevel, setSelectedLevel] = useState<string>("all");
+  const [searchText, setSearchText] = useState("");
+  const [appliedSearch, setAppliedSearch] = useState("");
+  const [useRegex, setUseRegex] = useState(false);
+  const [since, setSince] = useState("");
+  const [until, setUntil] = useState("");
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [searchError, setSearchError] = useState<string | null>(null);
+  const [demo, setDemo] = useState(false);
+  const [following, setFollowing] = useState(false);
+  const [paused, setPaused] = useState(false);
+  const [pendingLogs, setPendingLogs] = useState<LogEntry[]>([]);
+  const pausedRef = useRef(paused);
+
+  // Filters are evaluated on the server against every log file
+  const logQuery = useMemo(() => {
+    const params = new URLSearchParams();
+    if (selectedWorkspace !== "all") params.set("workspace", selectedWorkspace);
+    if (selectedLevel !== "all") params.set("level", selectedLevel);
+    if (appliedSearch) {
+      params.set("q", appliedSearch);
+      if (useRegex) params.set("regex", "true");
+    }
+    // datetime-local values are in local time
+    if (since) params.set("since", new Date(since).toISOString());
+    if (until) params.set("until", new Date(until).toISOString());
+    return params.toString();
+  }, [selectedWorkspace, selectedLevel, appliedSearch, useRegex, since, until]);
 
   useEffect(() => {
-    fetchLogs();
     fetchLogFiles();
   }, []);
 
+  useEffect(() => {
+    fetchLogs();
+  }, [logQuery]);
+
+  useEffect(() => {
+    pausedRef.current = paused;
+  }, [paused]);
+
+  // Stream new entries while following; paused entries are held back
+  useEffect(() => {
+    if (!following) return;
+
+    const source = new EventSource(`/api/logs/stream?${logQuery}`);
+    source.addEventListener("log", (event) => {
+      const entry: LogEntry = JSON.parse((event as MessageEvent).data);
+      if (pausedRef.current) {
+        setPendingLogs((current) => [entry, ...current]);
+      } else {
+        setLogs((current) => mergeLogs([entry], current));
+      }
+    });
+    source.onerror = () => {
+      console.error("Log stream disconnected, reconnecting...");
+    };
+
+    return () => source.close();
+  }, [following, logQuery]);
+
+  const mergeLogs = (incoming: LogEntry[], current: LogEntry[]) => {
+    const known = new Set(current.map((log) => log.id));
+    return [...incoming.filter((log) => !known.has(log.id)), ...current]
+      .sort(
+        (a, b) =>
+          new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime()
+      )
+      .slice(0, Math.max(MAX_LIVE_LOGS, current.length));
+  };
+
   const fetchLogs = async () => {
     try {
-      const response = await fetch("/api/logs");
+      const response = await fetch(`/api/logs?${logQuery}`);
+      const data = await response.json();
       if (response.ok) {
-        const data = await response.json();
-        setLogs(data);
+        setLogs(data.logs);
+        setNextCursor(data.nextCursor);
+        setDemo(data.demo);
+        setSearchError(null);
+      } else {
+        setSearchError(data.error || "Failed to fetch logs");
+      }
+    } catch (error) {
+      console.error("Error fetching logs:", error);
+    }
+  };
+
+  const handleLoadMore = async () => {
+    if (!nextCursor) return;
+
+    try {
+      setLoadingMore(true);
+      const params = new URLSearchParams(logQuery);
+      params.set("cursor", nextCursor);
+      const response = await fetch(`/api/logs?${params}`);
+      const data = await response.json();
+      if (response.ok) {
+        setLogs((current) => [...current, ...data.logs]);
+        setNextCursor(data.nextCursor);
       } else {
-        console.error("Failed to fetch logs");
+        setSearchError(data.error || "Failed to fetch logs");
       }
     } catch (error) {
       console.error("Error fetching logs:", error);
+    } finally {
+      setLoadingMore(false);
     }
   };
 
+  const handleSearch = () => {
+    setAppliedSearch(searchText.trim());
+  };
+
   const fetchLogFiles = async () => {
     try {
       const response = await fetch("/api/log-files");
@@ -86,6 +198,26 @@ export function Logs() {
     setRefreshing(false);
   };
 
+  const handleToggleFollow = () => {
+    if (following) {
+      setFollowing(false);
+      setPaused(false);
+      setPendingLogs([]);
+    } else {
+      // Catch up on anything written since the last refresh
+      fetchLogs();
+      setFollowing(true);
+    }
+  };
+
+  const handleTogglePause = () => {
+    if (paused) {
+      setLogs((current) => mergeLogs(pendingLogs, current));
+      setPendingLogs([]);
+    }
+    setPaused(!paused);
+  };
+
   const handleExport = () => {
     // Export logs as JSON
     const dataStr = JSON.stringify(logs, null, 2);
@@ -104,8 +236,8 @@ export function Logs() {
     setShowClearDialog(true);
   };
 
-  const confirmClearLogs = () => {
-    setLogs([]);
+  const handleLogsCleared = () => {
+    handleRefresh();
   };
 
   const handleViewLogDetails = (log: LogEntry) => {
@@ -156,39 +288,19 @@ export function Logs() {
     return new Date(dateString).toLocaleString();
   };
 
-  // Get unique workspaces from logs
+  // Get unique workspaces from the log directories
   const getUniqueWorkspaces = () => {
-    const workspaces = Array.from(new Set(logs.map(log => log.server)));
+    const workspaces = Array.from(
+      new Set(logFiles.map((logFile) => logFile.name.split("_")[0]))
+    );
     return workspaces.sort();
   };
 
-  // Filter logs based on workspace and level
-  const filteredLogs = useMemo(() => {
-    let filtered = logs;
-
-    if (selectedWorkspace !== "all") {
-      filtered = filtered.filter((log) => log.server === selectedWorkspace);
-    }
-
-    if (selectedLevel !== "all") {
-      const filterLevel = selectedLevel.toLowerCase().trim();
-      filtered = filtered.filter((log) => {
-        const logLevel = (log.level || "").toLowerCase().trim();
-        if (filterLevel === "warn") {
-          return logLevel === "warn" || logLevel === "warning";
-        }
-        return logLevel === filterLevel;
-      });
-    }
-
-    return filtered;
-  }, [logs, selectedWorkspace, selectedLevel]);
-
   // Group logs by workspace
   const groupedLogs = useMemo(() => {
     const grouped: Record<string, LogEntry[]> = {};
     
-    filteredLogs.forEach(log => {
+    logs.forEach(log => {
       if (!grouped[log.server]) {
         grouped[log.server] = [];
       }
@@ -196,7 +308,7 @@ export function Logs() {
     });
     
     return grouped;
-  }, [filteredLogs]);
+  }, [logs]);
 
   if (loading) {
     return (
@@ -227,12 +339,44 @@ export function Logs() {
         <CardHeader>
           <div className="flex items-center justify-between">
             <div>
-              <CardTitle>System Logs</CardTitle>
+              <CardTitle className="flex items-center gap-2">
+                System Logs
+                {demo && <Badge variant="outline">Demo data</Badge>}
+              </CardTitle>
               <CardDescription>
-                Recent server events and error messages ({filteredLogs.length} entries)
+                Recent server events and error messages ({logs.length}
+                {nextCursor ? "+" : ""} entries)
               </CardDescription>
             </div>
             <div className="flex space-x-2">
+              <Button
+                variant={following ? "default" : "outline"}
+                onClick={handleToggleFollow}
+                title={following ? "Stop following" : "Follow new entries"}
+              >
+                <Radio
+                  className={`mr-2 h-4 w-4 ${
+                    following && !paused ? "animate-pulse" : ""
+                  }`}
+                />
+                {following ? "Following" : "Follow"}
+              </Button>
+              {following && (
+                <Button variant="outline" onClick={handleTogglePause}>
+                  {paused ? (
+                    <>
+                      <Play className="mr-2 h-4 w-4" />
+                      Resume
+                      {pendingLogs.length > 0 && ` (${pendingLogs.length} new)`}
+                    </>
+                  ) : (
+                    <>
+                      <Pause className="mr-2 h-4 w-4" />
+                      Pause
+                    </>
+                  )}
+                </Button>
+              )}
               <Button
                 variant="outline"
                 onClick={handleRefresh}
@@ -292,10 +436,71 @@ export function Logs() {
               </Select>
             </div>
           </div>
+          <div className="flex items-center space-x-4 pt-2">
+            <div className="flex items-center space-x-2 flex-1">
+              <Input
+                placeholder={
+                  useRegex ? "Regular expression" : "Search messages"
+                }
+                value={searchText}
+                onChange={(e) => setSearchText(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter") handleSearch();
+                }}
+                className="max-w-sm"
+              />
+              <label className="flex items-center space-x-1 text-sm text-muted-foreground">
+                <input
+                  type="checkbox"
+                  checked={useRegex}
+                  onChange={(e) => setUseRegex(e.target.checked)}
+                />
+                <span>Regex</span>
+              </label>
+              <Button variant="outline" onClick={handleSearch}>
+                <Search className="mr-2 h-4 w-4" />
+                Search
+              </Button>
+            </div>
+            <div className="flex items-center space-x-2">
+              <label
+                htmlFor="since-input"
+                className="text-sm text-muted-foreground"
+              >
+                From:
+              </label>
+              <Input
+                id="since-input"
+                type="datetime-local"
+                value={since}
+                onChange={(e) => setSince(e.target.value)}
+                className="w-52"
+              />
+              <label
+                htmlFor="until-input"
+                className="text-sm text-muted-foreground"
+              >
+                To:
+              </label>
+              <Input
+                id="until-input"
+                type="datetime-local"
+                value={until}
+                onChange={(e) => setUntil(e.target.value)}
+                className="w-52"
+              />
+            </div>
+          </div>
+          {searchError && (
+            <Alert variant="destructive" className="mt-4">
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>{searchError}</AlertDescription>
+            </Alert>
+          )}
         </CardHeader>
         <CardContent>
-          <div key={`${selectedLevel}-${selectedWorkspace}-${filteredLogs.length}`} className="space-y-6">
-            {filteredLogs.length > 0 ? (
+          <div key={`${selectedLevel}-${selectedWorkspace}-${logs.length}`} className="space-y-6">
+            {logs.length > 0 ? (
               selectedWorkspace === "all" ? (
                 // Show grouped by workspace when "All Workspaces" is selected
                 Object.entries(groupedLogs).map(([workspaceName, workspaceLogs]) => (
@@ -341,7 +546,7 @@ export function Logs() {
                 ))
               ) : (
                 // Show flat list when specific workspace is selected
-                filteredLogs.map((log) => (
+                logs.map((log) => (
                   <div
                     key={log.id}
                     className="flex items-start space-x-4 p-4 bg-muted/50 rounded-lg"
@@ -387,6 +592,17 @@ export function Logs() {
               </div>
             )}
           </div>
+          {nextCursor && (
+            <div className="flex justify-center pt-6">
+              <Button
+                variant="outline"
+                onClick={handleLoadMore}
+                disabled={loadingMore}
+              >
+                {loadingMore ? "Loading..." : "Load older entries"}
+              </Button>
+            </div>
+          )}
         </CardContent>
       </Card>
 
@@ -443,8 +659,10 @@ export function Logs() {
       <ClearLogsDialog
         open={showClearDialog}
         onOpenChange={setShowClearDialog}
-        onConfirm={confirmClearLogs}
-        logCount={logs.length}
+        onCleared={handleLogsCleared}
+        logFiles={logFiles}
+        workspaces={getUniqueWorkspaces()}
+        defaultWorkspace={selectedWorkspace}
       />
 
       <LogDetailsDialog
@@ -0,0 +1,357 @@
+import { useState, useEffect } from "react";
+import { useSearchParams } from "react-router-dom";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { SchemaForm } from "@/components/SchemaForm";
+import {
+  type FieldValues,
+  type JsonSchema,
+  buildArguments,
+  initialFieldValues,
+} from "@/lib/jsonSchema";
+import { AlertCircle, Play, RefreshCw } from "lucide-react";
+
+interface ServerData {
+  id: string;
+  name: string;
+  type: string;
+}
+
+interface Tool {
+  name: string;
+  description?: string;
+  inputSchema?: JsonSchema;
+}
+
+interface CallResult {
+  request: unknown;
+  response: {
+    result?: { isError?: boolean };
+    error?: { code: number; message: string };
+  };
+  connectMs: number;
+  durationMs: number;
+}
+
+export function Playground() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [servers, setServers] = useState<ServerData[]>([]);
+  const [tools, setTools] = useState<Tool[]>([]);
+  const [loadingTools, setLoadingTools] = useState(false);
+  const [toolsError, setToolsError] = useState<string | null>(null);
+  const [values, setValues] = useState<FieldValues>({});
+  const [fieldErrors, setFieldErrors] = useState<Record<string, string>>({});
+  const [rawMode, setRawMode] = useState(false);
+  const [rawArguments, setRawArguments] = useState("{}");
+  const [calling, setCalling] = useState(false);
+  const [callError, setCallError] = useState<string | null>(null);
+  const [result, setResult] = useState<CallResult | null>(null);
+
+  const selectedServer = searchParams.get("server") || "";
+  const selectedTool = searchParams.get("tool") || "";
+  const tool = tools.find((item) => item.name === selectedTool) || null;
+  const schema: JsonSchema = tool?.inputSchema || { type: "object" };
+
+  useEffect(() => {
+    fetchServers();
+  }, []);
+
+  useEffect(() => {
+    setTools([]);
+    if (selectedServer) fetchTools(selectedServer);
+  }, [selectedServer]);
+
+  // Reset the form whenever a different tool is picked
+  useEffect(() => {
+    setValues(initialFieldValues(schema));
+    setRawArguments("{}");
+    setFieldErrors({});
+    setResult(null);
+    setCallError(null);
+  }, [tool]);
+
+  const fetchServers = async () => {
+    try {
+      const response = await fetch("/api/servers");
+      if (response.ok) {
+        setServers(await response.json());
+      } else {
+        console.error("Failed to fetch servers");
+      }
+    } catch (error) {
+      console.error("Error fetching servers:", error);
+    }
+  };
+
+  const fetchTools = async (serverId: string) => {
+    try {
+      setLoadingTools(true);
+      setToolsError(null);
+      const response = await fetch(
+        `/api/servers/${encodeURIComponent(serverId)}/inspect`
+      );
+      const data = await response.json();
+      if (response.ok) {
+        setTools(data.tools.items);
+        if (data.tools.error) setToolsError(data.tools.error);
+      } else {
+        setToolsError(data.error || "Failed to list tools");
+      }
+    } catch (error) {
+      console.error("Error fetching tools:", error);
+      setToolsError(`Error fetching tools: ${error}`);
+    } finally {
+      setLoadingTools(false);
+    }
+  };
+
+  const selectServer = (serverId: string) => {
+    setSearchParams({ server: serverId });
+  };
+
+  const selectTool = (toolName: string) => {
+    setSearchParams({ server: selectedServer, tool: toolName });
+  };
+
+  const toggleRawMode = () => {
+    if (!rawMode) {
+      // Carry the form state over into the raw editor
+      const { args } = buildArguments(schema, values);
+      setRawArguments(JSON.stringify(args, null, 2));
+    }
+    setFieldErrors({});
+    setRawMode(!rawMode);
+  };
+
+  const handleCall = async () => {
+    if (!tool) return;
+
+    let args: Record<string, unknown>;
+    if (rawMode) {
+      try {
+        args = JSON.parse(rawArguments);
+      } catch (error) {
+        setCallError(`Invalid JSON arguments: ${error}`);
+        return;
+      }
+    } else {
+      const built = buildArguments(schema, values);
+      setFieldErrors(built.errors);
+      if (Object.keys(built.errors).length > 0) return;
+      args = built.args;
+    }
+
+    try {
+      setCalling(true);
+      setCallError(null);
+      setResult(null);
+      const response = await fetch(
+        `/api/servers/${encodeURIComponent(selectedServer)}/tools/call`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ name: tool.name, arguments: args }),
+        }
+      );
+      const data = await response.json();
+      if (response.ok) {
+        setResult(data);
+      } else {
+        setCallError(data.error || "Tool call failed");
+      }
+    } catch (error) {
+      console.error("Error calling tool:", error);
+      setCallError(`Error calling tool: ${error}`);
+    } finally {
+      setCalling(false);
+    }
+  };
+
+  const getResultBadge = (callResult: CallResult) => {
+    if (callResult.response.error) {
+      return <Badge variant="destructive">JSON-RPC error</Badge>;
+    }
+    if (callResult.response.result?.isError) {
+      return (
+        <Badge className="bg-yellow-100 text-yellow-800">Tool error</Badge>
+      );
+    }
+    return <Badge className="bg-green-100 text-green-800">Success</Badge>;
+  };
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader>
+          <CardTitle>Tool Playground</CardTitle>
+          <CardDescription>
+            Call a tool on any configured server and inspect the raw JSON-RPC
+            exchange
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="grid gap-4 md:grid-cols-2">
+            <div className="grid gap-2">
+              <Label htmlFor="server-select">Server</Label>
+              <Select value={selectedServer} onValueChange={selectServer}>
+                <SelectTrigger id="server-select">
+                  <SelectValue placeholder="Select a server" />
+                </SelectTrigger>
+                <SelectContent>
+                  {servers.map((server) => (
+                    <SelectItem key={server.id} value={server.id}>
+                      {server.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="grid gap-2">
+              <Label htmlFor="tool-select">Tool</Label>
+              <div className="flex gap-2">
+                <Select
+                  value={selectedTool}
+                  onValueChange={selectTool}
+                  disabled={!selectedServer || loadingTools}
+                >
+                  <SelectTrigger id="tool-select">
+                    <SelectValue
+                      placeholder={
+                        loadingTools ? "Loading tools..." : "Select a tool"
+                      }
+                    />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {tools.map((item) => (
+                      <SelectItem key={item.name} value={item.name}>
+                        {item.name}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <Button
+                  variant="outline"
+                  size="icon"
+                  onClick={() => fetchTools(selectedServer)}
+                  disabled={!selectedServer || loadingTools}
+                  title="Reload tools"
+                >
+                  <RefreshCw
+                    className={`h-4 w-4 ${loadingTools ? "animate-spin" : ""}`}
+                  />
+                </Button>
+              </div>
+            </div>
+          </div>
+
+          {toolsError && (
+            <Alert variant="destructive">
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>{toolsError}</AlertDescription>
+            </Alert>
+          )}
+        </CardContent>
+      </Card>
+
+      {tool && (
+        <Card>
+          <CardHeader>
+            <div className="flex items-center justify-between">
+              <div>
+                <CardTitle className="font-mono">{tool.name}</CardTitle>
+                {tool.description && (
+                  <CardDescription className="whitespace-pre-wrap">
+                    {tool.description}
+                  </CardDescription>
+                )}
+              </div>
+              <Button variant="outline" size="sm" onClick={toggleRawMode}>
+                {rawMode ? "Use form" : "Edit raw JSON"}
+              </Button>
+            </div>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {rawMode ? (
+              <Textarea
+                value={rawArguments}
+                onChange={(e) => setRawArguments(e.target.value)}
+                className="font-mono text-xs min-h-[160px]"
+              />
+            ) : (
+              <SchemaForm
+                schema={schema}
+                values={values}
+                errors={fieldErrors}
+                onChange={setValues}
+              />
+            )}
+            <Button onClick={handleCall} disabled={calling}>
+              <Play className="mr-2 h-4 w-4" />
+              {calling ? "Calling..." : "Call Tool"}
+            </Button>
+          </CardContent>
+        </Card>
+      )}
+
+      {callError && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{callError}</AlertDescription>
+        </Alert>
+      )}
+
+      {result && (
+        <Card>
+          <CardHeader>
+            <div className="flex items-center justify-between">
+              <CardTitle>Result</CardTitle>
+              <div className="flex items-center gap-2">
+                {getResultBadge(result)}
+                <span className="text-sm text-muted-foreground">
+                  {result.durationMs}ms call • {result.connectMs}ms connect
+                </span>
+              </div>
+            </div>
+          </CardHeader>
+          <CardContent className="grid gap-4 md:grid-cols-2">
+            <div className="space-y-2">
+              <h4 className="text-sm font-medium">Request</h4>
+              <div className="bg-muted p-4 rounded-md">
+                <pre className="text-xs overflow-x-auto">
+                  {JSON.stringify(result.request, null, 2)}
+                </pre>
+              </div>
+            </div>
+            <div className="space-y-2">
+              <h4 className="text-sm font-medium">Response</h4>
+              <div className="bg-muted p-4 rounded-md">
+                <pre className="text-xs overflow-x-auto">
+                  {JSON.stringify(result.response, null, 2)}
+                </pre>
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
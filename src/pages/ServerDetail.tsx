@@ -0,0 +1,386 @@
+import { useState, useEffect } from "react";
+import { Link, useParams } from "react-router-dom";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import {
+  AlertCircle,
+  ArrowLeft,
+  ChevronDown,
+  ChevronRight,
+  FlaskConical,
+  RefreshCw,
+  Wrench,
+} from "lucide-react";
+
+interface Tool {
+  name: string;
+  title?: string;
+  description?: string;
+  inputSchema?: Record<string, unknown>;
+}
+
+interface Resource {
+  uri: string;
+  name?: string;
+  description?: string;
+  mimeType?: string;
+}
+
+interface PromptArgument {
+  name: string;
+  description?: string;
+  required?: boolean;
+}
+
+interface Prompt {
+  name: string;
+  description?: string;
+  arguments?: PromptArgument[];
+}
+
+interface CapabilityList<T> {
+  supported: boolean;
+  items: T[];
+  error: string | null;
+}
+
+interface InspectionResult {
+  protocolVersion: string;
+  serverInfo: { name?: string; version?: string } | null;
+  capabilities: Record<string, unknown>;
+  instructions: string | null;
+  latencyMs: number;
+  tools: CapabilityList<Tool>;
+  resources: CapabilityList<Resource>;
+  prompts: CapabilityList<Prompt>;
+  inspectedAt: string;
+}
+
+export function ServerDetail() {
+  const { id } = useParams<{ id: string }>();
+  const [inspection, setInspection] = useState<InspectionResult | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [expandedTools, setExpandedTools] = useState<Set<string>>(new Set());
+
+  useEffect(() => {
+    fetchInspection();
+  }, [id]);
+
+  const fetchInspection = async () => {
+    if (!id) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await fetch(
+        `/api/servers/${encodeURIComponent(id)}/inspect`
+      );
+      const data = await response.json();
+      if (response.ok) {
+        setInspection(data);
+      } else {
+        setInspection(null);
+        setError(data.error || "Failed to inspect server");
+      }
+    } catch (error) {
+      console.error("Error inspecting server:", error);
+      setError(`Error inspecting server: ${error}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleTool = (name: string) => {
+    setExpandedTools((current) => {
+      const next = new Set(current);
+      if (next.has(name)) {
+        next.delete(name);
+      } else {
+        next.add(name);
+      }
+      return next;
+    });
+  };
+
+  const renderUnsupported = <T,>(list: CapabilityList<T>, label: string) => {
+    if (!list.supported) {
+      return (
+        <p className="text-sm text-muted-foreground">
+          This server does not advertise {label}.
+        </p>
+      );
+    }
+    if (list.error) {
+      return (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{list.error}</AlertDescription>
+        </Alert>
+      );
+    }
+    if (list.items.length === 0) {
+      return (
+        <p className="text-sm text-muted-foreground">No {label} exposed.</p>
+      );
+    }
+    return null;
+  };
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader>
+          <div className="flex items-center justify-between">
+            <div>
+              <CardTitle className="flex items-center gap-2">
+                <Button variant="ghost" size="icon" asChild>
+                  <Link to="/servers" title="Back to servers">
+                    <ArrowLeft className="h-4 w-4" />
+                  </Link>
+                </Button>
+                {id}
+              </CardTitle>
+              <CardDescription>
+                {inspection
+                  ? `${inspection.serverInfo?.name || "Unknown server"}${
+                      inspection.serverInfo?.version
+                        ? ` v${inspection.serverInfo.version}`
+                        : ""
+                    } • protocol ${inspection.protocolVersion} • ${
+                      inspection.latencyMs
+                    }ms handshake`
+                  : "Tools, resources and prompts exposed by this server"}
+              </CardDescription>
+            </div>
+            <Button
+              variant="outline"
+              onClick={fetchInspection}
+              disabled={loading}
+            >
+              <RefreshCw
+                className={`mr-2 h-4 w-4 ${loading ? "animate-spin" : ""}`}
+              />
+              Refresh
+            </Button>
+          </div>
+        </CardHeader>
+        {(error || inspection?.instructions) && (
+          <CardContent>
+            {error ? (
+              <Alert variant="destructive">
+                <AlertCircle className="h-4 w-4" />
+                <AlertDescription>{error}</AlertDescription>
+              </Alert>
+            ) : (
+              <p className="text-sm text-muted-foreground whitespace-pre-wrap">
+                {inspection?.instructions}
+              </p>
+            )}
+          </CardContent>
+        )}
+      </Card>
+
+      {loading && !inspection ? (
+        <Card>
+          <CardContent className="pt-6">
+            <div className="space-y-4">
+              {[...Array(3)].map((_, i) => (
+                <div
+                  key={i}
+                  className="h-12 bg-gray-200 rounded animate-pulse"
+                ></div>
+              ))}
+            </div>
+          </CardContent>
+        </Card>
+      ) : (
+        inspection && (
+          <>
+            <Card>
+              <CardHeader>
+                <CardTitle>Tools</CardTitle>
+                <CardDescription>
+                  {inspection.tools.items.length} tool
+                  {inspection.tools.items.length === 1 ? "" : "s"} available to
+                  AI clients
+                </CardDescription>
+              </CardHeader>
+              <CardContent>
+                {renderUnsupported(inspection.tools, "tools") || (
+                  <div className="space-y-3">
+                    {inspection.tools.items.map((tool) => (
+                      <div
+                        key={tool.name}
+                        className="p-4 bg-muted/50 rounded-lg space-y-2"
+                      >
+                        <button
+                          type="button"
+                          className="flex items-start gap-2 w-full text-left"
+                          onClick={() => toggleTool(tool.name)}
+                        >
+                          {expandedTools.has(tool.name) ? (
+                            <ChevronDown className="h-4 w-4 mt-0.5 flex-shrink-0" />
+                          ) : (
+                            <ChevronRight className="h-4 w-4 mt-0.5 flex-shrink-0" />
+                          )}
+                          <div className="min-w-0">
+                            <div className="flex items-center gap-2">
+                              <Wrench className="h-4 w-4 text-muted-foreground" />
+                              <span className="font-mono text-sm font-medium">
+                                {tool.name}
+                              </span>
+                              {tool.title && (
+                                <span className="text-sm text-muted-foreground">
+                                  {tool.title}
+                                </span>
+                              )}
+                            </div>
+                            {tool.description && (
+                              <p className="text-sm text-muted-foreground mt-1 whitespace-pre-wrap">
+                                {tool.description}
+                              </p>
+                            )}
+                          </div>
+                        </button>
+                        {expandedTools.has(tool.name) && (
+                          <div className="bg-muted p-4 rounded-md">
+                            <div className="flex items-center justify-between mb-2">
+                              <span className="text-xs font-medium">
+                                Input schema
+                              </span>
+                              <Button variant="outline" size="sm" asChild>
+                                <Link
+                                  to={`/playground?${new URLSearchParams({
+                                    server: id || "",
+                                    tool: tool.name,
+                                  })}`}
+                                >
+                                  <FlaskConical className="mr-2 h-4 w-4" />
+                                  Try it
+                                </Link>
+                              </Button>
+                            </div>
+                            <pre className="text-xs overflow-x-auto">
+                              {JSON.stringify(tool.inputSchema || {}, null, 2)}
+                            </pre>
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader>
+                <CardTitle>Resources</CardTitle>
+                <CardDescription>
+                  Data the server makes readable by URI
+                </CardDescription>
+              </CardHeader>
+              <CardContent>
+                {renderUnsupported(inspection.resources, "resources") || (
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Name</TableHead>
+                        <TableHead>URI</TableHead>
+                        <TableHead>Type</TableHead>
+                        <TableHead>Description</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {inspection.resources.items.map((resource) => (
+                        <TableRow key={resource.uri}>
+                          <TableCell className="font-medium">
+                            {resource.name || "—"}
+                          </TableCell>
+                          <TableCell className="font-mono text-xs max-w-xs truncate">
+                            {resource.uri}
+                          </TableCell>
+                          <TableCell>
+                            {resource.mimeType && (
+                              <Badge variant="outline">
+                                {resource.mimeType}
+                              </Badge>
+                            )}
+                          </TableCell>
+                          <TableCell className="text-muted-foreground">
+                            {resource.description}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                )}
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader>
+                <CardTitle>Prompts</CardTitle>
+                <CardDescription>
+                  Prompt templates the server offers
+                </CardDescription>
+              </CardHeader>
+              <CardContent>
+                {renderUnsupported(inspection.prompts, "prompts") || (
+                  <div className="space-y-3">
+                    {inspection.prompts.items.map((prompt) => (
+                      <div
+                        key={prompt.name}
+                        className="p-4 bg-muted/50 rounded-lg"
+                      >
+                        <span className="font-mono text-sm font-medium">
+                          {prompt.name}
+                        </span>
+                        {prompt.description && (
+                          <p className="text-sm text-muted-foreground mt-1">
+                            {prompt.description}
+                          </p>
+                        )}
+                        {prompt.arguments && prompt.arguments.length > 0 && (
+                          <div className="flex flex-wrap gap-1 mt-2">
+                            {prompt.arguments.map((argument) => (
+                              <Badge
+                                key={argument.name}
+                                variant="outline"
+                                className="text-xs"
+                                title={argument.description}
+                              >
+                                {argument.name}
+                                {argument.required ? "*" : ""}
+                              </Badge>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          </>
+        )
+      )}
+    </div>
+  );
+}
@@ -1,4 +1,5 @@
 import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
 import {
   Card,
   CardContent,
@@ -16,23 +17,62 @@ import {
 } from "@/components/ui/table";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
 import { AddServerDialog } from "@/components/AddServerDialog";
 import { EditServerDialog } from "@/components/EditServerDialog";
 import { DeleteConfirmDialog } from "@/components/DeleteConfirmDialog";
 import { JsonEditorDialog } from "@/components/JsonEditorDialog";
-import { Server, Settings, Trash2, Plus, FileText } from "lucide-react";
+import { ImportServersDialog } from "@/components/ImportServersDialog";
+import { getConfigRevision, ifMatchHeaders } from "@/lib/configRevision";
+import { subscribeToConfigChanges } from "@/lib/configEvents";
+import { formatCommandLine } from "@/lib/shellQuote";
+import { type BatchOperation, type BatchResponse, runBatch } from "@/lib/batch";
+import {
+  Server,
+  Settings,
+  Trash2,
+  Plus,
+  FileText,
+  Play,
+  Square,
+  Import,
+  FolderPlus,
+  FolderMinus,
+} from "lucide-react";
+
+interface ProcessStatus {
+  status: "starting" | "running" | "stopping" | "stopped" | "crashed";
+  pid: number | null;
+  startedAt: string | null;
+  uptimeMs: number;
+  exitCode: number | null;
+  signal: string | null;
+  restartCount: number;
+  lastError: string | null;
+}
 
 interface ServerData {
   id: string;
   name: string;
   namespace: string;
-  type: "stdio" | "sse";
+  type: "stdio" | "sse" | "streamable-http";
   command?: string;
   args?: string[];
   env?: Record<string, string>;
   url?: string;
+  headers?: Record<string, string>;
+  process?: ProcessStatus;
 }
 
+// How often process status is refreshed while the page is open
+const STATUS_POLL_INTERVAL_MS = 5000;
+
 export function Servers() {
   const [servers, setServers] = useState<ServerData[]>([]);
   const [loading, setLoading] = useState(true);
@@ -40,14 +80,40 @@ export function Servers() {
   const [showEditDialog, setShowEditDialog] = useState(false);
   const [showDeleteDialog, setShowDeleteDialog] = useState(false);
   const [showJsonEditor, setShowJsonEditor] = useState(false);
+  const [showImportDialog, setShowImportDialog] = useState(false);
   const [editingServer, setEditingServer] = useState<ServerData | null>(null);
   const [deletingServer, setDeletingServer] = useState<ServerData | null>(null);
   const [actionLoading, setActionLoading] = useState<string | null>(null);
+  // Revision of providers.json the list was read from
+  const [revision, setRevision] = useState<string | null>(null);
+  const [selectedIds, setSelectedIds] = useState<string[]>([]);
+  const [showBulkDeleteDialog, setShowBulkDeleteDialog] = useState(false);
+  const [bulkLoading, setBulkLoading] = useState(false);
+  // Workspaces the selected servers can be added to or removed from, and
+  // the revision of workspaces.json they were read from
+  const [workspaceNames, setWorkspaceNames] = useState<string[]>([]);
+  const [workspacesRevision, setWorkspacesRevision] = useState<string | null>(
+    null
+  );
+  const [bulkWorkspace, setBulkWorkspace] = useState("");
 
   useEffect(() => {
     fetchServers();
+    fetchWorkspaceNames();
+    const interval = setInterval(refreshServers, STATUS_POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
   }, []);
 
+  // Pick up servers added or changed elsewhere, e.g. with `yamcp server add`
+  useEffect(
+    () =>
+      subscribeToConfigChanges((change) => {
+        if (change.file === "providers") refreshServers();
+        if (change.file === "workspaces") fetchWorkspaceNames();
+      }),
+    []
+  );
+
   const fetchServers = async () => {
     try {
       setLoading(true);
@@ -55,6 +121,7 @@ export function Servers() {
       if (response.ok) {
         const data = await response.json();
         setServers(data);
+        setRevision(getConfigRevision(response));
       } else {
         console.error("Failed to fetch servers");
       }
@@ -65,6 +132,97 @@ export function Servers() {
     }
   };
 
+  // Refresh the list in the background without showing the loading state
+  const refreshServers = async () => {
+    try {
+      const response = await fetch("/api/servers");
+      if (response.ok) {
+        const data = await response.json();
+        setServers(data);
+        setRevision(getConfigRevision(response));
+      }
+    } catch (error) {
+      console.error("Error refreshing servers:", error);
+    }
+  };
+
+  const fetchWorkspaceNames = async () => {
+    try {
+      const response = await fetch("/api/workspaces");
+      if (response.ok) {
+        const data: { id: string }[] = await response.json();
+        setWorkspaceNames(data.map((workspace) => workspace.id));
+        setWorkspacesRevision(getConfigRevision(response));
+      }
+    } catch (error) {
+      console.error("Error fetching workspaces:", error);
+    }
+  };
+
+  const handleServerAction = async (
+    server: ServerData,
+    action: "start" | "stop"
+  ) => {
+    try {
+      setActionLoading(server.id);
+
+      const response = await fetch(`/api/servers/${server.id}/${action}`, {
+        method: "POST",
+      });
+
+      if (response.ok) {
+        const result = await response.json();
+        console.log(result.message);
+        setServers((current) =>
+          current.map((item) =>
+            item.id === server.id ? { ...item, process: result.status } : item
+          )
+        );
+      } else {
+        const error = await response.json();
+        console.error(`Failed to ${action} server:`, error.error);
+        alert(`Failed to ${action} server: ${error.error}`);
+      }
+    } catch (error) {
+      console.error(`Error during ${action} of server ${server.id}:`, error);
+      alert(`Error during ${action} of server: ${error}`);
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const formatUptime = (ms: number) => {
+    const seconds = Math.floor(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ${minutes % 60}m`;
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+  };
+
+  const getStatusBadge = (process?: ProcessStatus) => {
+    switch (process?.status) {
+      case "running":
+        return <Badge className="bg-green-100 text-green-800">Running</Badge>;
+      case "starting":
+        return <Badge className="bg-blue-100 text-blue-800">Starting</Badge>;
+      case "stopping":
+        return (
+          <Badge className="bg-yellow-100 text-yellow-800">Stopping</Badge>
+        );
+      case "crashed":
+        return <Badge variant="destructive">Crashed</Badge>;
+      default:
+        return <Badge variant="outline">Stopped</Badge>;
+    }
+  };
+
+  const isServerActive = (server: ServerData) =>
+    server.process?.status === "starting" ||
+    server.process?.status === "running" ||
+    server.process?.status === "stopping";
+
   const handleAddServer = () => {
     setShowAddDialog(true);
   };
@@ -87,9 +245,17 @@ export function Servers() {
 
       const response = await fetch(`/api/servers/${deletingServer.id}`, {
         method: "DELETE",
+        headers: ifMatchHeaders(revision),
       });
 
-      if (response.ok) {
+      if (response.status === 409) {
+        alert(
+          "providers.json was changed elsewhere. Review the reloaded list before deleting."
+        );
+        setShowDeleteDialog(false);
+        setDeletingServer(null);
+        fetchServers();
+      } else if (response.ok) {
         const result = await response.json();
         console.log(result.message);
         // Remove server from list
@@ -109,6 +275,109 @@ export function Servers() {
     }
   };
 
+  // Selected servers that are still in the list
+  const selectedServers = servers.filter((server) =>
+    selectedIds.includes(server.id)
+  );
+  const startableServers = selectedServers.filter(
+    (server) => server.type === "stdio" && !isServerActive(server)
+  );
+  const stoppableServers = selectedServers.filter(isServerActive);
+
+  const toggleSelected = (server: ServerData) => {
+    setSelectedIds((current) =>
+      current.includes(server.id)
+        ? current.filter((id) => id !== server.id)
+        : [...current, server.id]
+    );
+  };
+
+  const toggleAllSelected = () => {
+    setSelectedIds(
+      selectedServers.length === servers.length
+        ? []
+        : servers.map((server) => server.id)
+    );
+  };
+
+  // Apply operations on the selected servers in one batch. Returns whether
+  // the batch was applied.
+  const runBulkAction = async (operations: BatchOperation[]) => {
+    try {
+      setBulkLoading(true);
+
+      const response = await runBatch(operations, revision, workspacesRevision);
+
+      if (response.status === 409) {
+        alert(
+          "The configuration was changed elsewhere. Review the reloaded list and try again."
+        );
+        fetchServers();
+        fetchWorkspaceNames();
+        return false;
+      }
+
+      if (!response.ok) {
+        const error = await response.json();
+        console.error("Bulk action failed:", error.error);
+        alert(`Bulk action failed: ${error.error}`);
+        return false;
+      }
+
+      const result: BatchResponse = await response.json();
+      console.log(result.message);
+      const failures = result.results.filter((item) => !item.ok);
+      if (failures.length > 0) {
+        alert(
+          `${result.message}:\n${failures.map((item) => item.message).join("\n")}`
+        );
+      }
+      refreshServers();
+      fetchWorkspaceNames();
+      return true;
+    } catch (error) {
+      console.error("Error running bulk action:", error);
+      alert(`Error running bulk action: ${error}`);
+      return false;
+    } finally {
+      setBulkLoading(false);
+    }
+  };
+
+  const handleBulkProcessAction = (action: "start" | "stop") => {
+    const targets = action === "start" ? startableServers : stoppableServers;
+    runBulkAction(
+      targets.map((server) => ({
+        action: action === "start" ? "startServer" : "stopServer",
+        server: server.id,
+      }))
+    );
+  };
+
+  const handleBulkWorkspaceAction = (
+    action: "addToWorkspace" | "removeFromWorkspace"
+  ) => {
+    runBulkAction([
+      {
+        action,
+        workspace: bulkWorkspace,
+        servers: selectedServers.map((server) => server.id),
+      },
+    ]);
+  };
+
+  const confirmBulkDelete = async () => {
+    const deleted = await runBulkAction(
+      selectedServers.map((server) => ({
+        action: "deleteServer",
+        server: server.id,
+      }))
+    );
+    if (deleted) {
+      setShowBulkDeleteDialog(false);
+      setSelectedIds([]);
+    }
+  };
 
   if (loading) {
     return (
@@ -151,6 +420,13 @@ export function Servers() {
                   <FileText className="mr-2 h-4 w-4" />
                   Edit providers.json
                 </Button>
+                <Button
+                  variant="outline"
+                  onClick={() => setShowImportDialog(true)}
+                >
+                  <Import className="mr-2 h-4 w-4" />
+                  Import
+                </Button>
                 <Button onClick={handleAddServer}>
                   <Plus className="mr-2 h-4 w-4" />
                   Add Server
@@ -159,6 +435,86 @@ export function Servers() {
             </div>
           </CardHeader>
           <CardContent>
+            {selectedServers.length > 0 && (
+              <div className="mb-4 flex flex-wrap items-center gap-2 rounded-md border p-2">
+                <span className="px-2 text-sm font-medium">
+                  {selectedServers.length} selected
+                </span>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => handleBulkProcessAction("start")}
+                  disabled={bulkLoading || startableServers.length === 0}
+                >
+                  <Play className="mr-2 h-4 w-4" />
+                  Start
+                </Button>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => handleBulkProcessAction("stop")}
+                  disabled={bulkLoading || stoppableServers.length === 0}
+                >
+                  <Square className="mr-2 h-4 w-4" />
+                  Stop
+                </Button>
+                <Select value={bulkWorkspace} onValueChange={setBulkWorkspace}>
+                  <SelectTrigger className="h-9 w-[180px]">
+                    <SelectValue placeholder="Select workspace" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {workspaceNames.map((name) => (
+                      <SelectItem key={name} value={name}>
+                        {name}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => handleBulkWorkspaceAction("addToWorkspace")}
+                  disabled={
+                    bulkLoading || !workspaceNames.includes(bulkWorkspace)
+                  }
+                  title="Add the selected servers to the workspace"
+                >
+                  <FolderPlus className="mr-2 h-4 w-4" />
+                  Add
+                </Button>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() =>
+                    handleBulkWorkspaceAction("removeFromWorkspace")
+                  }
+                  disabled={
+                    bulkLoading || !workspaceNames.includes(bulkWorkspace)
+                  }
+                  title="Remove the selected servers from the workspace"
+                >
+                  <FolderMinus className="mr-2 h-4 w-4" />
+                  Remove
+                </Button>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => setShowBulkDeleteDialog(true)}
+                  disabled={bulkLoading}
+                >
+                  <Trash2 className="mr-2 h-4 w-4" />
+                  Delete
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => setSelectedIds([])}
+                  disabled={bulkLoading}
+                >
+                  Clear selection
+                </Button>
+              </div>
+            )}
             {servers.length === 0 ? (
               <div className="text-center py-8">
                 <Server className="mx-auto h-12 w-12 text-gray-400" />
@@ -179,9 +535,19 @@ export function Servers() {
               <Table>
                 <TableHeader>
                   <TableRow>
+                    <TableHead className="w-10">
+                      <input
+                        type="checkbox"
+                        checked={selectedServers.length === servers.length}
+                        onChange={toggleAllSelected}
+                        className="rounded w-4 h-4 cursor-pointer"
+                        aria-label="Select all servers"
+                      />
+                    </TableHead>
                     <TableHead>Name</TableHead>
                     <TableHead>Namespace</TableHead>
                     <TableHead>Type</TableHead>
+                    <TableHead>Status</TableHead>
                     <TableHead>Configuration</TableHead>
                     <TableHead className="text-right">Actions</TableHead>
                   </TableRow>
@@ -189,8 +555,23 @@ export function Servers() {
                 <TableBody>
                   {servers.map((server) => (
                     <TableRow key={server.id}>
+                      <TableCell>
+                        <input
+                          type="checkbox"
+                          checked={selectedIds.includes(server.id)}
+                          onChange={() => toggleSelected(server)}
+                          className="rounded w-4 h-4 cursor-pointer"
+                          aria-label={`Select ${server.name}`}
+                        />
+                      </TableCell>
                       <TableCell className="font-medium">
-                        {server.name}
+                        <Link
+                          to={`/servers/${encodeURIComponent(server.id)}`}
+                          className="hover:underline"
+                          title="Inspect tools, resources and prompts"
+                        >
+                          {server.name}
+                        </Link>
                       </TableCell>
                       <TableCell className="text-muted-foreground">
                         {server.namespace}
@@ -198,17 +579,69 @@ export function Servers() {
                       <TableCell>
                         <Badge variant="outline">{server.type}</Badge>
                       </TableCell>
+                      <TableCell>
+                        <div className="flex flex-col gap-1">
+                          {getStatusBadge(server.process)}
+                          {server.process?.status === "running" && (
+                            <span
+                              className="text-xs text-muted-foreground"
+                              title={`PID ${server.process.pid}`}
+                            >
+                              up {formatUptime(server.process.uptimeMs)}
+                              {server.process.restartCount > 0 &&
+                                ` • ${server.process.restartCount} restart${
+                                  server.process.restartCount === 1 ? "" : "s"
+                                }`}
+                            </span>
+                          )}
+                          {server.process?.status === "crashed" && (
+                            <span
+                              className="text-xs text-muted-foreground"
+                              title={server.process.lastError || undefined}
+                            >
+                              {server.process.exitCode !== null
+                                ? `exit code ${server.process.exitCode}`
+                                : server.process.lastError}
+                            </span>
+                          )}
+                        </div>
+                      </TableCell>
                       <TableCell className="max-w-xs truncate">
                         {server.type === "stdio"
-                          ? `${server.command}${
-                              server.args?.length
-                                ? ` ${server.args.join(" ")}`
-                                : ""
-                            }`
+                          ? formatCommandLine([
+                              server.command || "",
+                              ...(server.args || []),
+                            ])
                           : server.url}
                       </TableCell>
                       <TableCell className="text-right">
                         <div className="flex items-center justify-end space-x-2">
+                          {server.type === "stdio" &&
+                            (isServerActive(server) ? (
+                              <Button
+                                variant="outline"
+                                size="sm"
+                                onClick={() =>
+                                  handleServerAction(server, "stop")
+                                }
+                                disabled={actionLoading === server.id}
+                                title="Stop server"
+                              >
+                                <Square className="h-4 w-4" />
+                              </Button>
+                            ) : (
+                              <Button
+                                variant="outline"
+                                size="sm"
+                                onClick={() =>
+                                  handleServerAction(server, "start")
+                                }
+                                disabled={actionLoading === server.id}
+                                title="Start server"
+                              >
+                                <Play className="h-4 w-4" />
+                              </Button>
+                            ))}
                           <Button
                             variant="outline"
                             size="sm"
@@ -247,6 +680,7 @@ export function Servers() {
         onOpenChange={setShowEditDialog}
         onServerUpdated={fetchServers}
         server={editingServer}
+        revision={revision}
       />
 
       <DeleteConfirmDialog
@@ -260,6 +694,24 @@ export function Servers() {
         isLoading={actionLoading === deletingServer?.id}
       />
 
+      <DeleteConfirmDialog
+        open={showBulkDeleteDialog}
+        onOpenChange={setShowBulkDeleteDialog}
+        onConfirm={confirmBulkDelete}
+        title="Delete Servers"
+        description="Are you sure you want to delete the selected servers?"
+        itemName=""
+        itemNames={selectedServers.map((server) => server.name)}
+        itemType="server"
+        isLoading={bulkLoading}
+      />
+
+      <ImportServersDialog
+        open={showImportDialog}
+        onOpenChange={setShowImportDialog}
+        onImported={fetchServers}
+      />
+
       <JsonEditorDialog
         open={showJsonEditor}
         onOpenChange={setShowJsonEditor}
@@ -5,15 +5,116 @@ import {
   CardHeader,
   CardTitle,
 } from "@/components/ui/card";
+import { useState, useEffect } from "react";
 import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
-import { Moon, Sun, Monitor } from "lucide-react";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Moon, Sun, Monitor, AlertCircle, Save, Trash2 } from "lucide-react";
 import { useTheme } from "@/contexts/ThemeContext";
+import { getToolBudget, setToolBudget } from "@/lib/preferences";
 
 type Theme = "light" | "dark" | "system";
 
+interface RetentionRun {
+  deleted: number;
+  truncated: number;
+  freedBytes: number;
+  totalBytes: number;
+  ranAt: string;
+}
+
 export function Settings() {
   const { theme, setTheme } = useTheme();
+  const [toolBudget, setToolBudgetValue] = useState(String(getToolBudget()));
+
+  const handleToolBudgetChange = (value: string) => {
+    setToolBudgetValue(value);
+    const budget = parseInt(value, 10);
+    if (Number.isInteger(budget) && budget > 0) {
+      setToolBudget(budget);
+    }
+  };
+
+  const [maxAgeDays, setMaxAgeDays] = useState("");
+  const [maxTotalSizeMB, setMaxTotalSizeMB] = useState("");
+  const [lastRetentionRun, setLastRetentionRun] = useState<RetentionRun | null>(
+    null
+  );
+  const [savingRetention, setSavingRetention] = useState(false);
+  const [retentionError, setRetentionError] = useState<string | null>(null);
+
+  useEffect(() => {
+    fetchRetention();
+  }, []);
+
+  const fetchRetention = async () => {
+    try {
+      const response = await fetch("/api/settings/log-retention");
+      if (response.ok) {
+        const data = await response.json();
+        setMaxAgeDays(data.policy.maxAgeDays?.toString() || "");
+        setMaxTotalSizeMB(data.policy.maxTotalSizeMB?.toString() || "");
+        setLastRetentionRun(data.lastRun);
+      } else {
+        console.error("Failed to fetch log retention settings");
+      }
+    } catch (error) {
+      console.error("Error fetching log retention settings:", error);
+    }
+  };
+
+  // Save the policy, then apply it right away
+  const handleSaveRetention = async () => {
+    try {
+      setSavingRetention(true);
+      setRetentionError(null);
+      const response = await fetch("/api/settings/log-retention", {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          maxAgeDays: maxAgeDays ? Number(maxAgeDays) : null,
+          maxTotalSizeMB: maxTotalSizeMB ? Number(maxTotalSizeMB) : null,
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setRetentionError(data.error || "Failed to save retention policy");
+        return;
+      }
+
+      const runResponse = await fetch("/api/logs/retention", {
+        method: "POST",
+      });
+      if (runResponse.ok) {
+        setLastRetentionRun(await runResponse.json());
+      }
+    } catch (error) {
+      console.error("Error saving log retention settings:", error);
+      setRetentionError(`Error saving retention policy: ${error}`);
+    } finally {
+      setSavingRetention(false);
+    }
+  };
+
+  const formatFileSize = (bytes: number) => {
+    if (bytes === 0) return "0 Bytes";
+    const k = 1024;
+    const sizes = ["Bytes", "KB", "MB", "GB"];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i];
+  };
+
+  const formatRetentionRun = (run: RetentionRun) => {
+    const ranAt = new Date(run.ranAt).toLocaleString();
+    return (
+      `Last run ${ranAt}: ${run.deleted} deleted, ${run.truncated} emptied, ` +
+      `${formatFileSize(run.freedBytes)} freed, ` +
+      `${formatFileSize(run.totalBytes)} in use`
+    );
+  };
 
   const themeOptions = [
     {
@@ -78,6 +179,97 @@ export function Settings() {
           </CardContent>
         </Card>
 
+        <Card>
+          <CardHeader>
+            <CardTitle>Workspaces</CardTitle>
+            <CardDescription>
+              Limits used when analyzing workspace tool lists
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <div className="grid gap-2 max-w-xs">
+              <Label htmlFor="tool-budget" className="text-sm font-medium">
+                Tool budget
+              </Label>
+              <Input
+                id="tool-budget"
+                type="number"
+                min={1}
+                value={toolBudget}
+                onChange={(e) => handleToolBudgetChange(e.target.value)}
+              />
+              <p className="text-xs text-muted-foreground">
+                Warn when a workspace exposes more tools than this. Clients like
+                Cursor degrade with too many tools.
+              </p>
+            </div>
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>Log Retention</CardTitle>
+            <CardDescription>
+              Limits enforced on the YAMCP log directory every hour. Leave a
+              field empty for no limit.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="grid gap-4 md:grid-cols-2 max-w-lg">
+              <div className="grid gap-2">
+                <Label htmlFor="max-age" className="text-sm font-medium">
+                  Maximum age (days)
+                </Label>
+                <Input
+                  id="max-age"
+                  type="number"
+                  min={1}
+                  placeholder="Unlimited"
+                  value={maxAgeDays}
+                  onChange={(e) => setMaxAgeDays(e.target.value)}
+                />
+              </div>
+              <div className="grid gap-2">
+                <Label htmlFor="max-size" className="text-sm font-medium">
+                  Maximum total size (MB)
+                </Label>
+                <Input
+                  id="max-size"
+                  type="number"
+                  min={1}
+                  placeholder="Unlimited"
+                  value={maxTotalSizeMB}
+                  onChange={(e) => setMaxTotalSizeMB(e.target.value)}
+                />
+              </div>
+            </div>
+            <p className="text-xs text-muted-foreground">
+              Log files not written to within the maximum age are deleted. When
+              the total size is exceeded, the oldest files are emptied first.
+            </p>
+
+            {retentionError && (
+              <Alert variant="destructive">
+                <AlertCircle className="h-4 w-4" />
+                <AlertDescription>{retentionError}</AlertDescription>
+              </Alert>
+            )}
+
+            <div className="flex items-center gap-4">
+              <Button onClick={handleSaveRetention} disabled={savingRetention}>
+                <Save className="mr-2 h-4 w-4" />
+                {savingRetention ? "Applying..." : "Save and Apply"}
+              </Button>
+              {lastRetentionRun && (
+                <span className="flex items-center gap-1 text-sm text-muted-foreground">
+                  <Trash2 className="h-4 w-4" />
+                  {formatRetentionRun(lastRetentionRun)}
+                </span>
+              )}
+            </div>
+          </CardContent>
+        </Card>
+
         <Card>
           <CardHeader>
             <CardTitle>About</CardTitle>
@@ -20,7 +20,12 @@ import { AddWorkspaceDialog } from "@/components/AddWorkspaceDialog";
 import { EditWorkspaceDialog } from "@/components/EditWorkspaceDialog";
 import { DeleteConfirmDialog } from "@/components/DeleteConfirmDialog";
 import { WorkspaceConfigDialog } from "@/components/WorkspaceConfigDialog";
+import { WorkspaceAnalysisDialog } from "@/components/WorkspaceAnalysisDialog";
 import { JsonEditorDialog } from "@/components/JsonEditorDialog";
+import { ImportBundleDialog } from "@/components/ImportBundleDialog";
+import { getConfigRevision, ifMatchHeaders } from "@/lib/configRevision";
+import { subscribeToConfigChanges } from "@/lib/configEvents";
+import { type BatchOperation, type BatchResponse, runBatch } from "@/lib/batch";
 import {
   FolderOpen,
   Eye,
@@ -28,16 +33,40 @@ import {
   Trash2,
   Plus,
   FileText,
+  Layers,
+  Play,
+  Square,
+  Download,
+  Upload,
 } from "lucide-react";
 
+interface ProcessStatus {
+  status: "starting" | "running" | "stopping" | "stopped" | "crashed";
+  pid: number | null;
+  startedAt: string | null;
+  uptimeMs: number;
+  exitCode: number | null;
+  signal: string | null;
+  restartCount: number;
+  lastError: string | null;
+  stderr?: string[];
+}
+
 interface WorkspaceData {
   id: string;
   name: string;
   description: string;
   servers: string[];
+  // Env entries and headers, as "<server>.<KEY>", that are locked or hold a
+  // ${VAR} reference; yamcp run can't start the workspace while there are any
+  references: string[];
   status: string;
+  process?: ProcessStatus;
 }
 
+// How often gateway status is refreshed while the page is open
+const STATUS_POLL_INTERVAL_MS = 5000;
+
 export function Workspaces() {
   const [workspaces, setWorkspaces] = useState<WorkspaceData[]>([]);
   const [loading, setLoading] = useState(true);
@@ -45,19 +74,34 @@ export function Workspaces() {
   const [showEditDialog, setShowEditDialog] = useState(false);
   const [showDeleteDialog, setShowDeleteDialog] = useState(false);
   const [showConfigDialog, setShowConfigDialog] = useState(false);
+  const [showAnalysisDialog, setShowAnalysisDialog] = useState(false);
   const [showJsonEditor, setShowJsonEditor] = useState(false);
+  const [showImportDialog, setShowImportDialog] = useState(false);
   const [editingWorkspace, setEditingWorkspace] =
     useState<WorkspaceData | null>(null);
   const [deletingWorkspace, setDeletingWorkspace] =
     useState<WorkspaceData | null>(null);
   const [viewingWorkspace, setViewingWorkspace] =
     useState<WorkspaceData | null>(null);
+  const [analyzingWorkspace, setAnalyzingWorkspace] =
+    useState<WorkspaceData | null>(null);
   const [actionLoading, setActionLoading] = useState<string | null>(null);
+  // Revision of workspaces.json the list was read from
+  const [revision, setRevision] = useState<string | null>(null);
+  const [selectedIds, setSelectedIds] = useState<string[]>([]);
+  const [showBulkDeleteDialog, setShowBulkDeleteDialog] = useState(false);
+  const [bulkLoading, setBulkLoading] = useState(false);
 
   useEffect(() => {
     fetchWorkspaces();
+    const interval = setInterval(refreshWorkspaces, STATUS_POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
   }, []);
 
+  // Pick up workspaces changed elsewhere, e.g. with `yamcp ws create`. The
+  // list depends on providers.json too, for the servers that still exist.
+  useEffect(() => subscribeToConfigChanges(() => refreshWorkspaces()), []);
+
   const fetchWorkspaces = async () => {
     try {
       setLoading(true);
@@ -65,6 +109,7 @@ export function Workspaces() {
       if (response.ok) {
         const data = await response.json();
         setWorkspaces(data);
+        setRevision(getConfigRevision(response));
       } else {
         console.error("Failed to fetch workspaces");
       }
@@ -75,6 +120,95 @@ export function Workspaces() {
     }
   };
 
+  // Refresh the list in the background without showing the loading state
+  const refreshWorkspaces = async () => {
+    try {
+      const response = await fetch("/api/workspaces");
+      if (response.ok) {
+        const data = await response.json();
+        setWorkspaces(data);
+        setRevision(getConfigRevision(response));
+      }
+    } catch (error) {
+      console.error("Error refreshing workspaces:", error);
+    }
+  };
+
+  const handleWorkspaceAction = async (
+    workspace: WorkspaceData,
+    action: "start" | "stop"
+  ) => {
+    try {
+      setActionLoading(workspace.id);
+
+      const response = await fetch(
+        `/api/workspaces/${workspace.id}/${action}`,
+        { method: "POST" }
+      );
+
+      if (response.ok) {
+        const result = await response.json();
+        console.log(result.message);
+        setWorkspaces((current) =>
+          current.map((item) =>
+            item.id === workspace.id
+              ? {
+                  ...item,
+                  status: result.status.status,
+                  process: result.status,
+                }
+              : item
+          )
+        );
+      } else {
+        const error = await response.json();
+        console.error(`Failed to ${action} workspace:`, error.error);
+        alert(`Failed to ${action} workspace: ${error.error}`);
+      }
+    } catch (error) {
+      console.error(
+        `Error during ${action} of workspace ${workspace.id}:`,
+        error
+      );
+      alert(`Error during ${action} of workspace: ${error}`);
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const getStatusBadge = (workspace: WorkspaceData) => {
+    switch (workspace.status) {
+      case "running":
+        return <Badge className="bg-green-100 text-green-800">Running</Badge>;
+      case "starting":
+        return <Badge className="bg-blue-100 text-blue-800">Starting</Badge>;
+      case "stopping":
+        return (
+          <Badge className="bg-yellow-100 text-yellow-800">Stopping</Badge>
+        );
+      case "crashed":
+        return (
+          <Badge
+            variant="destructive"
+            title={
+              workspace.process?.stderr?.slice(-1)[0] ||
+              workspace.process?.lastError ||
+              undefined
+            }
+          >
+            Crashed
+          </Badge>
+        );
+      default:
+        return <Badge variant="outline">Stopped</Badge>;
+    }
+  };
+
+  const isWorkspaceActive = (workspace: WorkspaceData) =>
+    workspace.status === "starting" ||
+    workspace.status === "running" ||
+    workspace.status === "stopping";
+
   const handleCreateWorkspace = () => {
     setShowAddDialog(true);
   };
@@ -89,6 +223,21 @@ export function Workspaces() {
     setShowConfigDialog(true);
   };
 
+  const handleShowAnalysis = (workspace: WorkspaceData) => {
+    setAnalyzingWorkspace(workspace);
+    setShowAnalysisDialog(true);
+  };
+
+  // Download the workspace and its servers as a shareable bundle
+  const handleExportWorkspace = (workspace: WorkspaceData) => {
+    const link = document.createElement("a");
+    link.href = `/api/workspaces/${workspace.id}/bundle`;
+    link.download = `${workspace.id}.yamcp-workspace.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+  };
+
   const handleDeleteWorkspace = (workspace: WorkspaceData) => {
     setDeletingWorkspace(workspace);
     setShowDeleteDialog(true);
@@ -102,9 +251,17 @@ export function Workspaces() {
 
       const response = await fetch(`/api/workspaces/${deletingWorkspace.id}`, {
         method: "DELETE",
+        headers: ifMatchHeaders(revision),
       });
 
-      if (response.ok) {
+      if (response.status === 409) {
+        alert(
+          "workspaces.json was changed elsewhere. Review the reloaded list before deleting."
+        );
+        setShowDeleteDialog(false);
+        setDeletingWorkspace(null);
+        fetchWorkspaces();
+      } else if (response.ok) {
         const result = await response.json();
         console.log(result.message);
         // Remove workspace from list
@@ -128,6 +285,98 @@ export function Workspaces() {
     }
   };
 
+  // Selected workspaces that are still in the list
+  const selectedWorkspaces = workspaces.filter((workspace) =>
+    selectedIds.includes(workspace.id)
+  );
+  const startableWorkspaces = selectedWorkspaces.filter(
+    (workspace) =>
+      !isWorkspaceActive(workspace) && workspace.references.length === 0
+  );
+  const stoppableWorkspaces = selectedWorkspaces.filter(isWorkspaceActive);
+
+  const toggleSelected = (workspace: WorkspaceData) => {
+    setSelectedIds((current) =>
+      current.includes(workspace.id)
+        ? current.filter((id) => id !== workspace.id)
+        : [...current, workspace.id]
+    );
+  };
+
+  const toggleAllSelected = () => {
+    setSelectedIds(
+      selectedWorkspaces.length === workspaces.length
+        ? []
+        : workspaces.map((workspace) => workspace.id)
+    );
+  };
+
+  // Apply operations on the selected workspaces in one batch. Returns
+  // whether the batch was applied.
+  const runBulkAction = async (operations: BatchOperation[]) => {
+    try {
+      setBulkLoading(true);
+
+      const response = await runBatch(operations, revision);
+
+      if (response.status === 409) {
+        alert(
+          "workspaces.json was changed elsewhere. Review the reloaded list and try again."
+        );
+        fetchWorkspaces();
+        return false;
+      }
+
+      if (!response.ok) {
+        const error = await response.json();
+        console.error("Bulk action failed:", error.error);
+        alert(`Bulk action failed: ${error.error}`);
+        return false;
+      }
+
+      const result: BatchResponse = await response.json();
+      console.log(result.message);
+      const failures = result.results.filter((item) => !item.ok);
+      if (failures.length > 0) {
+        alert(
+          `${result.message}:\n${failures.map((item) => item.message).join("\n")}`
+        );
+      }
+      refreshWorkspaces();
+      return true;
+    } catch (error) {
+      console.error("Error running bulk action:", error);
+      alert(`Error running bulk action: ${error}`);
+      return false;
+    } finally {
+      setBulkLoading(false);
+    }
+  };
+
+  const handleBulkProcessAction = (action: "start" | "stop") => {
+    const targets =
+      action === "start" ? startableWorkspaces : stoppableWorkspaces;
+    runBulkAction(
+      targets.map((workspace) => ({
+        action: action === "start" ? "startWorkspace" : "stopWorkspace",
+        workspace: workspace.id,
+      }))
+    );
+  };
+
+  const confirmBulkDelete = async () => {
+    const deleted = await runBulkAction(
+      selectedWorkspaces.map((workspace) => ({
+        action: "deleteWorkspace",
+        workspace: workspace.id,
+      }))
+    );
+    if (deleted) {
+      setShowBulkDeleteDialog(false);
+      setSelectedIds([]);
+    }
+  };
+
   if (loading) {
     return (
       <div className="space-y-6">
@@ -169,6 +418,13 @@ export function Workspaces() {
                   <FileText className="mr-2 h-4 w-4" />
                   Edit workspaces.json
                 </Button>
+                <Button
+                  variant="outline"
+                  onClick={() => setShowImportDialog(true)}
+                >
+                  <Upload className="mr-2 h-4 w-4" />
+                  Import Bundle
+                </Button>
                 <Button onClick={handleCreateWorkspace}>
                   <Plus className="mr-2 h-4 w-4" />
                   Create Workspace
@@ -177,6 +433,48 @@ export function Workspaces() {
             </div>
           </CardHeader>
           <CardContent>
+            {selectedWorkspaces.length > 0 && (
+              <div className="mb-4 flex flex-wrap items-center gap-2 rounded-md border p-2">
+                <span className="px-2 text-sm font-medium">
+                  {selectedWorkspaces.length} selected
+                </span>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => handleBulkProcessAction("start")}
+                  disabled={bulkLoading || startableWorkspaces.length === 0}
+                >
+                  <Play className="mr-2 h-4 w-4" />
+                  Start
+                </Button>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => handleBulkProcessAction("stop")}
+                  disabled={bulkLoading || stoppableWorkspaces.length === 0}
+                >
+                  <Square className="mr-2 h-4 w-4" />
+                  Stop
+                </Button>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => setShowBulkDeleteDialog(true)}
+                  disabled={bulkLoading}
+                >
+                  <Trash2 className="mr-2 h-4 w-4" />
+                  Delete
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => setSelectedIds([])}
+                  disabled={bulkLoading}
+                >
+                  Clear selection
+                </Button>
+              </div>
+            )}
             {workspaces.length === 0 ? (
               <div className="text-center py-8">
                 <FolderOpen className="mx-auto h-12 w-12 text-gray-400" />
@@ -197,15 +495,36 @@ export function Workspaces() {
               <Table>
                 <TableHeader>
                   <TableRow>
+                    <TableHead className="w-10">
+                      <input
+                        type="checkbox"
+                        checked={
+                          selectedWorkspaces.length === workspaces.length
+                        }
+                        onChange={toggleAllSelected}
+                        className="rounded w-4 h-4 cursor-pointer"
+                        aria-label="Select all workspaces"
+                      />
+                    </TableHead>
                     <TableHead>Name</TableHead>
                     <TableHead>Description</TableHead>
                     <TableHead>Servers</TableHead>
+                    <TableHead>Status</TableHead>
                     <TableHead className="text-right">Actions</TableHead>
                   </TableRow>
                 </TableHeader>
                 <TableBody>
                   {workspaces.map((workspace) => (
                     <TableRow key={workspace.id}>
+                      <TableCell>
+                        <input
+                          type="checkbox"
+                          checked={selectedIds.includes(workspace.id)}
+                          onChange={() => toggleSelected(workspace)}
+                          className="rounded w-4 h-4 cursor-pointer"
+                          aria-label={`Select ${workspace.name}`}
+                        />
+                      </TableCell>
                       <TableCell className="font-medium">
                         {workspace.name}
                       </TableCell>
@@ -231,8 +550,41 @@ export function Workspaces() {
                           )}
                         </div>
                       </TableCell>
+                      <TableCell>{getStatusBadge(workspace)}</TableCell>
                       <TableCell className="text-right">
                         <div className="flex items-center justify-end space-x-2">
+                          {isWorkspaceActive(workspace) ? (
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              onClick={() =>
+                                handleWorkspaceAction(workspace, "stop")
+                              }
+                              disabled={actionLoading === workspace.id}
+                              title="Stop workspace gateway"
+                            >
+                              <Square className="h-4 w-4" />
+                            </Button>
+                          ) : (
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              onClick={() =>
+                                handleWorkspaceAction(workspace, "start")
+                              }
+                              disabled={
+                                actionLoading === workspace.id ||
+                                workspace.references.length > 0
+                              }
+                              title={
+                                workspace.references.length > 0
+                                  ? `yamcp run can't resolve the locked or \${VAR} values of ${workspace.references.join(", ")}`
+                                  : "Start workspace gateway"
+                              }
+                            >
+                              <Play className="h-4 w-4" />
+                            </Button>
+                          )}
                           <Button
                             variant="outline"
                             size="sm"
@@ -241,6 +593,15 @@ export function Workspaces() {
                           >
                             <Eye className="h-4 w-4" />
                           </Button>
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            onClick={() => handleShowAnalysis(workspace)}
+                            disabled={actionLoading === workspace.id}
+                            title="Analyze tools"
+                          >
+                            <Layers className="h-4 w-4" />
+                          </Button>
                           <Button
                             variant="outline"
                             size="sm"
@@ -249,6 +610,14 @@ export function Workspaces() {
                           >
                             <Settings className="h-4 w-4" />
                           </Button>
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            onClick={() => handleExportWorkspace(workspace)}
+                            title="Export as bundle"
+                          >
+                            <Download className="h-4 w-4" />
+                          </Button>
                           <Button
                             variant="outline"
                             size="sm"
@@ -279,6 +648,7 @@ export function Workspaces() {
         onOpenChange={setShowEditDialog}
         onWorkspaceUpdated={fetchWorkspaces}
         workspace={editingWorkspace}
+        revision={revision}
       />
 
       <DeleteConfirmDialog
@@ -292,12 +662,36 @@ export function Workspaces() {
         isLoading={actionLoading === deletingWorkspace?.id}
       />
 
+      <DeleteConfirmDialog
+        open={showBulkDeleteDialog}
+        onOpenChange={setShowBulkDeleteDialog}
+        onConfirm={confirmBulkDelete}
+        title="Delete Workspaces"
+        description="Are you sure you want to delete the selected workspaces?"
+        itemName=""
+        itemNames={selectedWorkspaces.map((workspace) => workspace.name)}
+        itemType="workspace"
+        isLoading={bulkLoading}
+      />
+
       <WorkspaceConfigDialog
         open={showConfigDialog}
         onOpenChange={setShowConfigDialog}
         workspace={viewingWorkspace}
       />
 
+      <WorkspaceAnalysisDialog
+        open={showAnalysisDialog}
+        onOpenChange={setShowAnalysisDialog}
+        workspace={analyzingWorkspace}
+      />
+
+      <ImportBundleDialog
+        open={showImportDialog}
+        onOpenChange={setShowImportDialog}
+        onImported={fetchWorkspaces}
+      />
+
       <JsonEditorDialog
         open={showJsonEditor}
         onOpenChange={setShowJsonEditor}
@@ -54,6 +54,10 @@ export default defineConfig({
       "/api": {
         target: "http://localhost:3001",
         changeOrigin: true,
+        // Start the API server with the same YAMCP_UI_TOKEN
+        headers: process.env.YAMCP_UI_TOKEN
+          ? { Authorization: `Bearer ${process.env.YAMCP_UI_TOKEN}` }
+          : {},
       },
     },
   },